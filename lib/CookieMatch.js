@@ -0,0 +1,81 @@
+/**
+ * @param {String} cookieDomain The domain of a cookie
+ * @param {String} domain The expected domain
+ * @param {Boolean=} includeSubdomains Whether subdomains match. Default to true.
+ * @return {Boolean} True when the cookie domain is the domain or its subdomain.
+ */
+export function matchCookieDomain(cookieDomain, domain, includeSubdomains=true) {
+  if (!cookieDomain || !domain) {
+    return false;
+  }
+  cookieDomain = cookieDomain.replace(/^\./, '').toLowerCase();
+  domain = domain.replace(/^\./, '').toLowerCase();
+  return cookieDomain === domain || (includeSubdomains && cookieDomain.endsWith(`.${domain}`));
+}
+
+/**
+ * @param {String} name The cookie name
+ * @param {String|RegExp} pattern A regular expression or a name. The name
+ * can contain `*` that matches any characters.
+ * @return {Boolean} True when the name matches the pattern.
+ */
+export function matchCookieName(name, pattern) {
+  if (pattern instanceof RegExp) {
+    return pattern.test(name);
+  }
+  if (pattern.indexOf('*') === -1) {
+    return name === pattern;
+  }
+  const source = pattern.split('*').map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`).test(name);
+}
+
+/**
+ * @param {String} requestPath The path of the request URL
+ * @param {String} cookiePath The cookie path
+ * @return {Boolean} True when the request path path-matches the cookie path
+ * as defined in https://tools.ietf.org/html/rfc6265#section-5.1.4
+ */
+export function matchCookiePath(requestPath, cookiePath) {
+  cookiePath = cookiePath || '/';
+  if (requestPath === cookiePath) {
+    return true;
+  }
+  if (requestPath.indexOf(cookiePath) !== 0) {
+    return false;
+  }
+  return cookiePath[cookiePath.length - 1] === '/' || requestPath[cookiePath.length] === '/';
+}
+
+/**
+ * @param {String} requestPath The path of the request URL
+ * @return {String} The path of a cookie set without the `Path` attribute
+ * as defined in https://tools.ietf.org/html/rfc6265#section-5.1.4
+ */
+export function defaultCookiePath(requestPath) {
+  if (!requestPath || requestPath[0] !== '/') {
+    return '/';
+  }
+  const index = requestPath.lastIndexOf('/');
+  return index === 0 ? '/' : requestPath.substr(0, index);
+}
+
+/**
+ * WebSocket URLs use cookies of the corresponding HTTP URLs.
+ *
+ * @param {String} url An URL
+ * @return {String} The URL with `ws:` replaced by `http:` and `wss:`
+ * replaced by `https:`.
+ */
+export function toCookieUrl(url) {
+  return String(url).replace(/^ws(s?):/i, 'http$1:');
+}
+
+/**
+ * @param {String} host A host name
+ * @return {Boolean} True when the host is an IPv4 or an IPv6 address.
+ */
+export function isIpAddress(host) {
+  host = String(host);
+  return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.indexOf(':') !== -1;
+}
@@ -0,0 +1,180 @@
+import { matchCookieDomain, matchCookieName } from './CookieMatch.js';
+
+/**
+ * List of actions of cookie policy rules.
+ * - `block` - the cookie is not stored nor sent
+ * - `blockThirdParty` - the cookie is not stored when its domain is not the
+ * same site as the request URL
+ * - `rewrite` - the cookie domain and / or path is replaced with `setDomain`
+ * and `setPath`
+ * - `capExpiry` - the cookie expires no later than `maxAge` seconds from now
+ * - `force` - the `secure` and / or `httpOnly` attributes are set to the
+ * rule's values
+ */
+export const RULE_ACTIONS = ['block', 'blockThirdParty', 'rewrite', 'capExpiry', 'force'];
+
+function isOptionalString(value) {
+  return value === undefined || value === null || typeof value === 'string';
+}
+
+function isOptionalBoolean(value) {
+  return value === undefined || value === null || typeof value === 'boolean';
+}
+
+/**
+ * Validates a list of cookie policy rules.
+ * Each rule has the following properties:
+ * - `id` - optional rule identifier
+ * - `enabled` - when `false` the rule is ignored
+ * - `action` - one of `RULE_ACTIONS`
+ * - `domain` - the rule applies to cookies of the domain and its subdomains.
+ * When not set the rule applies to all cookies.
+ * - `name` - the rule applies to cookies with the name. It can contain `*`
+ * that matches any characters.
+ * - `setDomain`, `setPath` - new domain and path of the `rewrite` action
+ * - `maxAge` - maximum cookie lifetime in seconds of the `capExpiry` action
+ * - `secure`, `httpOnly` - values set by the `force` action
+ *
+ * @param {Array<Object>} rules List of rules
+ * @throws {Error} When a rule is invalid.
+ */
+export function validateRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('Cookie rules must be an array');
+  }
+  rules.forEach((rule, index) => {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`Cookie rule #${index} is not an object`);
+    }
+    if (RULE_ACTIONS.indexOf(rule.action) === -1) {
+      throw new Error(`Cookie rule #${index} has unknown action: ${rule.action}`);
+    }
+    if (!isOptionalString(rule.domain) || !isOptionalString(rule.name)) {
+      throw new Error(`Cookie rule #${index} has invalid domain or name`);
+    }
+    switch (rule.action) {
+      case 'rewrite':
+        if ((!rule.setDomain && !rule.setPath) || !isOptionalString(rule.setDomain) || !isOptionalString(rule.setPath)) {
+          throw new Error(`Cookie rule #${index} requires setDomain or setPath`);
+        }
+        if (rule.setPath && rule.setPath[0] !== '/') {
+          throw new Error(`Cookie rule #${index} has invalid setPath: ${rule.setPath}`);
+        }
+        break;
+      case 'capExpiry':
+        if (typeof rule.maxAge !== 'number' || rule.maxAge < 0) {
+          throw new Error(`Cookie rule #${index} requires a non-negative maxAge`);
+        }
+        break;
+      case 'force': {
+        const hasValue = typeof rule.secure === 'boolean' || typeof rule.httpOnly === 'boolean';
+        if (!hasValue || !isOptionalBoolean(rule.secure) || !isOptionalBoolean(rule.httpOnly)) {
+          throw new Error(`Cookie rule #${index} requires secure or httpOnly`);
+        }
+        break;
+      }
+    }
+  });
+}
+
+function matchRule(rule, cookie) {
+  if (rule.enabled === false) {
+    return false;
+  }
+  if (rule.domain && !matchCookieDomain(cookie.domain, rule.domain)) {
+    return false;
+  }
+  if (rule.name && !matchCookieName(cookie.name, rule.name)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Applies cookie policy rules to cookies received in a response.
+ * Rules are applied in order. A blocking rule stops processing of the cookie.
+ * Cookies are copied before they are changed.
+ *
+ * @param {Array<Object>} cookies List of cookies in the web model (`expires`
+ * in milliseconds).
+ * @param {Array<Object>} rules List of rules. See `validateRules()`.
+ * @param {Object=} context
+ * @param {String=} context.requestUrl The request URL.
+ * @param {Function=} context.isSameSite A function that receives the cookie
+ * domain and the request URL and returns true when they are the same site.
+ * Required by the `blockThirdParty` action.
+ * @return {Object} An object with `cookies` list of cookies to store and
+ * `blocked` list of objects with `cookie` and `rule` properties.
+ */
+export function applyResponseRules(cookies, rules, context={}) {
+  const blocked = [];
+  if (!rules || !rules.length) {
+    return { cookies, blocked };
+  }
+  const result = [];
+  cookies.forEach((cookie) => {
+    let item = cookie.toJSON ? cookie.toJSON() : Object.assign({}, cookie);
+    for (const rule of rules) {
+      if (!matchRule(rule, item)) {
+        continue;
+      }
+      switch (rule.action) {
+        case 'block':
+          item = undefined;
+          break;
+        case 'blockThirdParty':
+          // cookies without a domain are set for the request host
+          if (item.domain && context.requestUrl && context.isSameSite &&
+            !context.isSameSite(item.domain, context.requestUrl)) {
+            item = undefined;
+          }
+          break;
+        case 'rewrite':
+          if (rule.setDomain) {
+            item.domain = rule.setDomain;
+          }
+          if (rule.setPath) {
+            item.path = rule.setPath;
+          }
+          break;
+        case 'capExpiry': {
+          const max = Date.now() + rule.maxAge * 1000;
+          if (item.persistent !== false && (!item.expires || item.expires > max)) {
+            item.expires = max;
+          }
+          break;
+        }
+        case 'force':
+          if (typeof rule.secure === 'boolean') {
+            item.secure = rule.secure;
+          }
+          if (typeof rule.httpOnly === 'boolean') {
+            item.httpOnly = rule.httpOnly;
+          }
+          break;
+      }
+      if (!item) {
+        blocked.push({ cookie, rule });
+        return;
+      }
+    }
+    result.push(item);
+  });
+  return { cookies: result, blocked };
+}
+
+/**
+ * Removes cookies blocked by the `block` rules from the list of cookies
+ * to send with a request.
+ *
+ * @param {Array<Object>} cookies List of cookies
+ * @param {Array<Object>} rules List of rules. See `validateRules()`.
+ * @return {Array<Object>} Cookies that can be sent.
+ */
+export function applyRequestRules(cookies, rules) {
+  if (!rules || !rules.length) {
+    return cookies;
+  }
+  const blocking = rules.filter((rule) => rule.action === 'block');
+  return cookies.filter((cookie) => !blocking.some((rule) => matchRule(rule, cookie)));
+}
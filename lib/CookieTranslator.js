@@ -0,0 +1,33 @@
+/**
+ * Web cookies model have `expires` property which is a timestamp
+ * in miliseconds intead of seconds as `expirationDate`. This has to be
+ * computed before returning cookies to the client.
+ *
+ * @param {Object} cookie Electron's cookie object
+ * @return {Object} Updated cookie.
+ */
+export function translateCookieForWeb(cookie) {
+  if (cookie.expirationDate) {
+    cookie.expires = cookie.expirationDate * 1000;
+    delete cookie.expirationDate;
+  }
+  return cookie;
+}
+
+/**
+ * Translates web cookie model to Electron's cookie model.
+ *
+ * @param {Object} cookie Web cookie object
+ * @return {Object} Updated cookie.
+ */
+export function translateCookieForElectron(cookie) {
+  if (cookie.expires) {
+    cookie.expirationDate = Math.round(cookie.expires / 1000);
+    delete cookie.expires;
+  }
+  if (cookie.httponly) {
+    cookie.httpOnly = cookie.httponly;
+    delete cookie.httponly;
+  }
+  return cookie;
+}
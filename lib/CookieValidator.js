@@ -0,0 +1,212 @@
+/**
+ * List of codes of cookie errors.
+ * - `INVALID_COOKIE` - the cookie is not an object
+ * - `INVALID_NAME` - the name is empty or contains characters not allowed in a token
+ * - `INVALID_VALUE` - the value contains control characters or `;`
+ * - `INVALID_URL` - the URL is not a valid HTTP(S) URL
+ * - `MISSING_DOMAIN` - neither the URL nor the domain is set
+ * - `DOMAIN_MISMATCH` - the URL's host does not match the domain or the
+ * host is an IP address and the domain is not the same address
+ * - `PUBLIC_SUFFIX_DOMAIN` - the domain is a public suffix
+ * - `SECURE_PREFIX` - a `__Secure-` cookie is not secure
+ * - `HOST_PREFIX` - a `__Host-` cookie is not secure, has a domain or a path other than `/`
+ * - `INVALID_SAMESITE` - unknown `sameSite` value
+ * - `SAMESITE_NONE_INSECURE` - a `sameSite=None` cookie is not secure
+ * - `INVALID_EXPIRATION` - the expiration date is not a number
+ * - `STORE_ERROR` - the cookie store rejected the cookie
+ * - `ROLLED_BACK` - the change was reverted because other change of a
+ * transactional batch failed
+ */
+export const COOKIE_ERROR_CODES = [
+  'INVALID_COOKIE',
+  'INVALID_NAME',
+  'INVALID_VALUE',
+  'INVALID_URL',
+  'MISSING_DOMAIN',
+  'DOMAIN_MISMATCH',
+  'PUBLIC_SUFFIX_DOMAIN',
+  'SECURE_PREFIX',
+  'HOST_PREFIX',
+  'INVALID_SAMESITE',
+  'SAMESITE_NONE_INSECURE',
+  'INVALID_EXPIRATION',
+  'STORE_ERROR',
+  'ROLLED_BACK',
+];
+
+import { isIpAddress } from './CookieMatch.js';
+
+const TOKEN_RE = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+const SAME_SITE_VALUES = {
+  unspecified: 'unspecified',
+  no_restriction: 'no_restriction',
+  none: 'no_restriction',
+  lax: 'lax',
+  strict: 'strict',
+};
+
+/**
+ * An error of a cookie operation with one of `COOKIE_ERROR_CODES`.
+ * The error can be serialized with `toJSON()` to be passed through IPC.
+ */
+export class CookieError extends Error {
+  /**
+   * @param {String} code One of `COOKIE_ERROR_CODES`
+   * @param {String} message The error message
+   * @param {String=} field The cookie property that caused the error
+   */
+  constructor(code, message, field) {
+    super(message);
+    this.name = 'CookieError';
+    this.code = code;
+    this.field = field;
+  }
+
+  /**
+   * @return {Object} Serializable error with `code`, `message` and `field`.
+   */
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      field: this.field,
+    };
+  }
+
+  /**
+   * @param {Object} data Serialized error.
+   * @return {CookieError}
+   */
+  static fromJSON(data) {
+    return new CookieError(data.code, data.message, data.field);
+  }
+}
+
+/**
+ * @param {String=} value The `sameSite` value in Electron's or in the
+ * `Set-Cookie` header's notation.
+ * @return {String|undefined} Electron's `sameSite` value or undefined when
+ * the value is not recognized.
+ */
+export function normalizeSameSite(value) {
+  return SAME_SITE_VALUES[String(value).toLowerCase()];
+}
+
+/**
+ * @param {String} value The cookie value
+ * @return {Boolean} True when the value has control characters (except
+ * for the horizontal tab) or `;`.
+ */
+function hasInvalidValueCharacters(value) {
+  for (let i = 0, len = value.length; i < len; i++) {
+    const code = value.charCodeAt(i);
+    if ((code < 0x20 && code !== 0x09) || code === 0x7F || code === 0x3B) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * A domain without a dot is treated as a public suffix.
+ * @param {String} domain
+ * @return {Boolean}
+ */
+function isTopLevelDomain(domain) {
+  return domain.indexOf('.') === -1;
+}
+
+/**
+ * @param {String} host The request host
+ * @param {String} domain The cookie domain
+ * @return {Boolean} True when the host domain-matches the domain.
+ */
+export function domainMatch(host, domain) {
+  host = host.toLowerCase();
+  domain = domain.replace(/^\./, '').toLowerCase();
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * Validates a cookie before it is stored.
+ *
+ * @param {Object} cookie Electron's cookie set details.
+ * @param {Object=} opts
+ * @param {Function=} opts.isPublicSuffix A function that tests whether a
+ * domain is a public suffix, like `PublicSuffixList.isPublicSuffix()`. By
+ * default single label domains are rejected. The `localhost` domain and
+ * domains of host-only cookies (`hostOnly` is `true` or the domain is the
+ * URL's host) are always accepted. Host-only cookies with a public suffix
+ * domain must be stored without the domain, otherwise they would be set
+ * for the whole public suffix.
+ * @throws {CookieError} When the cookie is invalid.
+ */
+export function validateCookie(cookie, opts={}) {
+  if (!cookie || typeof cookie !== 'object') {
+    throw new CookieError('INVALID_COOKIE', 'The cookie is not an object');
+  }
+  const { name, value='', url, domain, path='/', secure } = cookie;
+  if (typeof name !== 'string' || !TOKEN_RE.test(name)) {
+    throw new CookieError('INVALID_NAME', `Invalid cookie name: ${name}`, 'name');
+  }
+  if (hasInvalidValueCharacters(String(value))) {
+    throw new CookieError('INVALID_VALUE', `Invalid value of cookie ${name}`, 'value');
+  }
+  let host;
+  if (url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      // handled below
+    }
+    if (!parsed || ['http:', 'https:'].indexOf(parsed.protocol) === -1) {
+      throw new CookieError('INVALID_URL', `Invalid cookie URL: ${url}`, 'url');
+    }
+    host = parsed.hostname;
+  } else if (!domain) {
+    throw new CookieError('MISSING_DOMAIN', `Cookie ${name} has no URL nor domain`, 'domain');
+  }
+  if (domain) {
+    if (host && !domainMatch(host, domain)) {
+      throw new CookieError('DOMAIN_MISMATCH', `Cookie domain ${domain} does not match the URL ${url}`, 'domain');
+    }
+    const normalized = domain.replace(/^\./, '').toLowerCase();
+    if (host && isIpAddress(host) && normalized !== host.toLowerCase()) {
+      throw new CookieError('DOMAIN_MISMATCH', `Cookie domain ${domain} cannot be set for the IP address ${host}`, 'domain');
+    }
+    // A host-only cookie is set for the host only, e.g. `http://myserver/`.
+    const hostOnly = cookie.hostOnly === true || (!!host && normalized === host.toLowerCase());
+    const isPublicSuffix = opts.isPublicSuffix || isTopLevelDomain;
+    if (!normalized || (!hostOnly && normalized !== 'localhost' && isPublicSuffix(normalized))) {
+      throw new CookieError('PUBLIC_SUFFIX_DOMAIN', `Cookie domain ${domain} is a public suffix`, 'domain');
+    }
+  }
+  if (name.indexOf('__Secure-') === 0 && !secure) {
+    throw new CookieError('SECURE_PREFIX', `Cookie ${name} must be secure`, 'secure');
+  }
+  if (name.indexOf('__Host-') === 0) {
+    if (!secure) {
+      throw new CookieError('HOST_PREFIX', `Cookie ${name} must be secure`, 'secure');
+    }
+    if (domain && cookie.hostOnly !== true) {
+      throw new CookieError('HOST_PREFIX', `Cookie ${name} cannot have a domain`, 'domain');
+    }
+    if (path !== '/') {
+      throw new CookieError('HOST_PREFIX', `Cookie ${name} must have the "/" path`, 'path');
+    }
+  }
+  if (cookie.sameSite !== undefined && cookie.sameSite !== null) {
+    const sameSite = normalizeSameSite(cookie.sameSite);
+    if (!sameSite) {
+      throw new CookieError('INVALID_SAMESITE', `Invalid sameSite value: ${cookie.sameSite}`, 'sameSite');
+    }
+    if (sameSite === 'no_restriction' && !secure) {
+      throw new CookieError('SAMESITE_NONE_INSECURE', `Cookie ${name} with sameSite=None must be secure`, 'secure');
+    }
+  }
+  const expirationDate = cookie.expirationDate !== undefined ? cookie.expirationDate : cookie.expires;
+  if (expirationDate !== undefined && expirationDate !== null && typeof expirationDate !== 'number') {
+    throw new CookieError('INVALID_EXPIRATION', `Invalid expiration date of cookie ${name}`, 'expirationDate');
+  }
+}
@@ -0,0 +1,155 @@
+import { domainToASCII } from 'url';
+import { isIpAddress } from './CookieMatch.js';
+
+/**
+ * The location of the current version of the list.
+ */
+export const PUBLIC_SUFFIX_LIST_URL = 'https://publicsuffix.org/list/public_suffix_list.dat';
+
+function normalizeDomain(domain) {
+  return String(domain).replace(/^\./, '').replace(/\.$/, '').toLowerCase();
+}
+
+/**
+ * Implementation of the Public Suffix List algorithm
+ * (https://publicsuffix.org/list/). Both the ICANN and the private sections
+ * of the list are used.
+ *
+ * Without rules only the top level domain is a public suffix (the `*` rule).
+ */
+export class PublicSuffixList {
+  /**
+   * @param {String|Array<String>=} source The list in the
+   * `public_suffix_list.dat` format or a list of rules.
+   */
+  constructor(source) {
+    this._rules = new Set();
+    this._wildcards = new Set();
+    this._exceptions = new Set();
+    if (source) {
+      this.load(source);
+    }
+  }
+
+  /**
+   * @return {Number} The number of rules in the list.
+   */
+  get size() {
+    return this._rules.size + this._wildcards.size + this._exceptions.size;
+  }
+
+  /**
+   * Replaces the rules of the list.
+   *
+   * @param {String|Array<String>} source The list in the
+   * `public_suffix_list.dat` format or a list of rules.
+   * @return {Number} The number of loaded rules.
+   * @throws {Error} When the source has no rules.
+   */
+  load(source) {
+    const lines = Array.isArray(source) ? source : String(source).split(/\r?\n/);
+    const rules = new Set();
+    const wildcards = new Set();
+    const exceptions = new Set();
+    lines.forEach((line) => {
+      const rule = String(line).trim().split(/\s/)[0];
+      if (!rule || rule.indexOf('//') === 0) {
+        return;
+      }
+      if (rule[0] === '!') {
+        exceptions.add(this._toAscii(rule.substr(1)));
+      } else if (rule.indexOf('*.') === 0) {
+        wildcards.add(this._toAscii(rule.substr(2)));
+      } else {
+        rules.add(this._toAscii(rule));
+      }
+    });
+    rules.delete('');
+    wildcards.delete('');
+    exceptions.delete('');
+    const size = rules.size + wildcards.size + exceptions.size;
+    if (!size) {
+      throw new Error('The public suffix list has no rules');
+    }
+    this._rules = rules;
+    this._wildcards = wildcards;
+    this._exceptions = exceptions;
+    return size;
+  }
+
+  /**
+   * @return {Array<String>} List of rules that can be passed to `load()`.
+   */
+  toJSON() {
+    return Array.from(this._rules)
+      .concat(Array.from(this._wildcards).map((rule) => `*.${rule}`))
+      .concat(Array.from(this._exceptions).map((rule) => `!${rule}`));
+  }
+
+  /**
+   * @param {String} domain A domain name
+   * @return {String|undefined} The public suffix of the domain or undefined
+   * when the domain is empty or is an IP address.
+   */
+  getPublicSuffix(domain) {
+    domain = normalizeDomain(domain);
+    if (!domain || isIpAddress(domain)) {
+      return undefined;
+    }
+    const labels = domain.split('.');
+    for (let i = 0, len = labels.length; i < len; i++) {
+      const candidate = labels.slice(i).join('.');
+      if (this._exceptions.has(candidate)) {
+        return labels.slice(i + 1).join('.');
+      }
+      if (this._rules.has(candidate)) {
+        return candidate;
+      }
+      if (i + 1 < len && this._wildcards.has(labels.slice(i + 1).join('.'))) {
+        return candidate;
+      }
+    }
+    return labels[labels.length - 1];
+  }
+
+  /**
+   * @param {String} domain A domain name
+   * @return {Boolean} True when the domain is a public suffix.
+   */
+  isPublicSuffix(domain) {
+    domain = normalizeDomain(domain);
+    return !!domain && this.getPublicSuffix(domain) === domain;
+  }
+
+  /**
+   * @param {String} domain A domain name
+   * @return {String|undefined} The public suffix with one more label (e.g.
+   * `domain.co.uk` for `api.domain.co.uk`), the address when the domain is
+   * an IP address, or undefined when the domain is a public suffix.
+   */
+  getRegistrableDomain(domain) {
+    domain = normalizeDomain(domain);
+    if (isIpAddress(domain)) {
+      return domain;
+    }
+    const suffix = this.getPublicSuffix(domain);
+    if (!suffix || suffix === domain) {
+      return undefined;
+    }
+    const labels = domain.split('.');
+    return labels.slice(labels.length - suffix.split('.').length - 1).join('.');
+  }
+
+  /**
+   * @param {String} rule A rule without the `*.` and `!` prefixes
+   * @return {String} The rule with international labels in the punycode
+   * form, as in host names of parsed URLs.
+   */
+  _toAscii(rule) {
+    rule = rule.toLowerCase();
+    if (/^[\x00-\x7F]*$/.test(rule)) {
+      return rule;
+    }
+    return domainToASCII(rule) || rule;
+  }
+}
@@ -0,0 +1,219 @@
+import EventEmitter from 'events';
+import fs from 'fs';
+
+let nextRequestId = 0;
+
+/**
+ * Stores HTTP authentication credentials of the web session per origin and
+ * asks the user for credentials when a site requests authentication.
+ *
+ * Credentials are written to the file only when the encryption is available.
+ * Otherwise they are kept in memory until the application is closed.
+ *
+ * In the `ask()` function it emits the `auth-request` event with the
+ * request details. The credentials are passed back with the `respond()` function.
+ */
+export class AuthCredentials extends EventEmitter {
+  /**
+   * @param {?Object} opts Configuration options
+   * @param {?String} opts.file Location of the credentials file.
+   * @param {?Object} opts.encryption An object with `isEncryptionAvailable()`,
+   * `encryptString()` and `decryptString()` functions, like Electron's `safeStorage`.
+   * @param {?Number} opts.askTimeout Number of milliseconds after which
+   * not answered request is canceled. Default to 60000.
+   */
+  constructor(opts={}) {
+    super();
+    this.file = opts.file;
+    this.encryption = opts.encryption;
+    this.askTimeout = typeof opts.askTimeout === 'number' ? opts.askTimeout : 60000;
+    /**
+     * Credentials by the origin.
+     * @type {Map<String, Object>}
+     */
+    this._credentials = new Map();
+    /**
+     * Requests waiting for the user credentials.
+     * @type {Map<String, Object>}
+     */
+    this._pending = new Map();
+  }
+
+  /**
+   * @return {Boolean} True when credentials can be written to the file.
+   */
+  canPersist() {
+    return !!this.file && !!this.encryption && this.encryption.isEncryptionAvailable();
+  }
+
+  /**
+   * Reads credentials from the file.
+   * Credentials that cannot be decrypted are ignored.
+   */
+  restore() {
+    if (!this.canPersist()) {
+      return;
+    }
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (e) {
+      return;
+    }
+    if (!Array.isArray(data)) {
+      return;
+    }
+    data.forEach((item) => {
+      if (!item || !item.origin || !item.password) {
+        return;
+      }
+      let password;
+      try {
+        password = this.encryption.decryptString(Buffer.from(item.password, 'base64'));
+      } catch (e) {
+        return;
+      }
+      this._credentials.set(item.origin, Object.assign({}, item, { password }));
+    });
+  }
+
+  /**
+   * @param {String} origin The origin of the credentials.
+   * @return {Object|undefined} Credentials with `origin`, `username`,
+   * `password`, `scheme`, `realm` and `created` properties.
+   */
+  get(origin) {
+    const item = this._credentials.get(origin);
+    return item ? Object.assign({}, item) : undefined;
+  }
+
+  /**
+   * Stores credentials for an origin.
+   *
+   * @param {String} origin The origin of the credentials.
+   * @param {Object} credentials The credentials with `username` and
+   * `password` and optional `scheme` and `realm` properties.
+   * @return {Promise<Boolean>} True when the credentials were written to the file.
+   */
+  async set(origin, credentials) {
+    if (!origin || !credentials || !credentials.username) {
+      throw new Error('The origin and the username are required');
+    }
+    this._credentials.set(origin, {
+      origin,
+      username: credentials.username,
+      password: credentials.password || '',
+      scheme: credentials.scheme,
+      realm: credentials.realm,
+      created: Date.now(),
+    });
+    return await this._store();
+  }
+
+  /**
+   * @return {Array<Object>} List of stored credentials without passwords.
+   */
+  list() {
+    const persisted = this.canPersist();
+    return Array.from(this._credentials.values()).map((item) => ({
+      origin: item.origin,
+      username: item.username,
+      scheme: item.scheme,
+      realm: item.realm,
+      created: item.created,
+      persisted,
+    }));
+  }
+
+  /**
+   * Removes credentials of an origin.
+   *
+   * @param {String} origin The origin of the credentials.
+   * @return {Promise<Boolean>} True when the credentials existed.
+   */
+  async remove(origin) {
+    if (!this._credentials.delete(origin)) {
+      return false;
+    }
+    await this._store();
+    return true;
+  }
+
+  /**
+   * Asks the user for credentials.
+   *
+   * @param {Object} details The request with `url`, `origin`, `host`, `port`,
+   * `realm`, `scheme` and `isProxy` properties.
+   * @return {Promise<Object|null>} The credentials with `username` and
+   * `password` or null when the request was canceled.
+   */
+  ask(details) {
+    nextRequestId++;
+    const id = String(nextRequestId);
+    const request = { origin: details.origin, scheme: details.scheme, realm: details.realm };
+    const result = new Promise((resolve) => {
+      request.resolve = resolve;
+    });
+    request.timeout = setTimeout(() => this.respond(id, null), this.askTimeout);
+    this._pending.set(id, request);
+    this.emit('auth-request', Object.assign({ id }, details));
+    return result;
+  }
+
+  /**
+   * Passes the user credentials for a pending authentication request.
+   *
+   * @param {String} id The request id from the `auth-request` event.
+   * @param {Object=} credentials The credentials with `username` and `password`.
+   * When not set the request is canceled.
+   * @param {Boolean=} remember Whether to store the credentials for the origin.
+   * @return {Promise<Boolean>} True when the request was pending.
+   */
+  async respond(id, credentials, remember) {
+    const request = this._pending.get(id);
+    if (!request) {
+      return false;
+    }
+    this._pending.delete(id);
+    clearTimeout(request.timeout);
+    if (!credentials || !credentials.username) {
+      request.resolve(null);
+      return true;
+    }
+    const { username, password='' } = credentials;
+    request.resolve({ username, password });
+    if (remember) {
+      await this.set(request.origin, {
+        username,
+        password,
+        scheme: request.scheme,
+        realm: request.realm,
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Cancels pending requests.
+   */
+  cancelPending() {
+    for (const id of Array.from(this._pending.keys())) {
+      this.respond(id, null);
+    }
+  }
+
+  /**
+   * Writes credentials to the file when the encryption is available.
+   * @return {Promise<Boolean>} True when the credentials were written.
+   */
+  async _store() {
+    if (!this.canPersist()) {
+      return false;
+    }
+    const data = Array.from(this._credentials.values()).map((item) => Object.assign({}, item, {
+      password: this.encryption.encryptString(item.password).toString('base64'),
+    }));
+    await fs.promises.writeFile(this.file, JSON.stringify(data));
+    return true;
+  }
+}
@@ -0,0 +1,234 @@
+import EventEmitter from 'events';
+
+/**
+ * List of supported certificate error policy modes.
+ * - `accept` - all invalid certificates are accepted
+ * - `reject` - all invalid certificates are rejected
+ * - `allowlist` - only certificates for hosts from `allowedHosts` are accepted
+ * - `ask` - the user decides whether to accept a certificate
+ */
+export const CERTIFICATE_MODES = ['accept', 'reject', 'allowlist', 'ask'];
+
+let nextRequestId = 0;
+
+/**
+ * A class that decides whether an invalid certificate is accepted in
+ * the web session window.
+ *
+ * In the `ask` mode it emits the `certificate-request` event with certificate
+ * details. The decision is passed back with the `respond()` function.
+ * When requested, the decisions are remembered per host and certificate
+ * fingerprint until they are revoked or the application is closed.
+ */
+export class CertificatePolicy extends EventEmitter {
+  /**
+   * @param {?Object} opts Configuration options
+   * @param {?String} opts.mode The policy mode. Default to `accept`.
+   * @param {?Array<String>} opts.allowedHosts List of hosts for which invalid
+   * certificates are accepted in the `allowlist` mode. A host can start with
+   * `*.` to match all subdomains.
+   * @param {?Number} opts.askTimeout Number of milliseconds after which
+   * not answered request is rejected. Default to 60000.
+   */
+  constructor(opts={}) {
+    super();
+    this.mode = 'accept';
+    this.allowedHosts = [];
+    this.askTimeout = 60000;
+    /**
+     * Remembered decisions. Keys are `host;fingerprint`.
+     * @type {Map<String, Object>}
+     */
+    this._decisions = new Map();
+    /**
+     * Requests waiting for the user decision.
+     * @type {Map<String, Object>}
+     */
+    this._pending = new Map();
+    this.configure(opts);
+  }
+
+  /**
+   * Updates the policy configuration.
+   *
+   * @param {Object} opts Configuration options as in the constructor.
+   */
+  configure(opts={}) {
+    if (opts.mode !== undefined) {
+      if (CERTIFICATE_MODES.indexOf(opts.mode) === -1) {
+        throw new Error(`Unknown certificate policy mode: ${opts.mode}`);
+      }
+      this.mode = opts.mode;
+    }
+    if (Array.isArray(opts.allowedHosts)) {
+      this.allowedHosts = opts.allowedHosts.map((host) => String(host).toLowerCase());
+    }
+    if (typeof opts.askTimeout === 'number') {
+      this.askTimeout = opts.askTimeout;
+    }
+  }
+
+  /**
+   * @return {Object} Current policy configuration.
+   */
+  getConfig() {
+    return {
+      mode: this.mode,
+      allowedHosts: this.allowedHosts.slice(),
+      askTimeout: this.askTimeout,
+    };
+  }
+
+  /**
+   * Decides whether a certificate is accepted.
+   *
+   * @param {String} url The URL that caused the certificate error.
+   * @param {String} error The error code.
+   * @param {Object} certificate Electron's certificate object.
+   * @return {Promise<Boolean>} True when the certificate is accepted.
+   */
+  async evaluate(url, error, certificate) {
+    const host = this._readHost(url);
+    const fingerprint = certificate && certificate.fingerprint;
+    const decision = this._decisions.get(this._decisionKey(host, fingerprint));
+    if (decision) {
+      return decision.allowed;
+    }
+    switch (this.mode) {
+      case 'accept': return true;
+      case 'reject': return false;
+      case 'allowlist': return this.isAllowedHost(host);
+      case 'ask': return await this._ask(url, host, error, certificate);
+      default: return false;
+    }
+  }
+
+  /**
+   * @param {String} host A host name with optional port.
+   * @return {Boolean} True when the host is in the `allowedHosts` list.
+   */
+  isAllowedHost(host) {
+    if (!host) {
+      return false;
+    }
+    host = host.toLowerCase();
+    const hostname = host.split(':')[0];
+    return this.allowedHosts.some((allowed) => {
+      if (allowed.indexOf('*.') === 0) {
+        return hostname.endsWith(allowed.substr(1));
+      }
+      return allowed === host || allowed === hostname;
+    });
+  }
+
+  /**
+   * Passes the user decision for a pending certificate request.
+   *
+   * @param {String} id The request id from the `certificate-request` event.
+   * @param {Boolean} allowed Whether the certificate is accepted.
+   * @param {Boolean=} remember Whether to remember the decision for the host
+   * and the certificate. Default to false.
+   * @return {Boolean} True when the request was pending.
+   */
+  respond(id, allowed, remember=false) {
+    const request = this._pending.get(id);
+    if (!request) {
+      return false;
+    }
+    this._pending.delete(id);
+    clearTimeout(request.timeout);
+    allowed = !!allowed;
+    if (remember) {
+      this._decisions.set(this._decisionKey(request.host, request.fingerprint), {
+        host: request.host,
+        fingerprint: request.fingerprint,
+        subjectName: request.subjectName,
+        issuerName: request.issuerName,
+        allowed,
+        created: Date.now(),
+      });
+    }
+    request.resolve(allowed);
+    return true;
+  }
+
+  /**
+   * @return {Array<Object>} List of remembered decisions.
+   */
+  listDecisions() {
+    return Array.from(this._decisions.values()).map((item) => Object.assign({}, item));
+  }
+
+  /**
+   * Removes remembered decisions.
+   *
+   * @param {String} host The host of the decision.
+   * @param {String=} fingerprint The certificate fingerprint. When not set
+   * all decisions for the host are removed.
+   * @return {Number} Number of removed decisions.
+   */
+  revokeDecision(host, fingerprint) {
+    let removed = 0;
+    for (const [key, item] of Array.from(this._decisions.entries())) {
+      if (item.host === host && (!fingerprint || item.fingerprint === fingerprint)) {
+        this._decisions.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Removes all remembered decisions and rejects pending requests.
+   */
+  clear() {
+    this._decisions.clear();
+    for (const id of Array.from(this._pending.keys())) {
+      this.respond(id, false, false);
+    }
+  }
+
+  _ask(url, host, error, certificate) {
+    nextRequestId++;
+    const id = String(nextRequestId);
+    const cert = certificate || {};
+    const request = {
+      host,
+      fingerprint: cert.fingerprint,
+      subjectName: cert.subjectName,
+      issuerName: cert.issuerName,
+    };
+    const result = new Promise((resolve) => {
+      request.resolve = resolve;
+    });
+    request.timeout = setTimeout(() => this.respond(id, false, false), this.askTimeout);
+    this._pending.set(id, request);
+    this.emit('certificate-request', {
+      id,
+      url,
+      host,
+      error,
+      certificate: {
+        subjectName: cert.subjectName,
+        issuerName: cert.issuerName,
+        fingerprint: cert.fingerprint,
+        serialNumber: cert.serialNumber,
+        validStart: cert.validStart,
+        validExpiry: cert.validExpiry,
+      },
+    });
+    return result;
+  }
+
+  _readHost(url) {
+    try {
+      return new URL(url).host.toLowerCase();
+    } catch (e) {
+      return '';
+    }
+  }
+
+  _decisionKey(host, fingerprint) {
+    return `${host};${fingerprint}`;
+  }
+}
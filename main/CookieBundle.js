@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+
+export const BUNDLE_FORMAT = 'arc-session-bundle';
+export const BUNDLE_VERSION = 1;
+
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const SALT_LENGTH = 16;
+const TAG_LENGTH = 16;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+function deriveKey(password, salt, params) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, KEY_LENGTH, params, (err, key) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(key);
+      }
+    });
+  });
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || !password) {
+    throw new Error('The password is required');
+  }
+}
+
+/**
+ * Encrypts data with a key derived from a password.
+ * The key is derived with scrypt and the data is encrypted with AES-256-GCM.
+ * The bundle header (format, version and key derivation parameters) is
+ * authenticated with the data.
+ *
+ * @param {Object} payload Data to encrypt
+ * @param {String} password The password
+ * @return {Promise<String>} The encrypted bundle as a JSON string.
+ */
+export async function encryptBundle(payload, password) {
+  validatePassword(password);
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const header = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    cipher: CIPHER,
+    kdf: Object.assign({ name: 'scrypt', salt: salt.toString('base64') }, SCRYPT_PARAMS),
+    iv: iv.toString('base64'),
+  };
+  const key = await deriveKey(password, salt, SCRYPT_PARAMS);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv, { authTagLength: TAG_LENGTH });
+  cipher.setAAD(Buffer.from(JSON.stringify(header)));
+  const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+  return JSON.stringify(Object.assign({}, header, {
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  }));
+}
+
+/**
+ * Decrypts a bundle created with `encryptBundle()`.
+ *
+ * @param {String} bundle The encrypted bundle
+ * @param {String} password The password
+ * @return {Promise<Object>} Decrypted data
+ * @throws {Error} When the bundle is invalid, has key derivation parameters
+ * other than the ones used by `encryptBundle()`, the password is incorrect
+ * or the bundle was modified.
+ */
+export async function decryptBundle(bundle, password) {
+  validatePassword(password);
+  let value;
+  try {
+    value = typeof bundle === 'string' ? JSON.parse(bundle) : bundle;
+  } catch (e) {
+    throw new Error('The session bundle is not valid JSON');
+  }
+  if (!value || value.format !== BUNDLE_FORMAT) {
+    throw new Error('The data is not a session bundle');
+  }
+  if (value.version !== BUNDLE_VERSION || value.cipher !== CIPHER || !value.kdf || value.kdf.name !== 'scrypt') {
+    throw new Error('Unsupported session bundle version');
+  }
+  const { format, version, cipher: cipherName, kdf, iv } = value;
+  // The parameters come from the file. Other values could make the key
+  // derivation take hours before the authentication tag is checked.
+  if (Object.keys(SCRYPT_PARAMS).some((name) => kdf[name] !== SCRYPT_PARAMS[name]) || typeof kdf.salt !== 'string') {
+    throw new Error('Unsupported key derivation parameters of the session bundle');
+  }
+  const header = { format, version, cipher: cipherName, kdf, iv };
+  const key = await deriveKey(password, Buffer.from(kdf.salt, 'base64'), SCRYPT_PARAMS);
+  let data;
+  try {
+    const tag = Buffer.from(value.tag, 'base64');
+    // Without the length check a truncated tag would be accepted.
+    if (tag.length !== TAG_LENGTH) {
+      throw new Error('Invalid authentication tag');
+    }
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(iv, 'base64'), { authTagLength: TAG_LENGTH });
+    decipher.setAAD(Buffer.from(JSON.stringify(header)));
+    decipher.setAuthTag(tag);
+    data = Buffer.concat([decipher.update(Buffer.from(value.data, 'base64')), decipher.final()]);
+  } catch (e) {
+    throw new Error('Invalid password or the session bundle was modified');
+  }
+  return JSON.parse(data.toString('utf8'));
+}
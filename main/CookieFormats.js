@@ -0,0 +1,182 @@
+import { translateCookieForWeb, translateCookieForElectron } from '../lib/CookieTranslator.js';
+
+/**
+ * List of supported cookie jar formats.
+ * - `json` - a list of cookies in the web (ARC) cookie model
+ * - `netscape` - Netscape's `cookies.txt` file as used by curl or wget
+ * - `har` - HAR's `cookies` array
+ */
+export const COOKIE_FORMATS = ['json', 'netscape', 'har'];
+
+const NETSCAPE_HEADER = '# Netscape HTTP Cookie File';
+const HTTP_ONLY_PREFIX = '#HttpOnly_';
+
+/**
+ * Serializes a list of Electron's cookies to one of supported formats.
+ *
+ * @param {Array<Object>} cookies List of Electron's cookies
+ * @param {String} format One of `COOKIE_FORMATS`
+ * @return {String} Serialized cookies
+ */
+export function serializeCookies(cookies, format) {
+  switch (format) {
+    case 'json': return toJson(cookies);
+    case 'netscape': return toNetscape(cookies);
+    case 'har': return toHar(cookies);
+    default: throw new Error(`Unsupported cookies format: ${format}`);
+  }
+}
+
+/**
+ * Parses serialized cookies to a list of Electron's cookies.
+ * Each cookie has the `hostOnly` property set so the cookie can be
+ * stored as a host only or as a domain cookie.
+ *
+ * @param {String} data Serialized cookies
+ * @param {String} format One of `COOKIE_FORMATS`
+ * @return {Array<Object>} List of Electron's cookies
+ */
+export function parseCookies(data, format) {
+  switch (format) {
+    case 'json': return fromJson(data);
+    case 'netscape': return fromNetscape(data);
+    case 'har': return fromHar(data);
+    default: throw new Error(`Unsupported cookies format: ${format}`);
+  }
+}
+
+/**
+ * @param {String} data JSON string
+ * @return {Array<Object>} List of cookies from the JSON data.
+ * The data can be a list of cookies or an object with `cookies` property.
+ */
+function readJsonList(data) {
+  let value = typeof data === 'string' ? JSON.parse(data) : data;
+  if (value && !Array.isArray(value)) {
+    value = value.cookies;
+  }
+  if (!Array.isArray(value)) {
+    throw new Error('Cookies data is not a list of cookies');
+  }
+  return value;
+}
+
+function toJson(cookies) {
+  const result = cookies.map((cookie) => translateCookieForWeb(Object.assign({}, cookie)));
+  return JSON.stringify(result, null, 2);
+}
+
+function fromJson(data) {
+  return readJsonList(data).map((cookie) => {
+    const result = translateCookieForElectron(Object.assign({}, cookie));
+    if (typeof result.hostOnly !== 'boolean') {
+      result.hostOnly = !!result.domain && result.domain[0] !== '.';
+    }
+    return result;
+  });
+}
+
+function toNetscape(cookies) {
+  const lines = [NETSCAPE_HEADER, ''];
+  cookies.forEach((cookie) => {
+    let { domain } = cookie;
+    if (!domain) {
+      // a line of the file cannot be created without the domain
+      return;
+    }
+    if (!cookie.hostOnly && domain[0] !== '.') {
+      domain = `.${domain}`;
+    }
+    if (cookie.httpOnly) {
+      domain = HTTP_ONLY_PREFIX + domain;
+    }
+    const expires = cookie.session || !cookie.expirationDate ? 0 : Math.round(cookie.expirationDate);
+    lines.push([
+      domain,
+      cookie.hostOnly ? 'FALSE' : 'TRUE',
+      cookie.path || '/',
+      cookie.secure ? 'TRUE' : 'FALSE',
+      expires,
+      cookie.name,
+      cookie.value,
+    ].join('\t'));
+  });
+  return lines.join('\n') + '\n';
+}
+
+function fromNetscape(data) {
+  const result = [];
+  String(data).split(/\r?\n/).forEach((line) => {
+    if (!line.trim()) {
+      return;
+    }
+    let httpOnly = false;
+    if (line.indexOf(HTTP_ONLY_PREFIX) === 0) {
+      httpOnly = true;
+      line = line.substr(HTTP_ONLY_PREFIX.length);
+    } else if (line[0] === '#') {
+      return;
+    }
+    const parts = line.split('\t');
+    if (parts.length < 6) {
+      return;
+    }
+    const [domain, subdomains, path, secure, expires, name, value=''] = parts;
+    const hostOnly = subdomains.toUpperCase() !== 'TRUE';
+    const cookie = {
+      name,
+      value,
+      domain: hostOnly && domain[0] === '.' ? domain.substr(1) : domain,
+      hostOnly,
+      path: path || '/',
+      secure: secure.toUpperCase() === 'TRUE',
+      httpOnly,
+    };
+    const expirationDate = Number(expires);
+    if (expirationDate > 0) {
+      cookie.expirationDate = expirationDate;
+    }
+    result.push(cookie);
+  });
+  return result;
+}
+
+function toHar(cookies) {
+  const result = cookies.map((cookie) => {
+    const web = translateCookieForWeb(Object.assign({}, cookie));
+    const item = {
+      name: web.name,
+      value: web.value,
+      path: web.path,
+      domain: web.domain,
+      httpOnly: !!web.httpOnly,
+      secure: !!web.secure,
+    };
+    if (web.expires && !web.session) {
+      item.expires = new Date(web.expires).toISOString();
+    }
+    return item;
+  });
+  return JSON.stringify(result, null, 2);
+}
+
+function fromHar(data) {
+  return readJsonList(data).map((item) => {
+    const cookie = {
+      name: item.name,
+      value: item.value,
+      path: item.path || '/',
+      domain: item.domain,
+      hostOnly: !!item.domain && item.domain[0] !== '.',
+      httpOnly: !!item.httpOnly,
+      secure: !!item.secure,
+    };
+    if (item.expires) {
+      const expires = new Date(item.expires).getTime();
+      if (!Number.isNaN(expires)) {
+        cookie.expires = expires;
+      }
+    }
+    return translateCookieForElectron(cookie);
+  });
+}
@@ -0,0 +1,179 @@
+/**
+ * A bounded log of cookie changes in the session partitions.
+ *
+ * Each entry has the following properties:
+ * - `id` - entry id
+ * - `time` - the timestamp of the change
+ * - `partition` - the partition id
+ * - `cause` - Electron's change cause
+ * - `removed` - whether the cookie was removed
+ * - `name`, `domain`, `path` - the cookie identity
+ * - `oldValue` - the value before the change, if known
+ * - `newValue` - the value after the change. Not set for removed cookies.
+ * - `source` - optional provenance of the change, e.g. the response that set
+ * the cookie.
+ */
+export class CookieHistory {
+  /**
+   * @param {?Object} opts Configuration options
+   * @param {?Number} opts.limit Maximum number of entries. Default to 1000.
+   */
+  constructor(opts={}) {
+    this.limit = typeof opts.limit === 'number' ? opts.limit : 1000;
+    /**
+     * @type {Array<Object>}
+     */
+    this._entries = [];
+    /**
+     * Values of cookies removed because of overwrite, waiting for the new value.
+     * @type {Map<String, String>}
+     */
+    this._overwritten = new Map();
+    /**
+     * Provenance of cookies that are about to be stored.
+     * @type {Map<String, Object>}
+     */
+    this._sources = new Map();
+    this._nextId = 0;
+  }
+
+  /**
+   * Registers the provenance of a cookie that is about to be stored.
+   * The source is added to the history entry of the next change of the cookie.
+   *
+   * @param {String} partition The partition id
+   * @param {Object} cookie The cookie with `name`, `domain` and `path`
+   * @param {Object} source The provenance of the change
+   */
+  expect(partition, cookie, source) {
+    const key = this._key(partition, cookie);
+    this._sources.delete(key);
+    this._sources.set(key, source);
+    if (this._sources.size > this.limit) {
+      this._sources.delete(this._sources.keys().next().value);
+    }
+  }
+
+  /**
+   * Adds a cookie change to the history.
+   * A removal caused by overwrite is not recorded. The old value is
+   * set on the entry of the following change instead.
+   *
+   * @param {Object} change The change with `cookie`, `cause`, `removed`
+   * and `partition` properties.
+   * @return {Object|undefined} Created history entry.
+   */
+  record(change) {
+    const { cookie, cause, removed, partition } = change;
+    const key = this._key(partition, cookie);
+    if (removed && cause === 'overwrite') {
+      this._overwritten.set(key, cookie.value);
+      return;
+    }
+    this._nextId++;
+    const entry = {
+      id: this._nextId,
+      time: Date.now(),
+      partition,
+      cause,
+      removed: !!removed,
+      name: cookie.name,
+      domain: cookie.domain,
+      path: cookie.path,
+    };
+    if (removed) {
+      entry.oldValue = cookie.value;
+    } else {
+      entry.newValue = cookie.value;
+      if (this._overwritten.has(key)) {
+        entry.oldValue = this._overwritten.get(key);
+      }
+    }
+    this._overwritten.delete(key);
+    if (this._sources.has(key)) {
+      entry.source = this._sources.get(key);
+      this._sources.delete(key);
+    }
+    this._entries.push(entry);
+    if (this._entries.length > this.limit) {
+      this._entries.splice(0, this._entries.length - this.limit);
+    }
+    return entry;
+  }
+
+  /**
+   * Queries the history. The most recent changes are returned first.
+   *
+   * @param {Object=} query
+   * @param {String=} query.partition The partition id
+   * @param {String=} query.name The cookie name
+   * @param {String=} query.domain The cookie domain. Subdomains are included.
+   * @param {String=} query.cause Electron's change cause
+   * @param {Number=} query.since Minimum change timestamp
+   * @param {Number=} query.until Maximum change timestamp
+   * @param {Number=} query.offset Number of entries to skip
+   * @param {Number=} query.limit Maximum number of entries to return
+   * @return {Object} An object with `total` number of matching entries and
+   * `items` list of entries.
+   */
+  query(query={}) {
+    const domain = query.domain && this._normalizeDomain(query.domain);
+    const matching = this._entries.filter((entry) => {
+      if (query.partition && entry.partition !== query.partition) {
+        return false;
+      }
+      if (query.name && entry.name !== query.name) {
+        return false;
+      }
+      if (query.cause && entry.cause !== query.cause) {
+        return false;
+      }
+      if (query.since && entry.time < query.since) {
+        return false;
+      }
+      if (query.until && entry.time > query.until) {
+        return false;
+      }
+      if (domain) {
+        const entryDomain = this._normalizeDomain(entry.domain);
+        if (entryDomain !== domain && !entryDomain.endsWith(`.${domain}`)) {
+          return false;
+        }
+      }
+      return true;
+    }).reverse();
+    const offset = query.offset || 0;
+    const end = typeof query.limit === 'number' ? offset + query.limit : undefined;
+    return {
+      total: matching.length,
+      items: matching.slice(offset, end).map((entry) => Object.assign({}, entry)),
+    };
+  }
+
+  /**
+   * Removes entries from the history.
+   *
+   * @param {String=} partition When set only entries of the partition are removed.
+   * @return {Number} Number of removed entries.
+   */
+  clear(partition) {
+    const size = this._entries.length;
+    if (partition) {
+      this._entries = this._entries.filter((entry) => entry.partition !== partition);
+    } else {
+      this._entries = [];
+      this._overwritten.clear();
+      this._sources.clear();
+    }
+    return size - this._entries.length;
+  }
+
+  _normalizeDomain(domain) {
+    domain = (domain || '').toLowerCase();
+    return domain[0] === '.' ? domain.substr(1) : domain;
+  }
+
+  _key(partition, cookie) {
+    return `${partition};${cookie.name};${this._normalizeDomain(cookie.domain)};${cookie.path || '/'}`;
+  }
+}
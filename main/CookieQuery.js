@@ -0,0 +1,107 @@
+import { matchCookieDomain, matchCookieName } from '../lib/CookieMatch.js';
+
+/**
+ * List of properties the result of `queryCookies()` can be sorted by.
+ * Prefix the property with `-` to sort in descending order.
+ */
+export const COOKIE_SORT_FIELDS = ['name', 'value', 'domain', 'path', 'expires'];
+
+function matchQuery(cookie, query, text) {
+  if (query.domain && !matchCookieDomain(cookie.domain, query.domain)) {
+    return false;
+  }
+  if (query.name && !matchCookieName(cookie.name, query.name)) {
+    return false;
+  }
+  if (query.path && (cookie.path || '/') !== query.path) {
+    return false;
+  }
+  if (typeof query.secure === 'boolean' && !!cookie.secure !== query.secure) {
+    return false;
+  }
+  if (typeof query.httpOnly === 'boolean' && !!cookie.httpOnly !== query.httpOnly) {
+    return false;
+  }
+  if (typeof query.session === 'boolean' && !!cookie.session !== query.session) {
+    return false;
+  }
+  if (query.sameSite && cookie.sameSite !== query.sameSite) {
+    return false;
+  }
+  if (query.expiresBefore) {
+    if (cookie.session || !cookie.expirationDate || cookie.expirationDate * 1000 >= query.expiresBefore) {
+      return false;
+    }
+  }
+  if (text) {
+    const found = [cookie.name, cookie.value, cookie.domain, cookie.path].some((value) =>
+      String(value || '').toLowerCase().indexOf(text) !== -1);
+    if (!found) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function sortValue(cookie, field) {
+  if (field === 'expires') {
+    // session cookies expire last
+    return cookie.session || !cookie.expirationDate ? Infinity : cookie.expirationDate;
+  }
+  return String(cookie[field] || '').toLowerCase();
+}
+
+function createComparator(sort) {
+  const descending = sort[0] === '-';
+  const field = descending ? sort.substr(1) : sort;
+  if (COOKIE_SORT_FIELDS.indexOf(field) === -1) {
+    throw new Error(`Unsupported sort field: ${field}`);
+  }
+  const direction = descending ? -1 : 1;
+  return (a, b) => {
+    const aValue = sortValue(a, field);
+    const bValue = sortValue(b, field);
+    if (aValue === bValue) {
+      return 0;
+    }
+    return aValue > bValue ? direction : -direction;
+  };
+}
+
+/**
+ * Filters, sorts and pages a list of Electron's cookies.
+ *
+ * @param {Array<Object>} cookies List of Electron's cookies
+ * @param {Object=} query
+ * @param {String=} query.domain The cookie domain. Subdomains are included.
+ * @param {String|RegExp=} query.name The cookie name. A string can contain
+ * `*` that matches any characters.
+ * @param {String=} query.path The cookie path.
+ * @param {Boolean=} query.secure
+ * @param {Boolean=} query.httpOnly
+ * @param {String=} query.sameSite Electron's `sameSite` value.
+ * @param {Boolean=} query.session
+ * @param {Number=} query.expiresBefore A timestamp in milliseconds. Only
+ * persistent cookies expiring before this time are returned.
+ * @param {String=} query.text A text to search for in the cookie name,
+ * value, domain and path. The search is case insensitive.
+ * @param {String=} query.sort One of `COOKIE_SORT_FIELDS`, optionally
+ * prefixed with `-` for descending order.
+ * @param {Number=} query.offset Number of cookies to skip
+ * @param {Number=} query.limit Maximum number of cookies to return
+ * @return {Object} An object with `total` number of matching cookies and
+ * `items` list of cookies.
+ */
+export function queryCookies(cookies, query={}) {
+  const text = query.text ? String(query.text).toLowerCase() : undefined;
+  const matching = cookies.filter((cookie) => matchQuery(cookie, query, text));
+  if (query.sort) {
+    matching.sort(createComparator(query.sort));
+  }
+  const offset = query.offset || 0;
+  const end = typeof query.limit === 'number' ? offset + query.limit : undefined;
+  return {
+    total: matching.length,
+    items: matching.slice(offset, end),
+  };
+}
@@ -0,0 +1,175 @@
+import fs from 'fs';
+import path from 'path';
+
+const SNAPSHOT_EXTENSION = '.json';
+/**
+ * Cookie properties compared when computing a difference between snapshots.
+ */
+const COMPARED_PROPERTIES = ['value', 'secure', 'httpOnly', 'hostOnly', 'session', 'expirationDate', 'sameSite'];
+
+/**
+ * Stores snapshots of the cookie jar as JSON files in a directory.
+ * Each snapshot has the following properties:
+ * - `name` - the snapshot name
+ * - `partition` - the id of the partition the snapshot was created from
+ * - `created` - the timestamp of the snapshot
+ * - `cookies` - the list of Electron's cookies
+ */
+export class SnapshotStore {
+  /**
+   * @param {String} directory Location of the snapshot files.
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * Throws when the snapshot name is invalid.
+   * @param {String} name The snapshot name.
+   */
+  validateName(name) {
+    if (!name || !/^[a-zA-Z0-9_-]+$/.test(name)) {
+      throw new Error(`Invalid snapshot name: ${name}`);
+    }
+  }
+
+  /**
+   * Writes a snapshot to the store. An existing snapshot with the same
+   * name is replaced.
+   *
+   * @param {Object} snapshot The snapshot to write.
+   * @return {Promise<Object>} The snapshot metadata.
+   */
+  async write(snapshot) {
+    this.validateName(snapshot.name);
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const file = this._filePath(snapshot.name);
+    const tmp = `${file}.tmp`;
+    // the file is renamed so a failed write does not corrupt an existing snapshot
+    await fs.promises.writeFile(tmp, JSON.stringify(snapshot));
+    await fs.promises.rename(tmp, file);
+    return this._metadata(snapshot);
+  }
+
+  /**
+   * @param {String} name The snapshot name.
+   * @return {Promise<Object>} The snapshot with the list of cookies.
+   */
+  async read(name) {
+    this.validateName(name);
+    let data;
+    try {
+      data = await fs.promises.readFile(this._filePath(name), 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        throw new Error(`Unknown snapshot: ${name}`);
+      }
+      throw e;
+    }
+    return JSON.parse(data);
+  }
+
+  /**
+   * @return {Promise<Array<Object>>} Metadata of all stored snapshots with
+   * `name`, `partition`, `created` and `count` properties, oldest first.
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.directory);
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        return [];
+      }
+      throw e;
+    }
+    const result = [];
+    for (const file of files) {
+      if (path.extname(file) !== SNAPSHOT_EXTENSION) {
+        continue;
+      }
+      try {
+        const data = await fs.promises.readFile(path.join(this.directory, file), 'utf8');
+        result.push(this._metadata(JSON.parse(data)));
+      } catch (e) {
+        // invalid snapshot files are ignored
+      }
+    }
+    return result.sort((a, b) => a.created - b.created);
+  }
+
+  /**
+   * Removes a snapshot from the store.
+   *
+   * @param {String} name The snapshot name.
+   * @return {Promise<Boolean>} True when the snapshot existed.
+   */
+  async remove(name) {
+    this.validateName(name);
+    try {
+      await fs.promises.unlink(this._filePath(name));
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        return false;
+      }
+      throw e;
+    }
+    return true;
+  }
+
+  _filePath(name) {
+    return path.join(this.directory, name + SNAPSHOT_EXTENSION);
+  }
+
+  _metadata(snapshot) {
+    return {
+      name: snapshot.name,
+      partition: snapshot.partition,
+      created: snapshot.created,
+      count: Array.isArray(snapshot.cookies) ? snapshot.cookies.length : 0,
+    };
+  }
+}
+
+function cookieKey(cookie) {
+  let domain = (cookie.domain || '').toLowerCase();
+  if (domain[0] === '.') {
+    domain = domain.substr(1);
+  }
+  return `${cookie.name};${domain};${cookie.path || '/'}`;
+}
+
+/**
+ * Computes a difference between two lists of Electron's cookies.
+ * Cookies are identified by name, domain and path.
+ *
+ * @param {Array<Object>} before The first list of cookies.
+ * @param {Array<Object>} after The second list of cookies.
+ * @return {Object} An object with `added` and `removed` lists of cookies and
+ * `changed` list of objects with `before`, `after` and `properties` (list of
+ * changed properties).
+ */
+export function diffCookies(before, after) {
+  const previous = new Map();
+  before.forEach((cookie) => previous.set(cookieKey(cookie), cookie));
+  const added = [];
+  const changed = [];
+  after.forEach((cookie) => {
+    const key = cookieKey(cookie);
+    const old = previous.get(key);
+    if (!old) {
+      added.push(cookie);
+      return;
+    }
+    previous.delete(key);
+    const properties = COMPARED_PROPERTIES.filter((property) => old[property] !== cookie[property]);
+    if (properties.length) {
+      changed.push({ before: old, after: cookie, properties });
+    }
+  });
+  return {
+    added,
+    removed: Array.from(previous.values()),
+    changed,
+  };
+}
@@ -1,6 +1,26 @@
-import { session, BrowserWindow, ipcMain, app } from 'electron';
+import { session, BrowserWindow, ipcMain, app, safeStorage } from 'electron';
 import EventEmitter from 'events';
+import fs from 'fs';
+import path from 'path';
+import { serializeCookies, parseCookies } from './CookieFormats.js';
+import { CertificatePolicy } from './CertificatePolicy.js';
+import { CookieHistory } from './CookieHistory.js';
+import { SnapshotStore, diffCookies } from './CookieSnapshots.js';
+import { queryCookies } from './CookieQuery.js';
+import { matchCookieDomain, matchCookieName, toCookieUrl } from '../lib/CookieMatch.js';
+import { validateCookie, normalizeSameSite, CookieError } from '../lib/CookieValidator.js';
+import { encryptBundle, decryptBundle } from './CookieBundle.js';
+import { validateRules } from '../lib/CookieRules.js';
+import { createClearOptions, cookieOrigins, readStorageUsage } from './SessionStorage.js';
+import { AuthCredentials } from './AuthCredentials.js';
+import { TokenStore, extractUrlTokens, extractHeaderTokens, captureResponseHeaders } from './TokenCapture.js';
+import { PublicSuffixList } from '../lib/PublicSuffixList.js';
 export const PERSISTNAME = 'persist:web-session';
+export const DEFAULT_PARTITION = 'default';
+/**
+ * Location of the public suffix list bundled with the library.
+ */
+export const BUNDLED_PUBLIC_SUFFIX_LIST = path.join(__dirname, '..', 'lib', 'public_suffix_list.dat');
 /**
  * A class responsible for managing chrome web session.
  */
@@ -9,12 +29,153 @@ export class SessionManager extends EventEmitter {
    * @param {?Object} opts Configuration options
    * @param {?Array<String>} opts.appUrls A list of application internal URLs for
    * which certificate error shouuld not be ignored.
+   * @param {?Number} opts.changeBatchTimeout Number of milliseconds to wait
+   * before cookie changes are sent to the subscribed windows. Changes made
+   * in this time are sent in a single message. Default to 50.
+   * @param {?String} opts.partitionsFile Location of the file where the list
+   * of session partitions is stored. Default to `session-partitions.json`
+   * in the application's user data directory.
+   * @param {?Object} opts.certificatePolicy Configuration of the certificate
+   * error policy for the web session. See `CertificatePolicy` for options.
+   * @param {?Array<String>} opts.allowedPreloads List of preload script paths
+   * that can be used in the session window when opened from the renderer process.
+   * @param {?Number} opts.historyLimit Maximum number of cookie changes kept
+   * in the history. Default to 1000.
+   * @param {?String} opts.snapshotsDirectory Location of the cookie snapshot
+   * files. Default to `session-snapshots` in the application's user data directory.
+   * @param {?Number} opts.batchConcurrency Maximum number of cookies set or
+   * removed at the same time in a batch operation. Default to 4.
+   * @param {?Number} opts.flushDelay Number of milliseconds after a cookie
+   * change when the cookie store is written to the disk. Changes made in this
+   * time are written together. When 0 the store is written after each change.
+   * Default to 1000.
+   * @param {?String} opts.rulesFile Location of the file where the cookie
+   * policy rules are stored. Default to `cookie-rules.json` in the
+   * application's user data directory.
+   * @param {?String} opts.credentialsFile Location of the file where the HTTP
+   * authentication credentials are stored. Default to `session-credentials.json`
+   * in the application's user data directory. Credentials are stored only when
+   * Electron's `safeStorage` encryption is available.
+   * @param {?Number} opts.authAskTimeout Number of milliseconds after which
+   * not answered credentials request is canceled. Default to 60000.
+   * @param {?String} opts.publicSuffixFile Location of the file where the
+   * updated public suffix list is stored. Default to `public_suffix_list.dat`
+   * in the application's user data directory. When the file does not exist
+   * the list bundled with the library is used.
    */
   constructor(opts={}) {
     super();
     this.appUrls = opts.appUrls;
-    this._cookieChanged = this._cookieChanged.bind(this);
+    this.changeBatchTimeout = typeof opts.changeBatchTimeout === 'number' ? opts.changeBatchTimeout : 50;
+    /**
+     * Web contents that receive the `cookie-changed` event with a map of
+     * functions that removes the subscription when the web contents is destroyed.
+     * @type {Map<Object, Function>}
+     */
+    this._changeSubscribers = new Map();
+    /**
+     * List of cookie changes waiting to be sent to subscribers.
+     * @type {Array<Object>}
+     */
+    this._changeQueue = [];
+    this.partitionsFile = opts.partitionsFile;
+    /**
+     * Registered session partitions. The default partition always exists.
+     * @type {Map<String, Object>}
+     */
+    this._partitions = new Map();
+    this._partitions.set(DEFAULT_PARTITION, { id: DEFAULT_PARTITION, name: 'Default' });
+    /**
+     * An id of the partition used when the partition is not specified.
+     * @type {String}
+     */
+    this.currentPartition = DEFAULT_PARTITION;
+    /**
+     * Cookie `changed` event listeners registered on each partition.
+     * @type {Map<String, Function>}
+     */
+    this._partitionListeners = new Map();
+    /**
+     * Decides whether invalid certificates are accepted in the web session.
+     * @type {CertificatePolicy}
+     */
+    this.certificatePolicy = new CertificatePolicy(opts.certificatePolicy);
+    this.allowedPreloads = opts.allowedPreloads || [];
+    this.batchConcurrency = typeof opts.batchConcurrency === 'number' ? opts.batchConcurrency : 4;
+    this.flushDelay = typeof opts.flushDelay === 'number' ? opts.flushDelay : 1000;
+    /**
+     * Scheduled writes of the cookie stores by Electron's partition name.
+     * @type {Map<String, Number>}
+     */
+    this._pendingFlushes = new Map();
+    /**
+     * The log of cookie changes.
+     * @type {CookieHistory}
+     */
+    this.history = new CookieHistory({ limit: opts.historyLimit });
+    /**
+     * Stored snapshots of the cookie jar.
+     * @type {SnapshotStore}
+     */
+    this.snapshots = new SnapshotStore(opts.snapshotsDirectory);
+    /**
+     * Ids of partitions which cookies are being restored from a snapshot.
+     * @type {Set<String>}
+     */
+    this._restoring = new Set();
+    this.rulesFile = opts.rulesFile;
+    /**
+     * Cookie policy rules applied by the renderer process.
+     * See `validateRules()` for the rule description.
+     * @type {Array<Object>}
+     */
+    this._cookieRules = [];
+    /**
+     * HTTP authentication credentials of the web session.
+     * @type {AuthCredentials}
+     */
+    this.credentials = new AuthCredentials({
+      file: opts.credentialsFile,
+      encryption: safeStorage,
+      askTimeout: opts.authAskTimeout,
+    });
+    /**
+     * Keys (`webContents id;origin`) of authentication requests answered with
+     * stored credentials. When the request repeats before the navigation
+     * completes the user is asked instead. Values are functions that remove
+     * the key and its web contents listeners.
+     * @type {Map<String, Function>}
+     */
+    this._authAttempts = new Map();
+    /**
+     * Tokens captured in session windows used with requests to matching hosts.
+     * @type {TokenStore}
+     */
+    this.tokens = new TokenStore();
+    this.publicSuffixFile = opts.publicSuffixFile;
+    /**
+     * The list of public suffixes for which cookies cannot be set.
+     * @type {PublicSuffixList}
+     */
+    this.publicSuffixes = new PublicSuffixList();
+    /**
+     * Opened session windows by the window key.
+     * @type {Map<String, BrowserWindow>}
+     */
+    this._sessionWindows = new Map();
+    /**
+     * Functions that finish pending session window watches.
+     * @type {Set<Function>}
+     */
+    this._sessionWatches = new Set();
+    /**
+     * Session windows that set the proxy of a partition by the partition
+     * name. The proxy is reset when all windows are closed.
+     * @type {Map<String, Set<BrowserWindow>>}
+     */
+    this._windowProxies = new Map();
     this._handleOpenSessionWindow = this._handleOpenSessionWindow.bind(this);
+    this._openSessionWindowHandler = this._openSessionWindowHandler.bind(this);
     this._handleCertIssue = this._handleCertIssue.bind(this);
     this._getAllCookiesHandler = this._getAllCookiesHandler.bind(this);
     this._getDomainCookiesHandler = this._getDomainCookiesHandler.bind(this);
@@ -23,85 +184,610 @@ export class SessionManager extends EventEmitter {
     this._removeCookiesHandler = this._removeCookiesHandler.bind(this);
     this._removeCookieHandler = this._removeCookieHandler.bind(this);
     this._getUrlCookiesHandler = this._getUrlCookiesHandler.bind(this);
+    this._subscribeHandler = this._subscribeHandler.bind(this);
+    this._unsubscribeHandler = this._unsubscribeHandler.bind(this);
+    this._flushChanges = this._flushChanges.bind(this);
+    this._listPartitionsHandler = this._listPartitionsHandler.bind(this);
+    this._createPartitionHandler = this._createPartitionHandler.bind(this);
+    this._switchPartitionHandler = this._switchPartitionHandler.bind(this);
+    this._deletePartitionHandler = this._deletePartitionHandler.bind(this);
+    this._exportCookiesHandler = this._exportCookiesHandler.bind(this);
+    this._importCookiesHandler = this._importCookiesHandler.bind(this);
+    this._exportEncryptedHandler = this._exportEncryptedHandler.bind(this);
+    this._importEncryptedHandler = this._importEncryptedHandler.bind(this);
+    this._certificateRequestHandler = this._certificateRequestHandler.bind(this);
+    this._certificateResponseHandler = this._certificateResponseHandler.bind(this);
+    this._certificatePolicyHandler = this._certificatePolicyHandler.bind(this);
+    this._listCertificateDecisionsHandler = this._listCertificateDecisionsHandler.bind(this);
+    this._revokeCertificateDecisionHandler = this._revokeCertificateDecisionHandler.bind(this);
+    this._queryHistoryHandler = this._queryHistoryHandler.bind(this);
+    this._clearHistoryHandler = this._clearHistoryHandler.bind(this);
+    this._createSnapshotHandler = this._createSnapshotHandler.bind(this);
+    this._listSnapshotsHandler = this._listSnapshotsHandler.bind(this);
+    this._restoreSnapshotHandler = this._restoreSnapshotHandler.bind(this);
+    this._diffSnapshotsHandler = this._diffSnapshotsHandler.bind(this);
+    this._deleteSnapshotHandler = this._deleteSnapshotHandler.bind(this);
+    this._clearCookiesHandler = this._clearCookiesHandler.bind(this);
+    this._queryCookiesHandler = this._queryCookiesHandler.bind(this);
+    this._flushHandler = this._flushHandler.bind(this);
+    this._beforeQuitHandler = this._beforeQuitHandler.bind(this);
+    this._getCookieRulesHandler = this._getCookieRulesHandler.bind(this);
+    this._setCookieRulesHandler = this._setCookieRulesHandler.bind(this);
+    this._storageUsageHandler = this._storageUsageHandler.bind(this);
+    this._clearStorageHandler = this._clearStorageHandler.bind(this);
+    this._clearCacheHandler = this._clearCacheHandler.bind(this);
+    this._clearAuthCacheHandler = this._clearAuthCacheHandler.bind(this);
+    this._handleLogin = this._handleLogin.bind(this);
+    this._authRequestHandler = this._authRequestHandler.bind(this);
+    this._authResponseHandler = this._authResponseHandler.bind(this);
+    this._listCredentialsHandler = this._listCredentialsHandler.bind(this);
+    this._removeCredentialsHandler = this._removeCredentialsHandler.bind(this);
+    this._getAuthorizationHandler = this._getAuthorizationHandler.bind(this);
+    this._getTokenHandler = this._getTokenHandler.bind(this);
+    this._listTokensHandler = this._listTokensHandler.bind(this);
+    this._removeTokenHandler = this._removeTokenHandler.bind(this);
+    this._getPublicSuffixListHandler = this._getPublicSuffixListHandler.bind(this);
+    this._updatePublicSuffixListHandler = this._updatePublicSuffixListHandler.bind(this);
   }
 
   listen() {
+    this._restorePartitions();
+    this._restoreCookieRules();
+    this._restorePublicSuffixList();
+    if (!this.credentials.file) {
+      this.credentials.file = path.join(app.getPath('userData'), 'session-credentials.json');
+    }
+    this.credentials.restore();
+    if (!this.snapshots.directory) {
+      this.snapshots.directory = path.join(app.getPath('userData'), 'session-snapshots');
+    }
     this._session = this.getSessionCookies();
-    this._session.on('changed', this._cookieChanged);
+    for (const id of this._partitions.keys()) {
+      this._listenPartition(id);
+    }
     ipcMain.on('open-web-url', this._handleOpenSessionWindow);
+    ipcMain.handle('open-web-url', this._openSessionWindowHandler);
+    ipcMain.on('cookies-session-subscribe', this._subscribeHandler);
+    ipcMain.on('cookies-session-unsubscribe', this._unsubscribeHandler);
     ipcMain.handle('cookies-session-get-all', this._getAllCookiesHandler);
     ipcMain.handle('cookies-session-get-domain', this._getDomainCookiesHandler);
     ipcMain.handle('cookies-session-get-url', this._getUrlCookiesHandler);
+    ipcMain.handle('cookies-session-query', this._queryCookiesHandler);
     ipcMain.handle('cookies-session-set-cookie', this._setCookieHandler);
     ipcMain.handle('cookies-session-set-cookies', this._setCookiesHandler);
     ipcMain.handle('cookies-session-remove-cookie', this._removeCookieHandler);
     ipcMain.handle('cookies-session-remove-cookies', this._removeCookiesHandler);
+    ipcMain.handle('cookies-session-clear', this._clearCookiesHandler);
+    ipcMain.handle('cookies-session-flush', this._flushHandler);
+    ipcMain.handle('cookies-session-list-partitions', this._listPartitionsHandler);
+    ipcMain.handle('cookies-session-create-partition', this._createPartitionHandler);
+    ipcMain.handle('cookies-session-switch-partition', this._switchPartitionHandler);
+    ipcMain.handle('cookies-session-delete-partition', this._deletePartitionHandler);
+    ipcMain.handle('cookies-session-export', this._exportCookiesHandler);
+    ipcMain.handle('cookies-session-import', this._importCookiesHandler);
+    ipcMain.handle('cookies-session-export-encrypted', this._exportEncryptedHandler);
+    ipcMain.handle('cookies-session-import-encrypted', this._importEncryptedHandler);
+    ipcMain.handle('cookies-session-certificate-response', this._certificateResponseHandler);
+    ipcMain.handle('cookies-session-certificate-policy', this._certificatePolicyHandler);
+    ipcMain.handle('cookies-session-certificate-list', this._listCertificateDecisionsHandler);
+    ipcMain.handle('cookies-session-certificate-revoke', this._revokeCertificateDecisionHandler);
+    ipcMain.handle('cookies-session-history-query', this._queryHistoryHandler);
+    ipcMain.handle('cookies-session-history-clear', this._clearHistoryHandler);
+    ipcMain.handle('cookies-session-snapshot-create', this._createSnapshotHandler);
+    ipcMain.handle('cookies-session-snapshot-list', this._listSnapshotsHandler);
+    ipcMain.handle('cookies-session-snapshot-restore', this._restoreSnapshotHandler);
+    ipcMain.handle('cookies-session-snapshot-diff', this._diffSnapshotsHandler);
+    ipcMain.handle('cookies-session-snapshot-delete', this._deleteSnapshotHandler);
+    ipcMain.handle('cookies-session-rules-get', this._getCookieRulesHandler);
+    ipcMain.handle('cookies-session-rules-set', this._setCookieRulesHandler);
+    ipcMain.handle('cookies-session-storage-usage', this._storageUsageHandler);
+    ipcMain.handle('cookies-session-storage-clear', this._clearStorageHandler);
+    ipcMain.handle('cookies-session-cache-clear', this._clearCacheHandler);
+    ipcMain.handle('cookies-session-auth-cache-clear', this._clearAuthCacheHandler);
+    ipcMain.handle('cookies-session-auth-response', this._authResponseHandler);
+    ipcMain.handle('cookies-session-auth-list', this._listCredentialsHandler);
+    ipcMain.handle('cookies-session-auth-remove', this._removeCredentialsHandler);
+    ipcMain.handle('cookies-session-auth-authorization', this._getAuthorizationHandler);
+    ipcMain.handle('cookies-session-token-get', this._getTokenHandler);
+    ipcMain.handle('cookies-session-token-list', this._listTokensHandler);
+    ipcMain.handle('cookies-session-token-remove', this._removeTokenHandler);
+    ipcMain.handle('cookies-session-public-suffix-get', this._getPublicSuffixListHandler);
+    ipcMain.handle('cookies-session-public-suffix-update', this._updatePublicSuffixListHandler);
+    this.certificatePolicy.on('certificate-request', this._certificateRequestHandler);
+    this.credentials.on('auth-request', this._authRequestHandler);
     app.on('certificate-error', this._handleCertIssue);
+    app.on('login', this._handleLogin);
+    app.on('before-quit', this._beforeQuitHandler);
   }
 
+  /**
+   * Removes listeners registered in `listen()` and writes scheduled
+   * cookie store changes to the disk.
+   * @return {Promise} Resolved when the cookie stores are written.
+   */
   unlisten() {
-    this._session.removeListener('changed', this._cookieChanged);
+    for (const id of Array.from(this._partitionListeners.keys())) {
+      this._unlistenPartition(id);
+    }
     ipcMain.removeListener('open-web-url', this._handleOpenSessionWindow);
+    ipcMain.removeHandler('open-web-url');
+    ipcMain.removeListener('cookies-session-subscribe', this._subscribeHandler);
+    ipcMain.removeListener('cookies-session-unsubscribe', this._unsubscribeHandler);
     ipcMain.removeHandler('cookies-session-get-all');
     ipcMain.removeHandler('cookies-session-get-domain');
     ipcMain.removeHandler('cookies-session-get-url');
+    ipcMain.removeHandler('cookies-session-query');
     ipcMain.removeHandler('cookies-session-set-cookie');
     ipcMain.removeHandler('cookies-session-set-cookies');
     ipcMain.removeHandler('cookies-session-remove-cookie');
     ipcMain.removeHandler('cookies-session-remove-cookies');
+    ipcMain.removeHandler('cookies-session-clear');
+    ipcMain.removeHandler('cookies-session-flush');
+    ipcMain.removeHandler('cookies-session-list-partitions');
+    ipcMain.removeHandler('cookies-session-create-partition');
+    ipcMain.removeHandler('cookies-session-switch-partition');
+    ipcMain.removeHandler('cookies-session-delete-partition');
+    ipcMain.removeHandler('cookies-session-export');
+    ipcMain.removeHandler('cookies-session-import');
+    ipcMain.removeHandler('cookies-session-export-encrypted');
+    ipcMain.removeHandler('cookies-session-import-encrypted');
+    ipcMain.removeHandler('cookies-session-certificate-response');
+    ipcMain.removeHandler('cookies-session-certificate-policy');
+    ipcMain.removeHandler('cookies-session-certificate-list');
+    ipcMain.removeHandler('cookies-session-certificate-revoke');
+    ipcMain.removeHandler('cookies-session-history-query');
+    ipcMain.removeHandler('cookies-session-history-clear');
+    ipcMain.removeHandler('cookies-session-snapshot-create');
+    ipcMain.removeHandler('cookies-session-snapshot-list');
+    ipcMain.removeHandler('cookies-session-snapshot-restore');
+    ipcMain.removeHandler('cookies-session-snapshot-diff');
+    ipcMain.removeHandler('cookies-session-snapshot-delete');
+    ipcMain.removeHandler('cookies-session-rules-get');
+    ipcMain.removeHandler('cookies-session-rules-set');
+    ipcMain.removeHandler('cookies-session-storage-usage');
+    ipcMain.removeHandler('cookies-session-storage-clear');
+    ipcMain.removeHandler('cookies-session-cache-clear');
+    ipcMain.removeHandler('cookies-session-auth-cache-clear');
+    ipcMain.removeHandler('cookies-session-auth-response');
+    ipcMain.removeHandler('cookies-session-auth-list');
+    ipcMain.removeHandler('cookies-session-auth-remove');
+    ipcMain.removeHandler('cookies-session-auth-authorization');
+    ipcMain.removeHandler('cookies-session-token-get');
+    ipcMain.removeHandler('cookies-session-token-list');
+    ipcMain.removeHandler('cookies-session-token-remove');
+    ipcMain.removeHandler('cookies-session-public-suffix-get');
+    ipcMain.removeHandler('cookies-session-public-suffix-update');
+    this.certificatePolicy.removeListener('certificate-request', this._certificateRequestHandler);
+    this.credentials.removeListener('auth-request', this._authRequestHandler);
+    app.removeListener('certificate-error', this._handleCertIssue);
+    app.removeListener('login', this._handleLogin);
+    app.removeListener('before-quit', this._beforeQuitHandler);
+    this.certificatePolicy.clear();
+    this.credentials.cancelPending();
+    for (const clear of Array.from(this._authAttempts.values())) {
+      clear();
+    }
+    for (const finish of Array.from(this._sessionWatches)) {
+      finish('canceled');
+    }
+    for (const webContents of Array.from(this._changeSubscribers.keys())) {
+      this.unsubscribe(webContents);
+    }
+    this._changeQueue = [];
+    if (this._changeTimeout) {
+      clearTimeout(this._changeTimeout);
+      this._changeTimeout = undefined;
+    }
+    return this.flush();
+  }
+
+  /**
+   * Handler for the `open-web-url` message.
+   * Errors (e.g. an unknown partition) are sent back to the sender as the
+   * `open-web-url-error` message with the URL and the error message.
+   *
+   * @param {Event} e
+   * @param {String} url An URL to open
+   * @param {String} purpose Window purpose. Only `web-session` is supported.
+   * @param {Object|String=} opts Options passed to `openWebBrowser()`
+   */
+  _handleOpenSessionWindow(e, url, purpose, opts) {
+    if (purpose !== 'web-session') {
+      return;
+    }
+    try {
+      this.openWebBrowser(url, this._rendererWindowOptions(e, opts));
+    } catch (cause) {
+      const sender = e && e.sender;
+      if (sender && !(sender.isDestroyed && sender.isDestroyed())) {
+        sender.send('open-web-url-error', url, cause.message);
+      } else {
+        console.warn(`Unable to open the session window: ${cause.message}`);
+      }
+    }
+  }
+
+  /**
+   * Handler for the `open-web-url` invoke call.
+   * When the `until` option is set then the result of the login window
+   * is returned. Otherwise it returns when the window is opened.
+   *
+   * @param {Event} e
+   * @param {String} url An URL to open
+   * @param {String} purpose Window purpose. Only `web-session` is supported.
+   * @param {Object|String=} opts Options passed to `openWebBrowser()`
+   * @return {Promise<Object|undefined>}
+   */
+  async _openSessionWindowHandler(e, url, purpose, opts) {
+    if (purpose !== 'web-session') {
+      throw new Error(`Unsupported window purpose: ${purpose}`);
+    }
+    const result = this.openWebBrowser(url, this._rendererWindowOptions(e, opts));
+    if (result instanceof Promise) {
+      return await result;
+    }
   }
 
-  _handleOpenSessionWindow(e, url, purpose) {
-    switch (purpose) {
-      case 'web-session': this.openWebBrowser(url); break;
+  /**
+   * Prepares session window options received from the renderer process.
+   * The `parent` option set to `true` makes the sender's window the parent
+   * window. The `preload` option is only used when it is listed in
+   * the `allowedPreloads`.
+   *
+   * @param {Event} e IPC event
+   * @param {Object|String=} opts Window options or the partition id.
+   * @return {Object} Window options.
+   */
+  _rendererWindowOptions(e, opts) {
+    const options = typeof opts === 'string' ? { partition: opts } : Object.assign({}, opts);
+    if (options.parent === true && e.sender) {
+      options.parent = BrowserWindow.fromWebContents(e.sender);
+    } else {
+      delete options.parent;
     }
+    if (options.preload && this.allowedPreloads.indexOf(options.preload) === -1) {
+      delete options.preload;
+    }
+    return options;
   }
 
-  _cookieChanged(e, cookie, cause, removed) {
+  _cookieChanged(e, cookie, cause, removed, partition=DEFAULT_PARTITION) {
     const data = {
       cookie,
       cause,
       removed,
+      partition,
     };
+    const entry = this.history.record(data);
+    if (entry && entry.source) {
+      data.source = entry.source;
+    }
     this.emit('cookie-changed', data);
+    if (!this._changeSubscribers.size) {
+      return;
+    }
+    this._changeQueue.push(data);
+    if (!this._changeTimeout) {
+      this._changeTimeout = setTimeout(this._flushChanges, this.changeBatchTimeout);
+    }
+  }
+
+  /**
+   * Sends queued cookie changes to the subscribed web contents.
+   * When the same cookie changed more than once in a batch then only the
+   * last change is sent.
+   */
+  _flushChanges() {
+    this._changeTimeout = undefined;
+    const queue = this._changeQueue;
+    this._changeQueue = [];
+    const changes = new Map();
+    queue.forEach((item) => {
+      const { cookie } = item;
+      const key = `${item.partition};${cookie.name};${cookie.domain};${cookie.path}`;
+      changes.delete(key);
+      changes.set(key, item);
+    });
+    const data = Array.from(changes.values());
+    if (!data.length) {
+      return;
+    }
+    this._sendSubscribers('cookie-changed', data);
+  }
+
+  /**
+   * Sends a message to each subscribed web contents.
+   * @param {String} channel IPC channel name
+   * @param {any} data Message payload
+   */
+  _sendSubscribers(channel, data) {
+    for (const webContents of this._changeSubscribers.keys()) {
+      if (webContents.isDestroyed && webContents.isDestroyed()) {
+        continue;
+      }
+      webContents.send(channel, data);
+    }
+  }
+
+  /**
+   * Registers a web contents to receive the `cookie-changed` event
+   * with a list of changed cookies.
+   * The subscription is removed when the web contents is destroyed.
+   *
+   * @param {Object} webContents Electron's WebContents object.
+   */
+  subscribe(webContents) {
+    if (!webContents || this._changeSubscribers.has(webContents)) {
+      return;
+    }
+    const destroyed = () => this.unsubscribe(webContents);
+    this._changeSubscribers.set(webContents, destroyed);
+    webContents.once('destroyed', destroyed);
+  }
+
+  /**
+   * Removes a web contents from the `cookie-changed` event subscribers.
+   *
+   * @param {Object} webContents Electron's WebContents object.
+   */
+  unsubscribe(webContents) {
+    const destroyed = this._changeSubscribers.get(webContents);
+    if (!destroyed) {
+      return;
+    }
+    this._changeSubscribers.delete(webContents);
+    webContents.removeListener('destroyed', destroyed);
+  }
+
+  _subscribeHandler(e) {
+    this.subscribe(e.sender);
+  }
+
+  _unsubscribeHandler(e) {
+    this.unsubscribe(e.sender);
+  }
+
+  /**
+   * Reads the list of partitions from the partitions file.
+   * The default partition is used when the file does not exist.
+   */
+  _restorePartitions() {
+    if (!this.partitionsFile) {
+      this.partitionsFile = path.join(app.getPath('userData'), 'session-partitions.json');
+    }
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.partitionsFile, 'utf8'));
+    } catch (e) {
+      return;
+    }
+    if (!data || !Array.isArray(data.partitions)) {
+      return;
+    }
+    data.partitions.forEach((item) => {
+      if (item && item.id && !this._partitions.has(item.id)) {
+        this._partitions.set(item.id, { id: item.id, name: item.name || item.id });
+      }
+    });
+    if (data.current && this._partitions.has(data.current)) {
+      this.currentPartition = data.current;
+    }
+  }
+
+  /**
+   * Writes the list of partitions to the partitions file.
+   * @return {Promise}
+   */
+  async _storePartitions() {
+    if (!this.partitionsFile) {
+      return;
+    }
+    const data = {
+      current: this.currentPartition,
+      partitions: Array.from(this._partitions.values()).filter((item) => item.id !== DEFAULT_PARTITION),
+    };
+    await fs.promises.writeFile(this.partitionsFile, JSON.stringify(data));
+  }
+
+  _listenPartition(id) {
+    if (this._partitionListeners.has(id)) {
+      return;
+    }
+    const listener = (e, cookie, cause, removed) => this._cookieChanged(e, cookie, cause, removed, id);
+    this._partitionListeners.set(id, listener);
+    this.getSessionCookies(id).on('changed', listener);
+  }
+
+  _unlistenPartition(id) {
+    const listener = this._partitionListeners.get(id);
+    if (!listener) {
+      return;
+    }
+    this._partitionListeners.delete(id);
+    this.getSessionCookies(id).removeListener('changed', listener);
+  }
+
+  /**
+   * @param {String=} id The partition id. Default to the current partition.
+   * @return {String} Electron's partition name of the session partition.
+   */
+  getPartitionName(id=this.currentPartition) {
+    if (!this._partitions.has(id)) {
+      throw new Error(`Unknown session partition: ${id}`);
+    }
+    if (id === DEFAULT_PARTITION) {
+      return PERSISTNAME;
+    }
+    return `${PERSISTNAME}-${id}`;
+  }
+
+  /**
+   * @param {String} id The partition id.
+   * @return {Object} The partition definition with `id`, `name`, `partition`
+   * (Electron's partition name) and `current` properties.
+   */
+  getPartition(id) {
+    const item = this._partitions.get(id);
+    if (!item) {
+      throw new Error(`Unknown session partition: ${id}`);
+    }
+    return Object.assign({}, item, {
+      partition: this.getPartitionName(id),
+      current: id === this.currentPartition,
+    });
+  }
+
+  /**
+   * @return {Array<Object>} List of all registered session partitions.
+   */
+  listPartitions() {
+    return Array.from(this._partitions.keys()).map((id) => this.getPartition(id));
+  }
+
+  /**
+   * Creates a new session partition.
+   *
+   * @param {String} id The partition id. Can contain letters, digits, `-` and `_`.
+   * @param {?String} name The partition display name. Default to the id.
+   * @return {Promise<Object>} The created partition.
+   */
+  async createPartition(id, name) {
+    if (!id || !/^[a-zA-Z0-9_-]+$/.test(id)) {
+      throw new Error(`Invalid session partition id: ${id}`);
+    }
+    if (this._partitions.has(id)) {
+      throw new Error(`Session partition ${id} already exists`);
+    }
+    this._partitions.set(id, { id, name: name || id });
+    if (this._partitionListeners.size) {
+      // the manager is listening for cookie changes
+      this._listenPartition(id);
+    }
+    await this._storePartitions();
+    return this.getPartition(id);
+  }
+
+  /**
+   * Makes a partition the current partition. The current partition is used
+   * when the partition is not specified in a function call.
+   *
+   * @param {String} id The partition id.
+   * @return {Promise<Object>} The current partition.
+   */
+  async switchPartition(id) {
+    this.getPartitionName(id);
+    this.currentPartition = id;
+    this._session = this.getSessionCookies(id);
+    await this._storePartitions();
+    this.emit('partition-changed', id);
+    this._sendSubscribers('cookies-session-partition-changed', id);
+    return this.getPartition(id);
+  }
+
+  /**
+   * Removes a session partition and clears its storage data.
+   * The default partition cannot be deleted. When the current partition is
+   * deleted then the default partition becomes the current partition.
+   *
+   * @param {String} id The partition id.
+   * @return {Promise}
+   */
+  async deletePartition(id) {
+    if (id === DEFAULT_PARTITION) {
+      throw new Error('The default session partition cannot be deleted');
+    }
+    const name = this.getPartitionName(id);
+    this._unlistenPartition(id);
+    this._partitions.delete(id);
+    await session.fromPartition(name).clearStorageData();
+    if (this.currentPartition === id) {
+      await this.switchPartition(DEFAULT_PARTITION);
+    } else {
+      await this._storePartitions();
+    }
   }
+
+  async _listPartitionsHandler() {
+    return this.listPartitions();
+  }
+
+  async _createPartitionHandler(e, id, name) {
+    return await this.createPartition(id, name);
+  }
+
+  async _switchPartitionHandler(e, id) {
+    return await this.switchPartition(id);
+  }
+
+  async _deletePartitionHandler(e, id) {
+    await this.deletePartition(id);
+  }
+
+  /**
+   * @param {String=} partition The partition id. Default to the current partition.
+   * @return {Session} Electron's Session class instance for session window.
+   */
+  getSession(partition) {
+    return session.fromPartition(this.getPartitionName(partition));
+  }
+
   /**
+   * @param {String=} partition The partition id. Default to the current partition.
    * @return {Cookies} Electron's Cookies class instance for session window.
    */
-  getSessionCookies() {
-    const sis = session.fromPartition(PERSISTNAME);
-    return sis.cookies;
+  getSessionCookies(partition) {
+    return this.getSession(partition).cookies;
   }
 
-  async _getAllCookiesHandler() {
-    return await this.getAllCookies();
+  async _getAllCookiesHandler(e, partition) {
+    return await this.getAllCookies(partition);
   }
   /**
    * Retreives all cookies stored with the session.
+   * @param {String=} partition The partition id. Default to the current partition.
    * @return {Promise<Array>} A promise resolved to a list of cookies.
    */
-  async getAllCookies() {
-    return await this._session.get({});
+  async getAllCookies(partition) {
+    return await this.getSessionCookies(partition).get({});
   }
   /**
    * Retreives cookies stored with the session for given domain.
    * @param {String} domain
+   * @param {String=} partition The partition id. Default to the current partition.
    * @return {Promise<Array>} A promise resolved to a list of cookies.
    */
-  async getDomainCookies(domain) {
-    return await this._session.get({ domain });
+  async getDomainCookies(domain, partition) {
+    return await this.getSessionCookies(partition).get({ domain });
   }
   /**
    * Retreives cookies stored with the session for given url.
+   * WebSocket URLs get cookies of the corresponding HTTP URL.
    * @param {String} url
+   * @param {String=} partition The partition id. Default to the current partition.
    * @return {Promise<Array>} A promise resolved to a list of cookies.
    */
-  async getUrlCookies(url) {
-    return await this._session.get({ url });
+  async getUrlCookies(url, partition) {
+    return await this.getSessionCookies(partition).get({ url: toCookieUrl(url) });
+  }
+  /**
+   * Queries cookies stored with the session.
+   * See `queryCookies()` of the `CookieQuery` module for the query description.
+   *
+   * @param {Object=} query The query with filters, `sort`, `offset` and `limit`.
+   * @param {String=} partition The partition id. Default to the current partition.
+   * @return {Promise<Object>} An object with `total` number of matching
+   * cookies and `items` list of cookies.
+   */
+  async queryCookies(query, partition) {
+    const cookies = await this.getSessionCookies(partition).get({});
+    return queryCookies(cookies, query || {});
   }
 
   _computeCookieUrl(cookie, secured) {
     let domain = cookie.domain;
+    if (!domain) {
+      throw new CookieError('MISSING_DOMAIN', `Cookie ${cookie.name} has no URL nor domain`, 'domain');
+    }
     if (domain[0] === '.') {
       domain = domain.substr(1);
     }
@@ -113,124 +799,1502 @@ export class SessionManager extends EventEmitter {
     return protocol + domain + (cookie.path || '/');
   }
 
-  async setCookie(cookie) {
-    if (!cookie.url) {
-      cookie.url = this._computeCookieUrl(cookie, cookie.secure);
+  /**
+   * Stores a cookie in the session partition.
+   * The optional `source` property of the cookie describes the provenance
+   * of the cookie (e.g. the response that set the cookie) and is added to the
+   * cookie history. It is not stored with the cookie.
+   *
+   * The cookie is validated before it is stored. The passed object is not changed.
+   *
+   * @param {Object} cookie The cookie to store
+   * @param {String=} partition The partition id. Default to the current partition.
+   * @return {Promise<Object>} The stored cookie
+   * @throws {CookieError} When the cookie is invalid or the store rejects it.
+   */
+  async setCookie(cookie, partition) {
+    const store = this.getSessionCookies(partition);
+    const details = await this._storeCookie(store, cookie, partition);
+    await this._scheduleFlush(partition);
+    return details;
+  }
+
+  /**
+   * Stores a cookie without flushing the store.
+   *
+   * @param {Cookies} store Electron's cookies store
+   * @param {Object} cookie The cookie to store
+   * @param {String=} partition The partition id.
+   * @return {Promise<Object>} The stored cookie
+   */
+  async _storeCookie(store, cookie, partition) {
+    const details = this._createCookieDetails(cookie);
+    if (cookie.source) {
+      this.history.expect(partition || this.currentPartition, {
+        name: details.name,
+        domain: details.domain || this._readHostname(details.url),
+        path: details.path,
+      }, cookie.source);
+    }
+    try {
+      await store.set(details);
+    } catch (e) {
+      throw new CookieError('STORE_ERROR', e.message);
+    }
+    return details;
+  }
+
+  /**
+   * Validates a cookie and creates Electron's cookie set details from it.
+   *
+   * @param {Object} cookie The cookie to store
+   * @return {Object} A copy of the cookie that can be passed to `cookies.set()`.
+   * @throws {CookieError} When the cookie is invalid.
+   */
+  _createCookieDetails(cookie) {
+    validateCookie(cookie, {
+      isPublicSuffix: (domain) => this.publicSuffixes.isPublicSuffix(domain),
+    });
+    const details = Object.assign({}, cookie);
+    delete details.source;
+    if (details.expires) {
+      details.expirationDate = details.expires;
+      delete details.expires;
+    }
+    if (details.sameSite) {
+      details.sameSite = normalizeSameSite(details.sameSite);
     }
-    if (cookie.expires) {
-      cookie.expirationDate = cookie.expires;
-      delete cookie.expires;
+    if (!details.url) {
+      details.url = this._computeCookieUrl(cookie, cookie.secure);
     }
-    await this._session.set(cookie);
-    await this._session.flushStore();
-    return cookie;
+    if (details.name.indexOf('__Host-') === 0 || details.hostOnly === true) {
+      // host only cookie
+      delete details.domain;
+    } else if (details.domain && details.domain.replace(/^\./, '').toLowerCase() !== 'localhost' &&
+      this.publicSuffixes.isPublicSuffix(details.domain)) {
+      // The validation accepts a public suffix only when it is the URL's host,
+      // like `http://myserver/`. Such a cookie cannot be a domain cookie.
+      delete details.domain;
+    }
+    return details;
   }
 
-  async removeCookie(cookie, flush=true) {
+  /**
+   * Removes a cookie from the session partition.
+   *
+   * @param {Object} cookie The cookie with `name` and `url` or `domain` properties.
+   * @param {Boolean=} flush Whether to schedule writing the store to the disk.
+   * Default to true.
+   * @param {String=} partition The partition id. Default to the current partition.
+   * @return {Promise}
+   */
+  async removeCookie(cookie, flush=true, partition) {
+    const store = this.getSessionCookies(partition);
     const { name } = cookie;
+    if (!cookie.url && !cookie.domain) {
+      throw new CookieError('MISSING_DOMAIN', `Cookie ${name} has no URL nor domain`, 'domain');
+    }
     if (cookie.url) {
-      await this._session.remove(cookie.url, name);
+      await store.remove(cookie.url, name);
     } else {
-      await this.removeCookieMakeUrl(cookie, name);
+      await this.removeCookieMakeUrl(cookie, name, partition);
     }
     if (flush) {
-      await this._session.flushStore();
+      await this._scheduleFlush(partition);
     }
   }
 
-  async removeCookieMakeUrl(cookie, name) {
+  async removeCookieMakeUrl(cookie, name, partition) {
+    const store = this.getSessionCookies(partition);
     const httpUrl = this._computeCookieUrl(cookie);
     const httpsUrl = this._computeCookieUrl(cookie, true);
-    await this._session.remove(httpUrl, name);
-    await this._session.remove(httpsUrl, name);
+    await store.remove(httpUrl, name);
+    await store.remove(httpsUrl, name);
   }
 
   /**
-   * Opens a new browser window for given URL so the user can
-   * authenticate himself in the external service and the app will store
-   * cookies from this session.
-   * @param {String} url An URL to open
-   * @return {BrowserWindow} an instancce of created window.
+   * Stores a list of cookies. Cookies are stored in parallel, up to
+   * `batchConcurrency` at the same time, and a failure of one cookie does not
+   * stop the operation.
+   *
+   * In the transactional mode all changes are reverted when any of the cookies
+   * cannot be stored. Items stored before the revert are reported with the
+   * `ROLLED_BACK` error.
+   *
+   * @param {Array<Object>} cookies The cookies to store
+   * @param {String=} partition The partition id. Default to the current partition.
+   * @param {Object=} opts
+   * @param {Boolean=} opts.transactional Whether to revert all changes on failure.
+   * @param {Number=} opts.concurrency Overrides `batchConcurrency`.
+   * @return {Promise<Array<Object>>} Results in the order of cookies. Each result
+   * has `cookie`, `ok` and, when failed, `error` (with `code`, `message` and
+   * `field`) properties.
    */
-  openWebBrowser(url) {
-    const bw = new BrowserWindow({
-      webPreferences: {
-        partition: PERSISTNAME,
-        nodeIntegration: false
+  async setCookies(cookies, partition, opts={}) {
+    const store = this.getSessionCookies(partition);
+    const results = await this._runBatch(store, cookies, opts,
+      (cookie) => this._storeCookie(store, cookie, partition));
+    await this._scheduleFlush(partition);
+    return results;
+  }
+
+  /**
+   * Removes a list of cookies. See `setCookies()` for the description
+   * of options and the result.
+   *
+   * @param {Array<Object>} cookies The cookies to remove
+   * @param {String=} partition The partition id. Default to the current partition.
+   * @param {Object=} opts
+   * @param {Boolean=} opts.transactional Whether to revert all changes on failure.
+   * @param {Number=} opts.concurrency Overrides `batchConcurrency`.
+   * @return {Promise<Array<Object>>} Results in the order of cookies.
+   */
+  async removeCookies(cookies, partition, opts={}) {
+    const store = this.getSessionCookies(partition);
+    const results = await this._runBatch(store, cookies, opts,
+      (cookie) => this.removeCookie(cookie, false, partition));
+    await this._scheduleFlush(partition);
+    return results;
+  }
+
+  /**
+   * Runs a cookie operation for each item with bounded concurrency.
+   *
+   * @param {Cookies} store Electron's cookies store
+   * @param {Array<Object>} cookies The list of cookies
+   * @param {Object} opts Batch options
+   * @param {Function} operation A function that returns a promise for a cookie.
+   * @return {Promise<Array<Object>>} Results in the order of cookies.
+   */
+  async _runBatch(store, cookies, opts, operation) {
+    const before = opts.transactional ? await store.get({}) : undefined;
+    const results = new Array(cookies.length);
+    let index = 0;
+    const next = async () => {
+      while (index < cookies.length) {
+        const i = index++;
+        const cookie = cookies[i];
+        try {
+          await operation(cookie);
+          results[i] = { cookie, ok: true };
+        } catch (cause) {
+          results[i] = { cookie, ok: false, error: this._serializeCookieError(cause) };
+        }
       }
-    });
-    bw.loadURL(url, { userAgent: 'Chrome' });
-    return bw;
+    };
+    const concurrency = Math.max(1, opts.concurrency || this.batchConcurrency);
+    const workers = [];
+    for (let i = 0; i < concurrency && i < cookies.length; i++) {
+      workers.push(next());
+    }
+    await Promise.all(workers);
+    if (before && results.some((item) => !item.ok)) {
+      await this._revertStoreChanges(store, before);
+      results.forEach((item) => {
+        if (item.ok) {
+          item.ok = false;
+          item.error = new CookieError('ROLLED_BACK', 'The change was reverted').toJSON();
+        }
+      });
+    }
+    return results;
   }
 
-  async _getDomainCookiesHandler(e, domain) {
-    return await this.getDomainCookies(domain);
+  /**
+   * Reverts cookies of a store to the previous state.
+   *
+   * @param {Cookies} store Electron's cookies store
+   * @param {Array<Object>} before Cookies read from the store before the changes.
+   * @return {Promise}
+   */
+  async _revertStoreChanges(store, before) {
+    const diff = diffCookies(before, await store.get({}));
+    await this._removeStoreCookies(store, diff.added);
+    const restore = diff.removed.concat(diff.changed.map((item) => item.before));
+    for (const cookie of restore) {
+      await store.set(this._cookieSetDetails(cookie));
+    }
   }
 
-  async _getUrlCookiesHandler(e, url) {
-    return await this.getUrlCookies(url);
+  /**
+   * Removes all cookies from the session partition.
+   *
+   * @param {String=} partition The partition id. Default to the current partition.
+   * @return {Promise<Number>} Number of removed cookies.
+   */
+  async clearAll(partition) {
+    return await this.clearCookies({}, partition);
   }
 
-  async _setCookieHandler(e, cookie) {
-    return await this.setCookie(cookie);
+  /**
+   * Removes cookies of a domain from the session partition.
+   *
+   * @param {String} domain The cookie domain.
+   * @param {Object=} opts
+   * @param {Boolean=} opts.includeSubdomains When set cookies of subdomains
+   * are removed as well.
+   * @param {String=} partition The partition id. Default to the current partition.
+   * @return {Promise<Number>} Number of removed cookies.
+   */
+  async clearDomain(domain, opts={}, partition) {
+    if (!domain) {
+      throw new Error('The domain is required');
+    }
+    return await this.clearCookies({
+      domain,
+      includeSubdomains: !!opts.includeSubdomains,
+    }, partition);
   }
 
-  async _setCookiesHandler(e, cookies) {
-    for (let i = 0, len = cookies.length; i < len; i++) {
-      await this.setCookie(cookies[i]);
+  /**
+   * Removes cookies matching the filter from the session partition.
+   * All cookies are removed when the filter is empty.
+   *
+   * @param {Object=} filter
+   * @param {String=} filter.domain The cookie domain.
+   * @param {Boolean=} filter.includeSubdomains Whether cookies of the domain's
+   * subdomains match the filter.
+   * @param {String|RegExp=} filter.name The cookie name. A string can contain
+   * `*` that matches any characters.
+   * @param {Boolean=} filter.expired When set only expired cookies are removed.
+   * @param {Boolean=} filter.session When set only session or only persistent
+   * cookies are removed.
+   * @param {Boolean=} filter.httpOnly When set only http only or only non http
+   * only cookies are removed.
+   * @param {String=} partition The partition id. Default to the current partition.
+   * @return {Promise<Number>} Number of removed cookies.
+   */
+  async clearCookies(filter={}, partition) {
+    const store = this.getSessionCookies(partition);
+    const cookies = await store.get({});
+    const matching = cookies.filter((cookie) => this._matchClearFilter(cookie, filter));
+    if (!matching.length) {
+      return 0;
     }
+    await this._removeStoreCookies(store, matching);
+    await this._scheduleFlush(partition);
+    return matching.length;
   }
 
-  async _removeCookiesHandler(e, cookies) {
-    for (let i = 0, len = cookies.length; i < len; i++) {
-      await this.removeCookie(cookies[i], false);
+  _matchClearFilter(cookie, filter) {
+    if (filter.domain && !matchCookieDomain(cookie.domain, filter.domain, !!filter.includeSubdomains)) {
+      return false;
+    }
+    if (filter.name && !matchCookieName(cookie.name, filter.name)) {
+      return false;
     }
-    await this._session.flushStore();
+    if (filter.expired) {
+      if (cookie.session || !cookie.expirationDate || cookie.expirationDate * 1000 > Date.now()) {
+        return false;
+      }
+    }
+    if (typeof filter.session === 'boolean' && !!cookie.session !== filter.session) {
+      return false;
+    }
+    if (typeof filter.httpOnly === 'boolean' && !!cookie.httpOnly !== filter.httpOnly) {
+      return false;
+    }
+    return true;
   }
 
-  async _removeCookieHandler(e, cookie) {
-    await this.removeCookie(cookie);
+  async _clearCookiesHandler(e, filter, partition) {
+    return await this.clearCookies(filter || {}, partition);
   }
 
   /**
-   * Allows to ignore certificate errors when opening session window.
+   * Exports cookies from the session partition.
    *
-   * @param {Event} e
-   * @param {Object} webContents
-   * @param {String} url
-   * @param {Object} error
-   * @param {Object} certificate
-   * @param {Function} callback
+   * @param {String=} format Export format. One of `json`, `netscape` or `har`.
+   * Default to `json`.
+   * @param {Object=} filter Electron's cookies filter, e.g. `{ domain }`.
+   * @param {String=} partition The partition id. Default to the current partition.
+   * @return {Promise<String>} Serialized cookies.
    */
-  _handleCertIssue(e, webContents, url, error, certificate, callback) {
-    if (this._isAppUsedUrl(url)) {
-      callback(false);
-    } else {
-      e.preventDefault();
-      callback(true);
-    }
+  async exportCookies(format='json', filter, partition) {
+    const cookies = await this.getSessionCookies(partition).get(filter || {});
+    return serializeCookies(cookies, format);
   }
 
   /**
-   * Checks if given URL is used by the application to request an external resource.
-   * It is used by the `_handleCertIssue()` function to determine if allow
-   * bypass certificate error.
-   * Each application registered URL should be evaluated by Chromium default
-   * certificate test engine. Otherwise it's a user entered URL in
-   * web session and certificate test should be bypassed.
+   * Imports cookies to the session partition.
+   * Cookies that cannot be stored (e.g. cookies without the domain) are
+   * not imported and do not stop the import of other cookies.
    *
-   * @param {String} url An url
-   * @return {Boolean} True if certificate validation should be applied.
+   * @param {String} data Serialized cookies.
+   * @param {String=} format Data format. One of `json`, `netscape` or `har`.
+   * Default to `json`.
+   * @param {String=} partition The partition id. Default to the current partition.
+   * @return {Promise<Number>} Number of imported cookies.
    */
-  _isAppUsedUrl(url) {
-    if (!url || !this.appUrls || !this.appUrls.length) {
-      return false;
-    }
-    for (let i = 0, len = this.appUrls.length; i < len; i++) {
-      if (url.indexOf(this.appUrls[i]) !== -1) {
-        return true;
+  async importCookies(data, format='json', partition) {
+    const cookies = parseCookies(data, format);
+    const results = await this.setCookies(cookies.map((cookie) => this._cookieSetDetails(cookie)), partition);
+    return results.filter((item) => item.ok).length;
+  }
+
+  /**
+   * Exports cookies from the session partition as an encrypted bundle that
+   * can be shared with other users of the application.
+   * See `encryptBundle()` for the description of the encryption.
+   *
+   * @param {String} password The password used to encrypt the bundle.
+   * @param {Object=} filter Electron's cookies filter, e.g. `{ domain }`.
+   * @param {String=} partition The partition id. Default to the current partition.
+   * @return {Promise<String>} The encrypted bundle.
+   */
+  async exportEncrypted(password, filter, partition) {
+    const cookies = await this.getSessionCookies(partition).get(filter || {});
+    return await encryptBundle({
+      created: Date.now(),
+      cookies,
+    }, password);
+  }
+
+  /**
+   * Imports cookies from an encrypted bundle to the session partition.
+   * The bundle is not imported when the password is incorrect or the bundle
+   * was modified. Expired cookies are not imported.
+   *
+   * @param {String} data The encrypted bundle.
+   * @param {String} password The password used to encrypt the bundle.
+   * @param {Object=} opts
+   * @param {Array<String>=} opts.domains When set only cookies of the domains
+   * and their subdomains are imported.
+   * @param {String=} partition The partition id. Default to the current partition.
+   * @return {Promise<Number>} Number of imported cookies.
+   */
+  async importEncrypted(data, password, opts={}, partition) {
+    const payload = await decryptBundle(data, password);
+    const now = Date.now() / 1000;
+    const { domains } = opts;
+    const cookies = (payload.cookies || []).filter((cookie) => {
+      if (!cookie.session && cookie.expirationDate && cookie.expirationDate <= now) {
+        return false;
       }
-    }
-    return false;
+      if (Array.isArray(domains)) {
+        return domains.some((domain) => matchCookieDomain(cookie.domain, domain));
+      }
+      return true;
+    });
+    const results = await this.setCookies(cookies.map((cookie) => this._cookieSetDetails(cookie)), partition);
+    return results.filter((item) => item.ok).length;
+  }
+
+  /**
+   * Schedules writing the cookie store of a partition to the disk.
+   * The store is written `flushDelay` milliseconds after the first change
+   * that is not written yet, so changes made in this time are written together.
+   *
+   * @param {String=} partition The partition id. Default to the current partition.
+   * @return {Promise} Resolved when the write is scheduled or, when
+   * `flushDelay` is 0, when the store is written.
+   */
+  async _scheduleFlush(partition) {
+    const name = this.getPartitionName(partition);
+    if (this.flushDelay <= 0) {
+      await this._flushPartition(name);
+      return;
+    }
+    if (this._pendingFlushes.has(name)) {
+      return;
+    }
+    const timeout = setTimeout(() => {
+      // there is no one to report the error to
+      this._flushPartition(name).catch(() => {});
+    }, this.flushDelay);
+    this._pendingFlushes.set(name, timeout);
+  }
+
+  /**
+   * Writes the cookie store of a partition to the disk.
+   *
+   * @param {String} name Electron's partition name.
+   * @return {Promise}
+   */
+  async _flushPartition(name) {
+    const timeout = this._pendingFlushes.get(name);
+    if (timeout) {
+      clearTimeout(timeout);
+      this._pendingFlushes.delete(name);
+    }
+    await session.fromPartition(name).cookies.flushStore();
+  }
+
+  /**
+   * Writes cookie changes to the disk without waiting for the scheduled write.
+   *
+   * @param {String=} partition The partition id. When not set all partitions
+   * with changes that are not written yet are written.
+   * @return {Promise}
+   */
+  async flush(partition) {
+    const names = partition ? [this.getPartitionName(partition)] : Array.from(this._pendingFlushes.keys());
+    for (const name of names) {
+      await this._flushPartition(name);
+    }
+  }
+
+  async _flushHandler(e, partition) {
+    await this.flush(partition);
+  }
+
+  /**
+   * Delays quitting the application until scheduled writes of the cookie
+   * stores are finished.
+   * @param {Event} e
+   */
+  _beforeQuitHandler(e) {
+    if (!this._pendingFlushes.size) {
+      return;
+    }
+    e.preventDefault();
+    this.flush().catch(() => {}).then(() => app.quit());
+  }
+
+  /**
+   * Creates Electron's cookie set details from a cookie read from the store.
+   * Host only cookies are stored without the domain.
+   *
+   * @param {Object} cookie The cookie with the `hostOnly` property.
+   * @return {Object} A copy of the cookie that can be passed to `cookies.set()`.
+   */
+  _cookieSetDetails(cookie) {
+    const result = Object.assign({}, cookie);
+    if (cookie.domain) {
+      // otherwise the cookie is rejected when it is stored
+      result.url = this._computeCookieUrl(cookie, cookie.secure);
+    }
+    if (cookie.hostOnly) {
+      delete result.domain;
+    }
+    if (cookie.session) {
+      delete result.expirationDate;
+    }
+    delete result.hostOnly;
+    delete result.session;
+    return result;
+  }
+
+  /**
+   * Removes cookies from a store without flushing the store.
+   *
+   * @param {Cookies} store Electron's cookies store
+   * @param {Array<Object>} cookies Cookies read from the store.
+   * @return {Promise}
+   */
+  async _removeStoreCookies(store, cookies) {
+    for (const cookie of cookies) {
+      await store.remove(this._computeCookieUrl(cookie, cookie.secure), cookie.name);
+    }
+  }
+
+  /**
+   * Stores the current cookies of a partition as a snapshot.
+   * A snapshot with the same name is replaced.
+   *
+   * @param {String} name The snapshot name. Can contain letters, digits, `-` and `_`.
+   * @param {String=} partition The partition id. Default to the current partition.
+   * @return {Promise<Object>} The snapshot metadata with `name`, `partition`,
+   * `created` and `count` properties.
+   */
+  async createSnapshot(name, partition=this.currentPartition) {
+    this.snapshots.validateName(name);
+    const cookies = await this.getAllCookies(partition);
+    return await this.snapshots.write({
+      name,
+      partition,
+      created: Date.now(),
+      cookies,
+    });
+  }
+
+  /**
+   * @return {Promise<Array<Object>>} Metadata of stored snapshots, oldest first.
+   */
+  async listSnapshots() {
+    return await this.snapshots.list();
+  }
+
+  /**
+   * Replaces cookies of a partition with cookies from a snapshot.
+   * All cookies of the partition are removed before the snapshot cookies are
+   * set. When setting a cookie fails then the previous cookies are restored.
+   * Cookies that expired since the snapshot was created are not restored.
+   *
+   * @param {String} name The snapshot name.
+   * @param {String=} partition The partition id. Default to the partition the
+   * snapshot was created from or, when it no longer exists, the current partition.
+   * @return {Promise<Number>} Number of restored cookies.
+   */
+  async restoreSnapshot(name, partition) {
+    const snapshot = await this.snapshots.read(name);
+    if (!partition) {
+      partition = this._partitions.has(snapshot.partition) ? snapshot.partition : this.currentPartition;
+    }
+    const store = this.getSessionCookies(partition);
+    if (this._restoring.has(partition)) {
+      throw new Error(`A snapshot is being restored in partition ${partition}`);
+    }
+    this._restoring.add(partition);
+    const now = Date.now() / 1000;
+    const cookies = (snapshot.cookies || []).filter((cookie) => cookie.session ||
+      !cookie.expirationDate || cookie.expirationDate > now);
+    let previous;
+    try {
+      previous = await store.get({});
+      await this._replaceStoreCookies(store, previous, cookies);
+    } catch (cause) {
+      if (previous) {
+        try {
+          await this._replaceStoreCookies(store, await store.get({}), previous);
+        } catch (_) {
+          // the original error is more relevant
+        }
+      }
+      throw cause;
+    } finally {
+      this._restoring.delete(partition);
+      await store.flushStore();
+    }
+    return cookies.length;
+  }
+
+  async _replaceStoreCookies(store, current, cookies) {
+    await this._removeStoreCookies(store, current);
+    for (const cookie of cookies) {
+      await store.set(this._cookieSetDetails(cookie));
+    }
+  }
+
+  /**
+   * Computes a difference between two snapshots.
+   * See `diffCookies()` for the result description.
+   *
+   * @param {String} a The name of the first snapshot.
+   * @param {String=} b The name of the second snapshot. When not set the
+   * snapshot is compared with current cookies of the snapshot's partition.
+   * @return {Promise<Object>} An object with `added`, `removed` and `changed` lists.
+   */
+  async diffSnapshots(a, b) {
+    const before = await this.snapshots.read(a);
+    let after;
+    if (b) {
+      after = (await this.snapshots.read(b)).cookies;
+    } else {
+      const partition = this._partitions.has(before.partition) ? before.partition : this.currentPartition;
+      after = await this.getAllCookies(partition);
+    }
+    return diffCookies(before.cookies || [], after || []);
+  }
+
+  /**
+   * Removes a snapshot.
+   *
+   * @param {String} name The snapshot name.
+   * @return {Promise<Boolean>} True when the snapshot existed.
+   */
+  async deleteSnapshot(name) {
+    return await this.snapshots.remove(name);
+  }
+
+  async _createSnapshotHandler(e, name, partition) {
+    return await this.createSnapshot(name, partition);
+  }
+
+  async _listSnapshotsHandler() {
+    return await this.listSnapshots();
+  }
+
+  async _restoreSnapshotHandler(e, name, partition) {
+    return await this.restoreSnapshot(name, partition);
+  }
+
+  async _diffSnapshotsHandler(e, a, b) {
+    return await this.diffSnapshots(a, b);
+  }
+
+  async _deleteSnapshotHandler(e, name) {
+    return await this.deleteSnapshot(name);
+  }
+
+  /**
+   * Reads storage usage of origins in the session partition.
+   * The usage is read with the DevTools protocol in a hidden window.
+   *
+   * @param {Array<String>=} origins List of origins. Default to HTTPS
+   * origins of the cookie domains in the partition.
+   * @param {String=} partition The partition id. Default to the current partition.
+   * @return {Promise<Array<Object>>} Usage of each origin with `origin`,
+   * `usage`, `quota` and `storages` properties. See `readStorageUsage()`.
+   */
+  async getStorageUsage(origins, partition) {
+    if (!origins) {
+      origins = cookieOrigins(await this.getAllCookies(partition));
+    }
+    if (!origins.length) {
+      return [];
+    }
+    const bw = new BrowserWindow({
+      show: false,
+      webPreferences: {
+        partition: this.getPartitionName(partition),
+        nodeIntegration: false,
+      },
+    });
+    try {
+      await bw.loadURL('about:blank');
+      return await readStorageUsage(bw.webContents, origins);
+    } finally {
+      bw.destroy();
+    }
+  }
+
+  /**
+   * Clears the storage data of the session partition.
+   * See `createClearOptions()` for the description of the options.
+   *
+   * @param {Object=} opts
+   * @param {String=} opts.origin The origin to clear. Default to all origins.
+   * @param {Array<String>=} opts.storages List of `STORAGE_TYPES` to clear.
+   * @param {Array<String>=} opts.quotas List of `QUOTA_TYPES` to clear.
+   * @param {String=} partition The partition id. Default to the current partition.
+   * @return {Promise}
+   */
+  async clearStorageData(opts, partition) {
+    const options = createClearOptions(opts);
+    await this.getSession(partition).clearStorageData(options);
+  }
+
+  /**
+   * Clears the HTTP cache of the session partition.
+   *
+   * @param {String=} partition The partition id. Default to the current partition.
+   * @return {Promise}
+   */
+  async clearCache(partition) {
+    await this.getSession(partition).clearCache();
+  }
+
+  /**
+   * Clears the HTTP authentication cache of the session partition.
+   *
+   * @param {String=} partition The partition id. Default to the current partition.
+   * @return {Promise}
+   */
+  async clearAuthCache(partition) {
+    await this.getSession(partition).clearAuthCache();
+  }
+
+  async _storageUsageHandler(e, origins, partition) {
+    return await this.getStorageUsage(origins, partition);
+  }
+
+  async _clearStorageHandler(e, opts, partition) {
+    await this.clearStorageData(opts, partition);
+  }
+
+  async _clearCacheHandler(e, partition) {
+    await this.clearCache(partition);
+  }
+
+  async _clearAuthCacheHandler(e, partition) {
+    await this.clearAuthCache(partition);
+  }
+
+  /**
+   * Reads the cookie policy rules from the rules file.
+   * Invalid rules file is ignored.
+   */
+  _restoreCookieRules() {
+    if (!this.rulesFile) {
+      this.rulesFile = path.join(app.getPath('userData'), 'cookie-rules.json');
+    }
+    let rules;
+    try {
+      rules = JSON.parse(fs.readFileSync(this.rulesFile, 'utf8'));
+      validateRules(rules);
+    } catch (e) {
+      return;
+    }
+    this._cookieRules = rules;
+  }
+
+  /**
+   * @return {Array<Object>} The list of cookie policy rules.
+   */
+  getCookieRules() {
+    return this._cookieRules;
+  }
+
+  /**
+   * Replaces the cookie policy rules, stores them in the rules file and
+   * sends the `cookies-session-rules-changed` message to the subscribers.
+   *
+   * @param {Array<Object>} rules List of rules. See `validateRules()`.
+   * @return {Promise<Array<Object>>} The list of rules.
+   * @throws {Error} When a rule is invalid.
+   */
+  async setCookieRules(rules) {
+    validateRules(rules);
+    this._cookieRules = rules;
+    if (this.rulesFile) {
+      await fs.promises.writeFile(this.rulesFile, JSON.stringify(rules));
+    }
+    this._sendSubscribers('cookies-session-rules-changed', rules);
+    return rules;
+  }
+
+  async _getCookieRulesHandler() {
+    return this.getCookieRules();
+  }
+
+  async _setCookieRulesHandler(e, rules) {
+    return await this.setCookieRules(rules);
+  }
+
+  /**
+   * Reads the public suffix list from the updated list file or, when the
+   * file does not exist or has no rules, from the list bundled with the library.
+   */
+  _restorePublicSuffixList() {
+    if (!this.publicSuffixFile) {
+      this.publicSuffixFile = path.join(app.getPath('userData'), 'public_suffix_list.dat');
+    }
+    for (const file of [this.publicSuffixFile, BUNDLED_PUBLIC_SUFFIX_LIST]) {
+      try {
+        this.publicSuffixes.load(fs.readFileSync(file, 'utf8'));
+        return;
+      } catch (e) {
+        // try the next file
+      }
+    }
+  }
+
+  /**
+   * @return {Array<String>} The rules of the public suffix list.
+   */
+  getPublicSuffixList() {
+    return this.publicSuffixes.toJSON();
+  }
+
+  /**
+   * Replaces the public suffix list, stores it in the public suffix file
+   * and sends the `cookies-session-public-suffix-changed` message to the
+   * subscribers.
+   *
+   * @param {String|Array<String>} source The list in the
+   * `public_suffix_list.dat` format, e.g. downloaded from
+   * `PUBLIC_SUFFIX_LIST_URL`, or a list of rules.
+   * @return {Promise<Number>} The number of rules in the list.
+   * @throws {Error} When the list has no rules.
+   */
+  async updatePublicSuffixList(source) {
+    const list = new PublicSuffixList(source);
+    if (this.publicSuffixFile) {
+      await fs.promises.writeFile(this.publicSuffixFile, Array.isArray(source) ? source.join('\n') : String(source));
+    }
+    this.publicSuffixes = list;
+    this._sendSubscribers('cookies-session-public-suffix-changed');
+    return list.size;
+  }
+
+  async _getPublicSuffixListHandler() {
+    return this.getPublicSuffixList();
+  }
+
+  async _updatePublicSuffixListHandler(e, source) {
+    return await this.updatePublicSuffixList(source);
+  }
+
+  /**
+   * Queries the cookie changes history.
+   * See `CookieHistory.query()` for the query description.
+   *
+   * @param {Object=} query
+   * @return {Object} An object with `total` and `items` properties.
+   */
+  queryHistory(query) {
+    return this.history.query(query);
+  }
+
+  /**
+   * Clears the cookie changes history.
+   *
+   * @param {String=} partition When set only changes of the partition are removed.
+   * @return {Number} Number of removed entries.
+   */
+  clearHistory(partition) {
+    return this.history.clear(partition);
+  }
+
+  async _queryHistoryHandler(e, query) {
+    return this.queryHistory(query);
+  }
+
+  async _clearHistoryHandler(e, partition) {
+    return this.clearHistory(partition);
+  }
+
+  async _exportCookiesHandler(e, format, filter, partition) {
+    return await this.exportCookies(format, filter, partition);
+  }
+
+  async _importCookiesHandler(e, data, format, partition) {
+    return await this.importCookies(data, format, partition);
+  }
+
+  async _exportEncryptedHandler(e, password, filter, partition) {
+    return await this.exportEncrypted(password, filter, partition);
+  }
+
+  async _importEncryptedHandler(e, data, password, opts, partition) {
+    return await this.importEncrypted(data, password, opts || {}, partition);
+  }
+
+  /**
+   * Opens a new browser window for given URL so the user can
+   * authenticate himself in the external service and the app will store
+   * cookies from this session.
+   * When a window with the same `key` is already opened then the window is
+   * focused and the URL is loaded in it when different.
+   * When the `until` or `capture` option is set then the function returns a
+   * promise resolved when the login is finished. The result has the following properties:
+   * - `reason` - `url`, `cookie`, `token`, `closed` or `canceled` (when
+   * the manager stops listening; the window is not closed)
+   * - `url` - the last URL of the window
+   * - `cookies` - list of cookies set in the partition while the window was open
+   * - `tokens` - list of captured tokens. See `extractUrlTokens()` and
+   * `extractHeaderTokens()`.
+   *
+   * @param {String} url An URL to open
+   * @param {Object|String=} opts Window options or the partition id.
+   * @param {String=} opts.partition The partition id. Default to the current partition.
+   * @param {Object=} opts.until Login completion conditions.
+   * @param {String|RegExp=} opts.until.url The login is finished when the
+   * window navigates to an URL matching the expression or starting with the string.
+   * @param {Object=} opts.until.cookie The login is finished when a cookie
+   * with the `name` is set for the `domain` (optional).
+   * @param {Boolean=} opts.until.close When false then the window is not closed
+   * when the login is finished. Default to true.
+   * @param {String=} opts.key The window key. Default to the partition name.
+   * @param {String=} opts.userAgent The user agent string. Default to `Chrome`.
+   * @param {Object=} opts.bounds Window `x`, `y`, `width` and `height`.
+   * @param {String=} opts.title The window title.
+   * @param {BrowserWindow=} opts.parent The parent window.
+   * @param {Boolean=} opts.modal Whether the window is modal. Requires `parent`.
+   * @param {Object=} opts.proxy Electron's proxy configuration applied to
+   * the partition while the window is open. When all windows that set the
+   * proxy of the partition are closed the partition uses the system proxy
+   * settings again.
+   * @param {String|Object=} opts.extraHeaders Extra headers for the initial request.
+   * @param {String=} opts.preload The preload script path.
+   * @param {Boolean=} opts.devTools Whether the developer tools can be opened.
+   * Default to true.
+   * @param {Boolean=} opts.openDevTools Opens the developer tools.
+   * @param {Object=} opts.capture Token capture configuration.
+   * @param {Array<String>=} opts.capture.params Names of URL parameters read
+   * from redirects and navigation of the window. Default to `CAPTURE_PARAMS`.
+   * @param {Array<String>=} opts.capture.headers Names of response headers
+   * to capture. Headers are read with the DevTools protocol (see
+   * `captureResponseHeaders()`) so they are not captured when another
+   * debugger client is attached to the window.
+   * @param {Boolean=} opts.capture.finish When false then the login is not
+   * finished when a token is captured. Default to true.
+   * @param {Object=} opts.capture.store When set the captured token is stored
+   * for requests to the `hosts` (a host can start with `*.`). The `type`
+   * property sets the type of the stored token. Default to `access_token`.
+   * @return {BrowserWindow|Promise<Object>} an instancce of created window or
+   * the login result when `until` or `capture` is set.
+   * @throws {Error} When the partition is unknown or `capture.store` has
+   * no hosts.
+   */
+  openWebBrowser(url, opts) {
+    const options = typeof opts === 'string' ? { partition: opts } : (opts || {});
+    const { capture } = options;
+    if (capture && capture.store && !(Array.isArray(capture.store.hosts) && capture.store.hosts.length)) {
+      throw new Error('The list of hosts of stored tokens is required');
+    }
+    const partition = this.getPartitionName(options.partition);
+    const key = options.key || partition;
+    let bw = this._sessionWindows.get(key);
+    let load = true;
+    if (bw && !bw.isDestroyed()) {
+      if (bw.isMinimized()) {
+        bw.restore();
+      }
+      bw.focus();
+      load = bw.webContents.getURL() !== url;
+    } else {
+      bw = new BrowserWindow(this._browserWindowOptions(partition, options));
+      this._trackSessionWindow(key, bw, options);
+    }
+    let result;
+    if (options.until || options.capture) {
+      result = this._watchSessionWindow(bw, options.until || {}, options.partition, options.capture);
+    }
+    if (load) {
+      const proxy = options.proxy ? this._setWindowProxy(bw, partition, options.proxy) : Promise.resolve();
+      proxy
+      .then(() => bw.loadURL(url, this._loadUrlOptions(options)))
+      // load errors are rendered in the window
+      .catch(() => {});
+    }
+    return result || bw;
+  }
+
+  /**
+   * Sets the proxy of a partition for the time the session window is open.
+   *
+   * @param {BrowserWindow} bw The session window
+   * @param {String} partition Electron's partition name
+   * @param {Object} config Electron's proxy configuration
+   * @return {Promise}
+   */
+  async _setWindowProxy(bw, partition, config) {
+    let windows = this._windowProxies.get(partition);
+    if (!windows) {
+      windows = new Set();
+      this._windowProxies.set(partition, windows);
+    }
+    if (!windows.has(bw)) {
+      windows.add(bw);
+      bw.once('closed', () => {
+        windows.delete(bw);
+        if (windows.size || this._windowProxies.get(partition) !== windows) {
+          return;
+        }
+        this._windowProxies.delete(partition);
+        // there is no one to report the error to
+        session.fromPartition(partition).setProxy({ mode: 'system' }).catch(() => {});
+      });
+    }
+    await session.fromPartition(partition).setProxy(config);
+  }
+
+  /**
+   * @param {String} key The window key.
+   * @return {BrowserWindow|undefined} Opened session window for the key.
+   */
+  getSessionWindow(key=this.getPartitionName()) {
+    const bw = this._sessionWindows.get(key);
+    if (bw && !bw.isDestroyed()) {
+      return bw;
+    }
+  }
+
+  _trackSessionWindow(key, bw, options) {
+    this._sessionWindows.set(key, bw);
+    bw.once('closed', () => {
+      if (this._sessionWindows.get(key) === bw) {
+        this._sessionWindows.delete(key);
+      }
+    });
+    if (options.title) {
+      bw.on('page-title-updated', (e) => e.preventDefault());
+    }
+    if (options.openDevTools) {
+      bw.webContents.openDevTools();
+    }
+  }
+
+  /**
+   * @param {String} partition Electron's partition name
+   * @param {Object} options Options passed to `openWebBrowser()`
+   * @return {Object} Options for the BrowserWindow constructor
+   */
+  _browserWindowOptions(partition, options) {
+    const config = {
+      webPreferences: {
+        partition,
+        nodeIntegration: false,
+        devTools: options.devTools !== false,
+      }
+    };
+    if (options.preload) {
+      config.webPreferences.preload = options.preload;
+    }
+    const { bounds } = options;
+    if (bounds) {
+      ['x', 'y', 'width', 'height'].forEach((name) => {
+        if (typeof bounds[name] === 'number') {
+          config[name] = bounds[name];
+        }
+      });
+    }
+    if (options.title) {
+      config.title = options.title;
+    }
+    if (options.parent) {
+      config.parent = options.parent;
+      config.modal = !!options.modal;
+    }
+    return config;
+  }
+
+  /**
+   * @param {Object} options Options passed to `openWebBrowser()`
+   * @return {Object} Options for the `loadURL()` function
+   */
+  _loadUrlOptions(options) {
+    const result = {
+      userAgent: options.userAgent || 'Chrome',
+    };
+    let { extraHeaders } = options;
+    if (extraHeaders && typeof extraHeaders === 'object') {
+      extraHeaders = Object.keys(extraHeaders).map((name) => `${name}: ${extraHeaders[name]}`).join('\n');
+    }
+    if (extraHeaders) {
+      result.extraHeaders = extraHeaders;
+    }
+    return result;
+  }
+
+  /**
+   * Observes a session window until one of the login completion conditions
+   * is met or the window is closed.
+   *
+   * @param {BrowserWindow} bw The session window
+   * @param {Object} until Login completion conditions. See `openWebBrowser()`.
+   * @param {String=} partition The partition id. Default to the current partition.
+   * @param {Object=} capture Token capture configuration. See `openWebBrowser()`.
+   * @return {Promise<Object>} The login result.
+   */
+  _watchSessionWindow(bw, until, partition, capture) {
+    const store = this.getSessionCookies(partition);
+    const { webContents } = bw;
+    const cookies = new Map();
+    const tokens = [];
+    let lastUrl;
+    return new Promise((resolve) => {
+      let finished = false;
+      let stopHeadersCapture;
+      const finish = (reason) => {
+        if (finished) {
+          return;
+        }
+        finished = true;
+        this._sessionWatches.delete(finish);
+        store.removeListener('changed', cookieHandler);
+        bw.removeListener('closed', closedHandler);
+        webContents.removeListener('will-redirect', navigationHandler);
+        webContents.removeListener('did-navigate', navigationHandler);
+        webContents.removeListener('did-navigate-in-page', navigationHandler);
+        if (stopHeadersCapture) {
+          stopHeadersCapture();
+        }
+        if (['closed', 'canceled'].indexOf(reason) === -1 && until.close !== false && !bw.isDestroyed()) {
+          bw.close();
+        }
+        resolve({
+          reason,
+          url: lastUrl,
+          cookies: Array.from(cookies.values()),
+          tokens,
+        });
+      };
+      const captureTokens = (found) => {
+        if (finished) {
+          return;
+        }
+        found = found.filter((token) => !tokens.some((item) => item.type === token.type && item.value === token.value));
+        if (!found.length) {
+          return;
+        }
+        found.forEach((token) => {
+          tokens.push(token);
+          this.emit('token-captured', token);
+          const { store: storeConfig } = capture;
+          if (storeConfig && token.type === (storeConfig.type || 'access_token')) {
+            this.tokens.set(token, storeConfig.hosts);
+          }
+        });
+        if (capture.finish !== false) {
+          finish('token');
+        }
+      };
+      const navigationHandler = (e, url) => {
+        lastUrl = url;
+        if (capture) {
+          captureTokens(extractUrlTokens(url, capture.params));
+        }
+        if (until.url && this._matchUrlPattern(url, until.url)) {
+          finish('url');
+        }
+      };
+      const cookieHandler = (e, cookie, cause, removed) => {
+        const key = `${cookie.name};${cookie.domain};${cookie.path}`;
+        if (removed) {
+          cookies.delete(key);
+          return;
+        }
+        cookies.set(key, cookie);
+        const { cookie: expected } = until;
+        if (expected && expected.name === cookie.name &&
+          (!expected.domain || matchCookieDomain(cookie.domain, expected.domain))) {
+          finish('cookie');
+        }
+      };
+      const closedHandler = () => finish('closed');
+      this._sessionWatches.add(finish);
+      store.on('changed', cookieHandler);
+      bw.once('closed', closedHandler);
+      webContents.on('will-redirect', navigationHandler);
+      webContents.on('did-navigate', navigationHandler);
+      webContents.on('did-navigate-in-page', navigationHandler);
+      if (capture && capture.headers) {
+        stopHeadersCapture = captureResponseHeaders(webContents, (url, headers) => {
+          captureTokens(extractHeaderTokens(url, headers, capture.headers));
+        });
+      }
+    });
+  }
+
+  /**
+   * @param {String} url The URL to test
+   * @param {String|RegExp} pattern A regular expression or an URL prefix.
+   * @return {Boolean} True when the URL matches the pattern.
+   */
+  _matchUrlPattern(url, pattern) {
+    if (!url) {
+      return false;
+    }
+    if (pattern instanceof RegExp) {
+      return pattern.test(url);
+    }
+    return url.indexOf(pattern) === 0;
+  }
+
+  async _getDomainCookiesHandler(e, domain, partition) {
+    return await this.getDomainCookies(domain, partition);
+  }
+
+  async _getUrlCookiesHandler(e, url, partition) {
+    return await this.getUrlCookies(url, partition);
+  }
+
+  async _queryCookiesHandler(e, query, partition) {
+    return await this.queryCookies(query, partition);
+  }
+
+  /**
+   * Errors of setting a cookie are returned as the `error` property of the
+   * result so the error code is passed to the renderer process.
+   * @param {Event} e
+   * @param {Object} cookie
+   * @param {String=} partition
+   * @return {Promise<Object>} The stored cookie or an object with the `error` property.
+   */
+  async _setCookieHandler(e, cookie, partition) {
+    try {
+      return await this.setCookie(cookie, partition);
+    } catch (cause) {
+      return { error: this._serializeCookieError(cause) };
+    }
+  }
+
+  /**
+   * @param {Error} error
+   * @return {Object} Serialized error with `code`, `message` and `field` properties.
+   */
+  _serializeCookieError(error) {
+    if (error instanceof CookieError) {
+      return error.toJSON();
+    }
+    return new CookieError('STORE_ERROR', error.message).toJSON();
+  }
+
+  async _setCookiesHandler(e, cookies, partition, opts) {
+    return await this.setCookies(cookies, partition, opts || {});
+  }
+
+  async _removeCookiesHandler(e, cookies, partition, opts) {
+    return await this.removeCookies(cookies, partition, opts || {});
+  }
+
+  async _removeCookieHandler(e, cookie, partition) {
+    await this.removeCookie(cookie, true, partition);
+  }
+
+  /**
+   * Allows to ignore certificate errors when opening session window.
+   * The decision is made by the `certificatePolicy`.
+   * Errors from web contents that do not belong to one of the session
+   * partitions are not handled.
+   *
+   * @param {Event} e
+   * @param {Object} webContents
+   * @param {String} url
+   * @param {Object} error
+   * @param {Object} certificate
+   * @param {Function} callback
+   */
+  _handleCertIssue(e, webContents, url, error, certificate, callback) {
+    if (!this._isSessionWebContents(webContents)) {
+      return;
+    }
+    if (this._isAppUsedUrl(url)) {
+      callback(false);
+      return;
+    }
+    e.preventDefault();
+    this.certificatePolicy.evaluate(url, error, certificate)
+    .then((allowed) => {
+      this.emit('certificate-decision', {
+        url,
+        error,
+        fingerprint: certificate && certificate.fingerprint,
+        allowed,
+      });
+      callback(allowed);
+    })
+    .catch(() => callback(false));
+  }
+
+  /**
+   * Passes the certificate request of the `ask` policy mode to the
+   * subscribed windows as the `cookies-session-certificate-request` message.
+   * The request is rejected when there is nothing to ask.
+   *
+   * @param {Object} request The request info.
+   */
+  _certificateRequestHandler(request) {
+    this.emit('certificate-request', request);
+    if (!this._changeSubscribers.size) {
+      if (!this.listenerCount('certificate-request')) {
+        this.certificatePolicy.respond(request.id, false, false);
+      }
+      return;
+    }
+    this._sendSubscribers('cookies-session-certificate-request', request);
+  }
+
+  async _certificateResponseHandler(e, id, allowed, remember) {
+    return this.certificatePolicy.respond(id, allowed, remember);
+  }
+
+  async _certificatePolicyHandler(e, config) {
+    if (config) {
+      this.certificatePolicy.configure(config);
+    }
+    return this.certificatePolicy.getConfig();
+  }
+
+  async _listCertificateDecisionsHandler() {
+    return this.certificatePolicy.listDecisions();
+  }
+
+  async _revokeCertificateDecisionHandler(e, host, fingerprint) {
+    return this.certificatePolicy.revokeDecision(host, fingerprint);
+  }
+
+  /**
+   * A handler for the app's `login` event.
+   * When a session window requests HTTP authentication then stored credentials
+   * of the origin are used. When there are no credentials or stored credentials
+   * were rejected (the request repeats before the navigation completes) then
+   * the user is asked for credentials.
+   *
+   * @param {Event} e
+   * @param {Object} webContents Electron's WebContents object.
+   * @param {Object} details The request details with the `url`.
+   * @param {Object} authInfo The authentication info with `isProxy`,
+   * `scheme`, `host`, `port` and `realm`.
+   * @param {Function} callback
+   */
+  _handleLogin(e, webContents, details, authInfo, callback) {
+    if (!this._isSessionWebContents(webContents)) {
+      return;
+    }
+    e.preventDefault();
+    const origin = authInfo.isProxy ?
+      `proxy://${authInfo.host}:${authInfo.port}` : this._readOrigin(details.url);
+    const key = `${webContents.id};${origin}`;
+    const stored = this.credentials.get(origin);
+    if (stored && !this._authAttempts.has(key)) {
+      this._addAuthAttempt(webContents, key);
+      callback(stored.username, stored.password);
+      return;
+    }
+    if (this._authAttempts.has(key)) {
+      this._authAttempts.get(key)();
+    }
+    this.credentials.ask({
+      url: details.url,
+      origin,
+      host: authInfo.host,
+      port: authInfo.port,
+      realm: authInfo.realm,
+      scheme: authInfo.scheme,
+      isProxy: !!authInfo.isProxy,
+    })
+    .then((credentials) => {
+      if (credentials) {
+        callback(credentials.username, credentials.password);
+      } else {
+        callback();
+      }
+    })
+    .catch(() => callback());
+  }
+
+  /**
+   * Records that stored credentials were used for the key. The key is removed
+   * when the web contents navigates (the credentials were accepted or the
+   * response was shown) or is destroyed.
+   *
+   * @param {Object} webContents Electron's WebContents object.
+   * @param {String} key The `webContents id;origin` key.
+   */
+  _addAuthAttempt(webContents, key) {
+    const clear = () => {
+      this._authAttempts.delete(key);
+      webContents.removeListener('did-navigate', clear);
+      webContents.removeListener('destroyed', clear);
+    };
+    webContents.on('did-navigate', clear);
+    webContents.on('destroyed', clear);
+    this._authAttempts.set(key, clear);
+  }
+
+  /**
+   * Creates the `Authorization` header value from stored `basic` credentials
+   * of the URL's origin, so the password is not passed to the renderer
+   * process. Other authentication schemes cannot be replayed.
+   *
+   * @param {String} url The request URL.
+   * @return {Object|undefined} An object with the `authorization` header
+   * value and the `origin` and `username` of the credentials.
+   */
+  getAuthorization(url) {
+    const origin = this._readOrigin(url);
+    const credentials = origin ? this.credentials.get(origin) : undefined;
+    if (!credentials || String(credentials.scheme).toLowerCase() !== 'basic') {
+      return undefined;
+    }
+    const token = Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64');
+    return {
+      origin: credentials.origin,
+      username: credentials.username,
+      authorization: `Basic ${token}`,
+    };
+  }
+
+  /**
+   * Passes the authentication request to the subscribed windows as the
+   * `cookies-session-auth-request` message.
+   * The request is canceled when there is nothing to ask.
+   *
+   * @param {Object} request The request info.
+   */
+  _authRequestHandler(request) {
+    this.emit('auth-request', request);
+    if (!this._changeSubscribers.size) {
+      if (!this.listenerCount('auth-request')) {
+        this.credentials.respond(request.id, null);
+      }
+      return;
+    }
+    this._sendSubscribers('cookies-session-auth-request', request);
+  }
+
+  async _authResponseHandler(e, id, credentials, remember) {
+    return await this.credentials.respond(id, credentials, remember);
+  }
+
+  async _listCredentialsHandler() {
+    return this.credentials.list();
+  }
+
+  async _removeCredentialsHandler(e, origin) {
+    return await this.credentials.remove(origin);
+  }
+
+  async _getAuthorizationHandler(e, url) {
+    return this.getAuthorization(url);
+  }
+
+  async _getTokenHandler(e, url) {
+    return this.tokens.find(url);
+  }
+
+  async _listTokensHandler() {
+    return this.tokens.list();
+  }
+
+  async _removeTokenHandler(e, id) {
+    return this.tokens.remove(id);
+  }
+
+  /**
+   * @param {Object} webContents Electron's WebContents object.
+   * @return {Boolean} True when the web contents uses one of the session partitions.
+   */
+  _isSessionWebContents(webContents) {
+    const sis = webContents && webContents.session;
+    if (!sis) {
+      return false;
+    }
+    for (const id of this._partitions.keys()) {
+      if (session.fromPartition(this.getPartitionName(id)) === sis) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Checks if given URL is used by the application to request an external resource.
+   * It is used by the `_handleCertIssue()` function to determine if allow
+   * bypass certificate error.
+   * Each application registered URL should be evaluated by Chromium default
+   * certificate test engine. Otherwise it's a user entered URL in
+   * web session and certificate test should be bypassed.
+   *
+   * URLs are compared by their origins. Invalid URL is always validated.
+   *
+   * @param {String} url An url
+   * @return {Boolean} True if certificate validation should be applied.
+   */
+  _isAppUsedUrl(url) {
+    if (!url || !this.appUrls || !this.appUrls.length) {
+      return false;
+    }
+    const origin = this._readOrigin(url);
+    if (!origin) {
+      return true;
+    }
+    for (let i = 0, len = this.appUrls.length; i < len; i++) {
+      if (this._readOrigin(this.appUrls[i]) === origin) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * @param {String} url An url
+   * @return {String|undefined} The host name of the URL or undefined when the
+   * URL is invalid.
+   */
+  _readHostname(url) {
+    try {
+      return new URL(url).hostname;
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  /**
+   * @param {String} url An url
+   * @return {String|undefined} The origin of the URL or undefined when the
+   * URL is invalid.
+   */
+  _readOrigin(url) {
+    try {
+      const { origin } = new URL(url);
+      return origin === 'null' ? undefined : origin;
+    } catch (e) {
+      return undefined;
+    }
   }
 }
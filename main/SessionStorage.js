@@ -0,0 +1,119 @@
+/**
+ * List of storage types that can be cleared with `clearStorageData()`.
+ * These are Electron's `session.clearStorageData()` storage names.
+ */
+export const STORAGE_TYPES = [
+  'appcache',
+  'cookies',
+  'filesystem',
+  'indexdb',
+  'localstorage',
+  'shadercache',
+  'websql',
+  'serviceworkers',
+  'cachestorage',
+];
+/**
+ * List of quota types that can be cleared with `clearStorageData()`.
+ */
+export const QUOTA_TYPES = ['temporary', 'persistent', 'syncable'];
+
+/**
+ * Validates options of clearing the storage data and returns options
+ * accepted by Electron's `session.clearStorageData()`.
+ *
+ * @param {Object=} opts
+ * @param {String=} opts.origin The origin to clear the data for. Must be
+ * `scheme://host:port`. Default to all origins.
+ * @param {Array<String>=} opts.storages List of `STORAGE_TYPES` to clear.
+ * Default to all types.
+ * @param {Array<String>=} opts.quotas List of `QUOTA_TYPES` to clear.
+ * Default to all quotas.
+ * @return {Object} Electron's clear storage data options.
+ * @throws {Error} When an option is invalid.
+ */
+export function createClearOptions(opts={}) {
+  const result = {};
+  if (opts.origin) {
+    let uri;
+    try {
+      uri = new URL(opts.origin);
+    } catch (e) {
+      // handled below
+    }
+    if (!uri || uri.origin === 'null') {
+      throw new Error(`Invalid origin: ${opts.origin}`);
+    }
+    result.origin = uri.origin;
+  }
+  if (opts.storages) {
+    opts.storages.forEach((type) => {
+      if (STORAGE_TYPES.indexOf(type) === -1) {
+        throw new Error(`Unknown storage type: ${type}`);
+      }
+    });
+    result.storages = opts.storages;
+  }
+  if (opts.quotas) {
+    opts.quotas.forEach((type) => {
+      if (QUOTA_TYPES.indexOf(type) === -1) {
+        throw new Error(`Unknown quota type: ${type}`);
+      }
+    });
+    result.quotas = opts.quotas;
+  }
+  return result;
+}
+
+/**
+ * Creates a list of origins of the cookie domains.
+ *
+ * @param {Array<Object>} cookies List of Electron's cookies
+ * @return {Array<String>} List of unique HTTPS origins.
+ */
+export function cookieOrigins(cookies) {
+  const origins = [];
+  cookies.forEach((cookie) => {
+    const domain = (cookie.domain || '').replace(/^\./, '').toLowerCase();
+    const origin = `https://${domain}`;
+    if (domain && origins.indexOf(origin) === -1) {
+      origins.push(origin);
+    }
+  });
+  return origins;
+}
+
+/**
+ * Reads storage usage of origins with the DevTools protocol.
+ *
+ * @param {Object} webContents Electron's web contents of the session partition.
+ * @param {Array<String>} origins List of origins
+ * @return {Promise<Array<Object>>} Usage of each origin with `origin`,
+ * `usage` and `quota` (in bytes) and `storages` map of storage types
+ * (as reported by the DevTools protocol) and their usage.
+ */
+export async function readStorageUsage(webContents, origins) {
+  const inspector = webContents.debugger;
+  inspector.attach('1.3');
+  try {
+    const result = [];
+    for (const origin of origins) {
+      const usage = await inspector.sendCommand('Storage.getUsageAndQuota', { origin });
+      const storages = {};
+      (usage.usageBreakdown || []).forEach((item) => {
+        if (item.usage) {
+          storages[item.storageType] = item.usage;
+        }
+      });
+      result.push({
+        origin,
+        usage: usage.usage,
+        quota: usage.quota,
+        storages,
+      });
+    }
+    return result;
+  } finally {
+    inspector.detach();
+  }
+}
@@ -0,0 +1,227 @@
+/**
+ * URL parameters captured by default from the session window navigation.
+ */
+export const CAPTURE_PARAMS = ['access_token', 'code'];
+
+let nextTokenId = 0;
+
+function readParams(uri) {
+  const params = [['query', uri.searchParams]];
+  if (uri.hash.length > 1) {
+    params.push(['fragment', new URLSearchParams(uri.hash.substr(1))]);
+  }
+  return params;
+}
+
+/**
+ * Reads tokens from the query and the fragment of an URL.
+ * OAuth 2 parameters sent with the token (`token_type`, `expires_in`, `scope`
+ * and `state`) are added to the token.
+ *
+ * @param {String} url The URL
+ * @param {Array<String>=} names List of parameter names. Default to `CAPTURE_PARAMS`.
+ * @return {Array<Object>} List of tokens with `type` (the parameter name),
+ * `value`, `url` and `source` (`query` or `fragment`) properties.
+ */
+export function extractUrlTokens(url, names=CAPTURE_PARAMS) {
+  let uri;
+  try {
+    uri = new URL(url);
+  } catch (e) {
+    return [];
+  }
+  const result = [];
+  readParams(uri).forEach(([source, params]) => {
+    names.forEach((name) => {
+      const value = params.get(name);
+      if (!value) {
+        return;
+      }
+      const token = { type: name, value, url, source };
+      if (params.has('token_type')) {
+        token.tokenType = params.get('token_type');
+      }
+      if (params.has('expires_in')) {
+        token.expiresIn = Number(params.get('expires_in'));
+      }
+      if (params.has('scope')) {
+        token.scope = params.get('scope');
+      }
+      if (params.has('state')) {
+        token.state = params.get('state');
+      }
+      result.push(token);
+    });
+  });
+  return result;
+}
+
+/**
+ * Reads tokens from response headers.
+ *
+ * @param {String} url The response URL
+ * @param {Object} headers Electron's response headers (a map of header names
+ * and lists of values).
+ * @param {Array<String>} names List of header names.
+ * @return {Array<Object>} List of tokens with `type` (lower case header
+ * name), `value`, `url` and `source` (`header`) properties.
+ */
+export function extractHeaderTokens(url, headers, names) {
+  if (!headers || !names || !names.length) {
+    return [];
+  }
+  const expected = names.map((name) => name.toLowerCase());
+  const result = [];
+  Object.keys(headers).forEach((name) => {
+    const type = name.toLowerCase();
+    if (expected.indexOf(type) === -1) {
+      return;
+    }
+    const values = Array.isArray(headers[name]) ? headers[name] : [headers[name]];
+    values.forEach((value) => {
+      if (value) {
+        result.push({ type, value: String(value), url, source: 'header' });
+      }
+    });
+  });
+  return result;
+}
+
+/**
+ * Observes response headers of a web contents with the DevTools protocol.
+ * Unlike the session's `webRequest.onHeadersReceived()` it does not replace
+ * the listener set by the application. Headers of redirect responses are
+ * observed as well.
+ *
+ * Nothing is observed when the debugger cannot be attached, e.g. when
+ * another client is attached to the web contents.
+ *
+ * @param {Object} webContents Electron's web contents.
+ * @param {Function} callback Called with the response URL and the headers
+ * (a map of header names and lists of values).
+ * @return {Function} A function that stops observing the web contents.
+ */
+export function captureResponseHeaders(webContents, callback) {
+  const inspector = webContents.debugger;
+  try {
+    inspector.attach('1.3');
+  } catch (e) {
+    return () => {};
+  }
+  const messageHandler = (e, method, params) => {
+    let response;
+    if (method === 'Network.responseReceived') {
+      response = params.response;
+    } else if (method === 'Network.requestWillBeSent') {
+      response = params.redirectResponse;
+    }
+    if (!response) {
+      return;
+    }
+    const headers = {};
+    Object.keys(response.headers || {}).forEach((name) => {
+      // the protocol joins values of repeated headers with a new line
+      headers[name] = String(response.headers[name]).split('\n');
+    });
+    callback(response.url, headers);
+  };
+  inspector.on('message', messageHandler);
+  // without the domain there are no messages to report
+  inspector.sendCommand('Network.enable').catch(() => {});
+  return () => {
+    inspector.removeListener('message', messageHandler);
+    try {
+      inspector.detach();
+    } catch (e) {
+      // the web contents is destroyed or the debugger was detached
+    }
+  };
+}
+
+/**
+ * Keeps captured tokens in memory to be used with requests to listed hosts.
+ * Tokens are not written to the disk.
+ */
+export class TokenStore {
+  constructor() {
+    /**
+     * @type {Map<String, Object>}
+     */
+    this._tokens = new Map();
+  }
+
+  /**
+   * Stores a token for the hosts.
+   *
+   * @param {Object} token A token returned by `extractUrlTokens()` or
+   * `extractHeaderTokens()`.
+   * @param {Array<String>} hosts List of hosts the token is used for. A host
+   * can start with `*.` to match all subdomains.
+   * @return {Object} The stored token with `id`, `hosts`, `created` and,
+   * when the token has `expiresIn`, `expires` properties.
+   */
+  set(token, hosts) {
+    if (!Array.isArray(hosts) || !hosts.length) {
+      throw new Error('The list of hosts is required');
+    }
+    nextTokenId++;
+    const item = Object.assign({}, token, {
+      id: String(nextTokenId),
+      hosts: hosts.map((host) => String(host).toLowerCase()),
+      created: Date.now(),
+    });
+    if (token.expiresIn) {
+      item.expires = item.created + token.expiresIn * 1000;
+    }
+    this._tokens.set(item.id, item);
+    return Object.assign({}, item);
+  }
+
+  /**
+   * @param {String} url The request URL
+   * @return {Object|undefined} The most recent, not expired token for the
+   * URL's host.
+   */
+  find(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch (e) {
+      return undefined;
+    }
+    const now = Date.now();
+    const tokens = Array.from(this._tokens.values()).reverse();
+    const token = tokens.find((item) => (!item.expires || item.expires > now) &&
+      item.hosts.some((host) => this._matchHost(hostname, host)));
+    return token ? Object.assign({}, token) : undefined;
+  }
+
+  /**
+   * @return {Array<Object>} List of stored tokens, oldest first.
+   */
+  list() {
+    return Array.from(this._tokens.values()).map((item) => Object.assign({}, item));
+  }
+
+  /**
+   * @param {String} id The token id
+   * @return {Boolean} True when the token existed.
+   */
+  remove(id) {
+    return this._tokens.delete(id);
+  }
+
+  /**
+   * Removes all tokens.
+   */
+  clear() {
+    this._tokens.clear();
+  }
+
+  _matchHost(hostname, host) {
+    if (host.indexOf('*.') === 0) {
+      return hostname.endsWith(host.substr(1));
+    }
+    return hostname === host;
+  }
+}
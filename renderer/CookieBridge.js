@@ -1,231 +1,1493 @@
 import { ipcRenderer as ipc } from 'electron';
 import { ArcHeaders } from '@advanced-rest-client/arc-electron-helpers';
 import { Cookies } from '@advanced-rest-client/cookie-parser';
+import { translateCookieForWeb, translateCookieForElectron } from '../lib/CookieTranslator.js';
+import { CookieError, domainMatch } from '../lib/CookieValidator.js';
+import { matchCookiePath, defaultCookiePath, isIpAddress } from '../lib/CookieMatch.js';
+import { applyResponseRules, applyRequestRules } from '../lib/CookieRules.js';
+import { PublicSuffixList } from '../lib/PublicSuffixList.js';
+export { CookieError, COOKIE_ERROR_CODES } from '../lib/CookieValidator.js';
+/**
+ * List of supported strategies of merging session cookies with the `Cookie`
+ * header already set on the request.
+ * - `append` - session cookies are appended except for cookies with the same
+ * name as cookies in the header
+ * - `replace` - session cookies replace cookies in the header with the same name
+ * - `skip` - session cookies are not added when the header is set
+ */
+export const MERGE_STRATEGIES = ['append', 'replace', 'skip'];
 /**
  * Class responsible for cookie exchange between web app and the main process.
  *
- * When instance property `ignoreSessionCookies` is `true` then cookies are
- * not added to the request.
+ * When instance property `ignoreSessionCookies` is `true` then session
+ * cookies are not added to the request. Cookies set in the request's
+ * `config.extraCookies` are still added.
+ *
+ * The `cookieMergeStrategy` property (one of `MERGE_STRATEGIES`) sets how
+ * session cookies are merged with the `Cookie` header set on the request.
  */
 export class CookieBridge {
   constructor(appCnf={}) {
     this._onRequestAllCookies = this._onRequestAllCookies.bind(this);
     this._onRequestDomainCookies = this._onRequestDomainCookies.bind(this);
+    this._onQueryCookies = this._onQueryCookies.bind(this);
     this._onUpdateCookie = this._onUpdateCookie.bind(this);
     this._onCookieChanged = this._onCookieChanged.bind(this);
     this._onRemoveCookies = this._onRemoveCookies.bind(this);
+    this._onClearCookies = this._onClearCookies.bind(this);
+    this._onListPartitions = this._onListPartitions.bind(this);
+    this._onCreatePartition = this._onCreatePartition.bind(this);
+    this._onSwitchPartition = this._onSwitchPartition.bind(this);
+    this._onDeletePartition = this._onDeletePartition.bind(this);
+    this._onExportCookies = this._onExportCookies.bind(this);
+    this._onImportCookies = this._onImportCookies.bind(this);
+    this._onExportEncrypted = this._onExportEncrypted.bind(this);
+    this._onImportEncrypted = this._onImportEncrypted.bind(this);
+    this._onCertificateRequest = this._onCertificateRequest.bind(this);
+    this._onCertificateResponse = this._onCertificateResponse.bind(this);
+    this._onCertificatePolicy = this._onCertificatePolicy.bind(this);
+    this._onListCertificateDecisions = this._onListCertificateDecisions.bind(this);
+    this._onRevokeCertificateDecision = this._onRevokeCertificateDecision.bind(this);
+    this._onOpenWebBrowser = this._onOpenWebBrowser.bind(this);
+    this._onQueryHistory = this._onQueryHistory.bind(this);
+    this._onClearHistory = this._onClearHistory.bind(this);
+    this._onCreateSnapshot = this._onCreateSnapshot.bind(this);
+    this._onListSnapshots = this._onListSnapshots.bind(this);
+    this._onRestoreSnapshot = this._onRestoreSnapshot.bind(this);
+    this._onDiffSnapshots = this._onDiffSnapshots.bind(this);
+    this._onDeleteSnapshot = this._onDeleteSnapshot.bind(this);
+    this._onGetCookieRules = this._onGetCookieRules.bind(this);
+    this._onSetCookieRules = this._onSetCookieRules.bind(this);
+    this._onCookieRulesChanged = this._onCookieRulesChanged.bind(this);
+    this._onPublicSuffixListChanged = this._onPublicSuffixListChanged.bind(this);
+    this._onStorageUsage = this._onStorageUsage.bind(this);
+    this._onClearStorage = this._onClearStorage.bind(this);
+    this._onClearCache = this._onClearCache.bind(this);
+    this._onClearAuthCache = this._onClearAuthCache.bind(this);
+    this._onAuthRequest = this._onAuthRequest.bind(this);
+    this._onAuthResponse = this._onAuthResponse.bind(this);
+    this._onListCredentials = this._onListCredentials.bind(this);
+    this._onRemoveCredentials = this._onRemoveCredentials.bind(this);
+    this._onListTokens = this._onListTokens.bind(this);
+    this._onRemoveToken = this._onRemoveToken.bind(this);
+    this._onRedirectCookies = this._onRedirectCookies.bind(this);
     this._beforeRequestHandler = this._beforeRequestHandler.bind(this);
     this._afterRequestHandler = this._afterRequestHandler.bind(this);
 
     if (typeof appCnf.ignoreSessionCookies === 'boolean') {
       this.ignoreSessionCookies = appCnf.ignoreSessionCookies;
     }
+    this.cookieMergeStrategy = appCnf.cookieMergeStrategy || 'append';
+    /**
+     * When set the `Authorization` header with stored credentials of the
+     * web session is added to requests. See `_beforeRequestHandler()`.
+     * @type {Boolean}
+     */
+    this.applySessionAuth = appCnf.applySessionAuth === true;
+    /**
+     * When set the `Authorization` header with a token captured in the web
+     * session is added to requests. See `_beforeRequestHandler()`.
+     * @type {Boolean}
+     */
+    this.applySessionTokens = appCnf.applySessionTokens === true;
+    /**
+     * Cookie policy rules read from the main process.
+     * @type {Array<Object>|undefined}
+     */
+    this._cookieRules = undefined;
+    /**
+     * The public suffix list read from the main process. Until the list is
+     * read only top level domains are treated as public suffixes.
+     * @type {PublicSuffixList}
+     */
+    this._publicSuffixes = new PublicSuffixList();
+    /**
+     * True when `_publicSuffixes` has the list of the main process.
+     * @type {Boolean}
+     */
+    this._publicSuffixesLoaded = false;
   }
 
   listen() {
     window.addEventListener('session-cookie-list-all', this._onRequestAllCookies);
     window.addEventListener('session-cookie-list-domain', this._onRequestDomainCookies);
+    window.addEventListener('session-cookie-query', this._onQueryCookies);
     window.addEventListener('session-cookie-remove', this._onRemoveCookies);
+    window.addEventListener('session-cookie-clear', this._onClearCookies);
     window.addEventListener('session-cookie-update', this._onUpdateCookie);
+    window.addEventListener('session-partition-list', this._onListPartitions);
+    window.addEventListener('session-partition-create', this._onCreatePartition);
+    window.addEventListener('session-partition-switch', this._onSwitchPartition);
+    window.addEventListener('session-partition-delete', this._onDeletePartition);
+    window.addEventListener('session-cookie-export', this._onExportCookies);
+    window.addEventListener('session-cookie-import', this._onImportCookies);
+    window.addEventListener('session-cookie-export-encrypted', this._onExportEncrypted);
+    window.addEventListener('session-cookie-import-encrypted', this._onImportEncrypted);
+    window.addEventListener('session-certificate-response', this._onCertificateResponse);
+    window.addEventListener('session-certificate-policy', this._onCertificatePolicy);
+    window.addEventListener('session-certificate-list', this._onListCertificateDecisions);
+    window.addEventListener('session-certificate-revoke', this._onRevokeCertificateDecision);
+    window.addEventListener('session-browser-open', this._onOpenWebBrowser);
+    window.addEventListener('session-cookie-history', this._onQueryHistory);
+    window.addEventListener('session-cookie-history-clear', this._onClearHistory);
+    window.addEventListener('session-snapshot-create', this._onCreateSnapshot);
+    window.addEventListener('session-snapshot-list', this._onListSnapshots);
+    window.addEventListener('session-snapshot-restore', this._onRestoreSnapshot);
+    window.addEventListener('session-snapshot-diff', this._onDiffSnapshots);
+    window.addEventListener('session-snapshot-delete', this._onDeleteSnapshot);
+    window.addEventListener('session-cookie-rules', this._onGetCookieRules);
+    window.addEventListener('session-cookie-rules-set', this._onSetCookieRules);
+    window.addEventListener('session-storage-usage', this._onStorageUsage);
+    window.addEventListener('session-storage-clear', this._onClearStorage);
+    window.addEventListener('session-cache-clear', this._onClearCache);
+    window.addEventListener('session-auth-cache-clear', this._onClearAuthCache);
+    window.addEventListener('session-auth-response', this._onAuthResponse);
+    window.addEventListener('session-auth-list', this._onListCredentials);
+    window.addEventListener('session-auth-remove', this._onRemoveCredentials);
+    window.addEventListener('session-token-list', this._onListTokens);
+    window.addEventListener('session-token-remove', this._onRemoveToken);
+    window.addEventListener('session-cookie-redirect', this._onRedirectCookies);
     window.addEventListener('before-request', this._beforeRequestHandler);
     window.addEventListener('response-ready', this._afterRequestHandler);
     ipc.on('cookie-changed', this._onCookieChanged);
+    ipc.on('cookies-session-certificate-request', this._onCertificateRequest);
+    ipc.on('cookies-session-rules-changed', this._onCookieRulesChanged);
+    ipc.on('cookies-session-public-suffix-changed', this._onPublicSuffixListChanged);
+    ipc.on('cookies-session-auth-request', this._onAuthRequest);
+    ipc.send('cookies-session-subscribe');
   }
 
   unlisten() {
     window.removeEventListener('session-cookie-list-all', this._onRequestAllCookies);
     window.removeEventListener('session-cookie-list-domain', this._onRequestDomainCookies);
+    window.removeEventListener('session-cookie-query', this._onQueryCookies);
     window.removeEventListener('session-cookie-remove', this._onRemoveCookies);
+    window.removeEventListener('session-cookie-clear', this._onClearCookies);
     window.removeEventListener('session-cookie-update', this._onUpdateCookie);
+    window.removeEventListener('session-partition-list', this._onListPartitions);
+    window.removeEventListener('session-partition-create', this._onCreatePartition);
+    window.removeEventListener('session-partition-switch', this._onSwitchPartition);
+    window.removeEventListener('session-partition-delete', this._onDeletePartition);
+    window.removeEventListener('session-cookie-export', this._onExportCookies);
+    window.removeEventListener('session-cookie-import', this._onImportCookies);
+    window.removeEventListener('session-cookie-export-encrypted', this._onExportEncrypted);
+    window.removeEventListener('session-cookie-import-encrypted', this._onImportEncrypted);
+    window.removeEventListener('session-certificate-response', this._onCertificateResponse);
+    window.removeEventListener('session-certificate-policy', this._onCertificatePolicy);
+    window.removeEventListener('session-certificate-list', this._onListCertificateDecisions);
+    window.removeEventListener('session-certificate-revoke', this._onRevokeCertificateDecision);
+    window.removeEventListener('session-browser-open', this._onOpenWebBrowser);
+    window.removeEventListener('session-cookie-history', this._onQueryHistory);
+    window.removeEventListener('session-cookie-history-clear', this._onClearHistory);
+    window.removeEventListener('session-snapshot-create', this._onCreateSnapshot);
+    window.removeEventListener('session-snapshot-list', this._onListSnapshots);
+    window.removeEventListener('session-snapshot-restore', this._onRestoreSnapshot);
+    window.removeEventListener('session-snapshot-diff', this._onDiffSnapshots);
+    window.removeEventListener('session-snapshot-delete', this._onDeleteSnapshot);
+    window.removeEventListener('session-cookie-rules', this._onGetCookieRules);
+    window.removeEventListener('session-cookie-rules-set', this._onSetCookieRules);
+    window.removeEventListener('session-storage-usage', this._onStorageUsage);
+    window.removeEventListener('session-storage-clear', this._onClearStorage);
+    window.removeEventListener('session-cache-clear', this._onClearCache);
+    window.removeEventListener('session-auth-cache-clear', this._onClearAuthCache);
+    window.removeEventListener('session-auth-response', this._onAuthResponse);
+    window.removeEventListener('session-auth-list', this._onListCredentials);
+    window.removeEventListener('session-auth-remove', this._onRemoveCredentials);
+    window.removeEventListener('session-token-list', this._onListTokens);
+    window.removeEventListener('session-token-remove', this._onRemoveToken);
+    window.removeEventListener('session-cookie-redirect', this._onRedirectCookies);
     window.removeEventListener('before-request', this._beforeRequestHandler);
     window.removeEventListener('response-ready', this._afterRequestHandler);
     ipc.removeListener('cookie-changed', this._onCookieChanged);
+    ipc.removeListener('cookies-session-certificate-request', this._onCertificateRequest);
+    ipc.removeListener('cookies-session-rules-changed', this._onCookieRulesChanged);
+    ipc.removeListener('cookies-session-public-suffix-changed', this._onPublicSuffixListChanged);
+    ipc.removeListener('cookies-session-auth-request', this._onAuthRequest);
+    ipc.send('cookies-session-unsubscribe');
   }
 
   /**
+   * @param {String=} partition The session partition id. Default to the
+   * current partition.
    * @return {Promise<Array<Object>>} List of all cookies in the cookie session
    * partition.
    */
-  async getAllCookies() {
-    return await ipc.invoke('cookies-session-get-all');
+  async getAllCookies(partition) {
+    return await ipc.invoke('cookies-session-get-all', partition);
   }
 
   /**
    * @param {String} domain Cookies domain name
+   * @param {String=} partition The session partition id. Default to the
+   * current partition.
    * @return {Promise<Array<Object>>} List of domain cookies in the cookie session
    * partition.
    */
-  async getDomainCookies(domain) {
-    return await ipc.invoke('cookies-session-get-domain', domain);
+  async getDomainCookies(domain, partition) {
+    return await ipc.invoke('cookies-session-get-domain', domain, partition);
+  }
+
+  /**
+   * Queries cookies in the cookie session partition.
+   *
+   * @param {Object=} query The query with optional `domain`, `name` (can
+   * contain `*`), `path`, `secure`, `httpOnly`, `sameSite`, `session`,
+   * `expiresBefore` (timestamp in milliseconds) and `text` filters,
+   * `sort` (`name`, `value`, `domain`, `path` or `expires`, prefixed with `-`
+   * for descending order), `offset` and `limit` properties.
+   * @param {String=} partition The session partition id. Default to the
+   * current partition.
+   * @return {Promise<Object>} An object with `total` number of matching
+   * cookies and `items` list of cookies in the cookie session partition.
+   */
+  async queryCookies(query, partition) {
+    return await ipc.invoke('cookies-session-query', query, partition);
   }
 
   /**
    * Removes cookie or cookies from the store.
    * @param {Object|Array<Object>} cookies A cookie or a list of cookies to delete.
-   * @return {Promise}
+   * @param {String=} partition The session partition id. Default to the
+   * current partition.
+   * @param {Object=} opts Options of removing a list of cookies. See
+   * `updateCookies()` for the description.
+   * @return {Promise<Array<Object>|undefined>} Results of removing a list of
+   * cookies. See `updateCookies()` for the description.
    */
-  async removeCookies(cookies) {
+  async removeCookies(cookies, partition, opts) {
     if (Array.isArray(cookies)) {
-      return await ipc.invoke('cookies-session-remove-cookies', cookies);
+      return await ipc.invoke('cookies-session-remove-cookies', cookies, partition, opts);
     } else {
-      return await ipc.invoke('cookies-session-remove-cookie', cookies);
+      return await ipc.invoke('cookies-session-remove-cookie', cookies, partition);
+    }
+  }
+
+  /**
+   * Removes cookies matching the filter from the store.
+   * All cookies are removed when the filter is not set.
+   *
+   * @param {Object=} filter The filter with optional `domain`,
+   * `includeSubdomains`, `name` (can contain `*`), `expired`, `session` and
+   * `httpOnly` properties.
+   * @param {String=} partition The session partition id. Default to the
+   * current partition.
+   * @return {Promise<Number>} Number of removed cookies.
+   */
+  async clearCookies(filter, partition) {
+    return await ipc.invoke('cookies-session-clear', filter, partition);
+  }
+
+  /**
+   * Removes all cookies from the store.
+   * @param {String=} partition The session partition id. Default to the
+   * current partition.
+   * @return {Promise<Number>} Number of removed cookies.
+   */
+  async clearAll(partition) {
+    return await this.clearCookies({}, partition);
+  }
+
+  /**
+   * Removes cookies of a domain from the store.
+   * @param {String} domain The cookie domain.
+   * @param {Object=} opts Set `includeSubdomains` to remove cookies of
+   * subdomains as well.
+   * @param {String=} partition The session partition id. Default to the
+   * current partition.
+   * @return {Promise<Number>} Number of removed cookies.
+   */
+  async clearDomain(domain, opts={}, partition) {
+    return await this.clearCookies({
+      domain,
+      includeSubdomains: !!opts.includeSubdomains,
+    }, partition);
+  }
+
+  /**
+   * Creates or updates cookies in the cookies partition.
+   * @param {Object} cookie ARC's cookie definition.
+   * @param {String=} partition The session partition id. Default to the
+   * current partition.
+   * @return {Promise<Object>} The stored cookie.
+   * @throws {CookieError} When the cookie is invalid or cannot be stored.
+   * The `code` property of the error is one of `COOKIE_ERROR_CODES`.
+   */
+  async updateCookie(cookie, partition) {
+    const electronCookie = this._translateCookieForElectron(cookie);
+    const result = await ipc.invoke('cookies-session-set-cookie', electronCookie, partition);
+    if (result && result.error) {
+      throw CookieError.fromJSON(result.error);
+    }
+    return result;
+  }
+
+  /**
+   * Stores list of cookies in the store.
+   * A failure of one cookie does not stop storing other cookies unless
+   * the `transactional` option is set. In this case all changes are reverted
+   * when any cookie cannot be stored.
+   *
+   * @param {Array<Object>} cookies List of cookies to store
+   * @param {String=} partition The session partition id. Default to the
+   * current partition.
+   * @param {Object=} opts Batch options
+   * @param {Boolean=} opts.transactional Whether to revert all changes on failure.
+   * @param {Number=} opts.concurrency Maximum number of cookies stored at
+   * the same time.
+   * @return {Promise<Array<Object>>} Results in the order of cookies. Each
+   * result has `cookie`, `ok` and, when failed, `error` (with `code`,
+   * `message` and `field`) properties.
+   */
+  async updateCookies(cookies, partition, opts) {
+    if (!cookies || !cookies.length) {
+      return [];
+    }
+    cookies = cookies.map((item) => {
+      if (item.toJSON) {
+        // compatibility with cookie-parser of ARC
+        item = item.toJSON();
+      }
+      item = this._translateCookieForElectron(item);
+      return item;
+    });
+    return await ipc.invoke('cookies-session-set-cookies', cookies, partition, opts);
+  }
+
+  /**
+   * Writes cookie changes to the disk. The main process writes changes with
+   * a delay so this should be used when the changes have to be stored
+   * immediately.
+   *
+   * @param {String=} partition The session partition id. When not set all
+   * partitions with changes that are not written yet are written.
+   * @return {Promise}
+   */
+  async flush(partition) {
+    return await ipc.invoke('cookies-session-flush', partition);
+  }
+
+  /**
+   * @return {Promise<Array<Object>>} List of session partitions. Each item
+   * has `id`, `name`, `partition` and `current` properties.
+   */
+  async listPartitions() {
+    return await ipc.invoke('cookies-session-list-partitions');
+  }
+
+  /**
+   * Creates a new session partition.
+   * @param {String} id The partition id. Can contain letters, digits, `-` and `_`.
+   * @param {String=} name The partition display name.
+   * @return {Promise<Object>} The created partition.
+   */
+  async createPartition(id, name) {
+    return await ipc.invoke('cookies-session-create-partition', id, name);
+  }
+
+  /**
+   * Changes the current session partition.
+   * @param {String} id The partition id.
+   * @return {Promise<Object>} The current partition.
+   */
+  async switchPartition(id) {
+    return await ipc.invoke('cookies-session-switch-partition', id);
+  }
+
+  /**
+   * Deletes a session partition with its data.
+   * @param {String} id The partition id.
+   * @return {Promise}
+   */
+  async deletePartition(id) {
+    return await ipc.invoke('cookies-session-delete-partition', id);
+  }
+
+  /**
+   * Exports cookies from the session partition.
+   *
+   * @param {String=} format Export format. One of `json`, `netscape` or `har`.
+   * @param {Object=} filter Cookies filter, e.g. `{ domain }`.
+   * @param {String=} partition The session partition id. Default to the
+   * current partition.
+   * @return {Promise<String>} Serialized cookies.
+   */
+  async exportCookies(format, filter, partition) {
+    return await ipc.invoke('cookies-session-export', format, filter, partition);
+  }
+
+  /**
+   * Imports cookies to the session partition.
+   *
+   * @param {String} data Serialized cookies.
+   * @param {String=} format Data format. One of `json`, `netscape` or `har`.
+   * @param {String=} partition The session partition id. Default to the
+   * current partition.
+   * @return {Promise<Number>} Number of imported cookies.
+   */
+  async importCookies(data, format, partition) {
+    return await ipc.invoke('cookies-session-import', data, format, partition);
+  }
+
+  /**
+   * Exports cookies from the session partition as a password protected
+   * session bundle.
+   *
+   * @param {String} password The password used to encrypt the bundle.
+   * @param {Object=} filter Cookies filter, e.g. `{ domain }`.
+   * @param {String=} partition The session partition id. Default to the
+   * current partition.
+   * @return {Promise<String>} The encrypted bundle.
+   */
+  async exportEncrypted(password, filter, partition) {
+    return await ipc.invoke('cookies-session-export-encrypted', password, filter, partition);
+  }
+
+  /**
+   * Imports cookies from a password protected session bundle.
+   * The promise is rejected when the password is incorrect or the bundle
+   * was modified.
+   *
+   * @param {String} data The encrypted bundle.
+   * @param {String} password The password used to encrypt the bundle.
+   * @param {Object=} opts Set `domains` to a list of domains to import
+   * only cookies of these domains and their subdomains.
+   * @param {String=} partition The session partition id. Default to the
+   * current partition.
+   * @return {Promise<Number>} Number of imported cookies.
+   */
+  async importEncrypted(data, password, opts, partition) {
+    return await ipc.invoke('cookies-session-import-encrypted', data, password, opts, partition);
+  }
+
+  /**
+   * Passes the user decision about an invalid certificate in the web session.
+   *
+   * @param {String} id The request id from the `session-certificate-request` event.
+   * @param {Boolean} allowed Whether the certificate is accepted.
+   * @param {Boolean=} remember Whether to remember the decision for the host
+   * and the certificate. Default to false.
+   * @return {Promise<Boolean>} True when the request was pending.
+   */
+  async respondCertificate(id, allowed, remember) {
+    return await ipc.invoke('cookies-session-certificate-response', id, allowed, remember);
+  }
+
+  /**
+   * Reads or updates the certificate error policy of the web session.
+   *
+   * @param {Object=} config The policy configuration with `mode`,
+   * `allowedHosts` and `askTimeout` properties. When not set the policy
+   * is not changed.
+   * @return {Promise<Object>} The current policy configuration.
+   */
+  async certificatePolicy(config) {
+    return await ipc.invoke('cookies-session-certificate-policy', config);
+  }
+
+  /**
+   * @return {Promise<Array<Object>>} List of remembered certificate decisions.
+   */
+  async listCertificateDecisions() {
+    return await ipc.invoke('cookies-session-certificate-list');
+  }
+
+  /**
+   * Removes remembered certificate decisions.
+   *
+   * @param {String} host The host of the decision.
+   * @param {String=} fingerprint The certificate fingerprint. When not set
+   * all decisions for the host are removed.
+   * @return {Promise<Number>} Number of removed decisions.
+   */
+  async revokeCertificateDecision(host, fingerprint) {
+    return await ipc.invoke('cookies-session-certificate-revoke', host, fingerprint);
+  }
+
+  /**
+   * Opens the web session window so the user can authenticate in an
+   * external service.
+   *
+   * @param {String} url An URL to open
+   * @param {Object|String=} opts Window options or the session partition id.
+   * When `opts.until` is set (with `url`, `cookie` or `close` properties) then
+   * the promise is resolved when the login is finished. Other options are
+   * `key`, `userAgent`, `bounds`, `title`, `modal`, `proxy`, `extraHeaders`,
+   * `preload`, `devTools` and `openDevTools`. Set `parent` to `true` to make
+   * the current window the parent window.
+   * When `opts.capture` is set (with `params`, `headers`, `finish` and `store`
+   * properties) then tokens are captured from the window's redirects,
+   * navigation and responses. Tokens stored with `capture.store.hosts` are
+   * used with requests when `applySessionTokens` is set.
+   * @return {Promise<Object|undefined>} The login result with `reason`, `url`,
+   * `cookies` and `tokens` properties when `opts.until` or `opts.capture` is set.
+   */
+  async openWebBrowser(url, opts) {
+    const result = await ipc.invoke('open-web-url', url, 'web-session', opts);
+    if (result && result.cookies) {
+      this._translateCookiesForWeb(result.cookies);
+    }
+    return result;
+  }
+
+  /**
+   * Queries the history of cookie changes.
+   *
+   * @param {Object=} query The query with optional `partition`, `name`,
+   * `domain`, `cause`, `since`, `until`, `offset` and `limit` properties.
+   * @return {Promise<Object>} An object with `total` number of matching changes
+   * and `items` list of changes, most recent first.
+   */
+  async queryHistory(query) {
+    return await ipc.invoke('cookies-session-history-query', query);
+  }
+
+  /**
+   * Clears the history of cookie changes.
+   *
+   * @param {String=} partition When set only changes of the partition are removed.
+   * @return {Promise<Number>} Number of removed changes.
+   */
+  async clearHistory(partition) {
+    return await ipc.invoke('cookies-session-history-clear', partition);
+  }
+
+  /**
+   * Reads the cookie policy rules. The rules are cached until the main
+   * process reports a change.
+   *
+   * @return {Promise<Array<Object>>} List of cookie policy rules.
+   */
+  async getCookieRules() {
+    if (!this._cookieRules) {
+      this._cookieRules = await ipc.invoke('cookies-session-rules-get');
+    }
+    return this._cookieRules;
+  }
+
+  /**
+   * Replaces the cookie policy rules. Each rule has the following properties:
+   * - `action` - one of `block`, `blockThirdParty`, `rewrite`, `capExpiry`
+   * or `force`
+   * - `domain` - optional domain the rule applies to, including subdomains
+   * - `name` - optional cookie name the rule applies to, can contain `*`
+   * - `setDomain`, `setPath` - new domain and path for `rewrite`
+   * - `maxAge` - maximum lifetime in seconds for `capExpiry`
+   * - `secure`, `httpOnly` - forced attribute values for `force`
+   * - `enabled` - when `false` the rule is ignored
+   *
+   * @param {Array<Object>} rules List of rules
+   * @return {Promise<Array<Object>>} The stored rules.
+   */
+  async setCookieRules(rules) {
+    this._cookieRules = await ipc.invoke('cookies-session-rules-set', rules);
+    return this._cookieRules;
+  }
+
+  /**
+   * Reads the public suffix list used to reject cookies set for public
+   * suffixes (like `co.uk`). The list is cached until the main process
+   * reports a change.
+   *
+   * @return {Promise<PublicSuffixList>}
+   */
+  async getPublicSuffixList() {
+    if (!this._publicSuffixesLoaded) {
+      const rules = await ipc.invoke('cookies-session-public-suffix-get');
+      this._publicSuffixes.load(rules);
+      this._publicSuffixesLoaded = true;
+    }
+    return this._publicSuffixes;
+  }
+
+  /**
+   * Replaces the public suffix list bundled with the library with a newer
+   * version, e.g. downloaded from `PUBLIC_SUFFIX_LIST_URL`.
+   *
+   * @param {String} source The list in the `public_suffix_list.dat` format.
+   * @return {Promise<Number>} The number of rules in the list.
+   */
+  async updatePublicSuffixList(source) {
+    const size = await ipc.invoke('cookies-session-public-suffix-update', source);
+    this._publicSuffixesLoaded = false;
+    return size;
+  }
+
+  /**
+   * Reads storage usage (local storage, IndexedDB, service workers, etc.)
+   * of origins in the session partition.
+   *
+   * @param {Array<String>=} origins List of origins. Default to HTTPS
+   * origins of the cookie domains in the partition.
+   * @param {String=} partition The session partition id. Default to the
+   * current partition.
+   * @return {Promise<Array<Object>>} Usage of each origin with `origin`,
+   * `usage` and `quota` in bytes and `storages` map of storage types and
+   * their usage.
+   */
+  async getStorageUsage(origins, partition) {
+    return await ipc.invoke('cookies-session-storage-usage', origins, partition);
+  }
+
+  /**
+   * Clears the storage data of the session partition.
+   *
+   * @param {Object=} opts
+   * @param {String=} opts.origin The origin to clear. Default to all origins.
+   * @param {Array<String>=} opts.storages List of storage types to clear:
+   * `appcache`, `cookies`, `filesystem`, `indexdb`, `localstorage`,
+   * `shadercache`, `websql`, `serviceworkers` or `cachestorage`.
+   * Default to all types.
+   * @param {Array<String>=} opts.quotas List of quota types to clear:
+   * `temporary`, `persistent` or `syncable`. Default to all quotas.
+   * @param {String=} partition The session partition id. Default to the
+   * current partition.
+   * @return {Promise}
+   */
+  async clearStorageData(opts, partition) {
+    return await ipc.invoke('cookies-session-storage-clear', opts, partition);
+  }
+
+  /**
+   * Clears the HTTP cache of the session partition.
+   *
+   * @param {String=} partition The session partition id. Default to the
+   * current partition.
+   * @return {Promise}
+   */
+  async clearCache(partition) {
+    return await ipc.invoke('cookies-session-cache-clear', partition);
+  }
+
+  /**
+   * Clears the HTTP authentication cache of the session partition.
+   *
+   * @param {String=} partition The session partition id. Default to the
+   * current partition.
+   * @return {Promise}
+   */
+  async clearAuthCache(partition) {
+    return await ipc.invoke('cookies-session-auth-cache-clear', partition);
+  }
+
+  /**
+   * Passes the user credentials for an authentication request of the web session.
+   *
+   * @param {String} id The request id from the `session-auth-request` event.
+   * @param {Object=} credentials The credentials with `username` and `password`.
+   * When not set the request is canceled.
+   * @param {Boolean=} remember Whether to store the credentials for the origin.
+   * @return {Promise<Boolean>} True when the request was pending.
+   */
+  async respondAuth(id, credentials, remember) {
+    return await ipc.invoke('cookies-session-auth-response', id, credentials, remember);
+  }
+
+  /**
+   * @return {Promise<Array<Object>>} List of stored credentials with `origin`,
+   * `username`, `scheme`, `realm`, `created` and `persisted` properties.
+   * Passwords are not included.
+   */
+  async listCredentials() {
+    return await ipc.invoke('cookies-session-auth-list');
+  }
+
+  /**
+   * Removes stored credentials of an origin.
+   *
+   * @param {String} origin The origin of the credentials.
+   * @return {Promise<Boolean>} True when the credentials existed.
+   */
+  async removeCredentials(origin) {
+    return await ipc.invoke('cookies-session-auth-remove', origin);
+  }
+
+  /**
+   * @param {String} url The request URL.
+   * @return {Promise<Object|undefined>} The `Authorization` header value
+   * created from stored `basic` credentials of the URL's origin, with
+   * `authorization`, `origin` and `username` properties. The password is
+   * not passed to the renderer process.
+   */
+  async getAuthorization(url) {
+    return await ipc.invoke('cookies-session-auth-authorization', url);
+  }
+
+  /**
+   * @param {String} url The request URL.
+   * @return {Promise<Object|undefined>} The most recent captured token
+   * stored for the URL's host.
+   */
+  async getSessionToken(url) {
+    return await ipc.invoke('cookies-session-token-get', url);
+  }
+
+  /**
+   * @return {Promise<Array<Object>>} List of stored tokens with `id`, `type`,
+   * `value`, `hosts`, `url`, `created` and optional `expires` properties.
+   */
+  async listSessionTokens() {
+    return await ipc.invoke('cookies-session-token-list');
+  }
+
+  /**
+   * @param {String} id The token id.
+   * @return {Promise<Boolean>} True when the token existed.
+   */
+  async removeSessionToken(id) {
+    return await ipc.invoke('cookies-session-token-remove', id);
+  }
+
+  /**
+   * Stores current cookies of the session partition as a snapshot.
+   *
+   * @param {String} name The snapshot name. Can contain letters, digits, `-` and `_`.
+   * @param {String=} partition The session partition id. Default to the
+   * current partition.
+   * @return {Promise<Object>} The snapshot metadata with `name`, `partition`,
+   * `created` and `count` properties.
+   */
+  async createSnapshot(name, partition) {
+    return await ipc.invoke('cookies-session-snapshot-create', name, partition);
+  }
+
+  /**
+   * @return {Promise<Array<Object>>} Metadata of stored snapshots.
+   */
+  async listSnapshots() {
+    return await ipc.invoke('cookies-session-snapshot-list');
+  }
+
+  /**
+   * Replaces cookies of the session partition with cookies from a snapshot.
+   *
+   * @param {String} name The snapshot name.
+   * @param {String=} partition The session partition id. Default to the
+   * partition the snapshot was created from.
+   * @return {Promise<Number>} Number of restored cookies.
+   */
+  async restoreSnapshot(name, partition) {
+    return await ipc.invoke('cookies-session-snapshot-restore', name, partition);
+  }
+
+  /**
+   * Computes a difference between two snapshots.
+   *
+   * @param {String} a The name of the first snapshot.
+   * @param {String=} b The name of the second snapshot. When not set the
+   * snapshot is compared with current cookies.
+   * @return {Promise<Object>} An object with `added` and `removed` lists of
+   * cookies and `changed` list of objects with `before`, `after` and
+   * `properties` properties.
+   */
+  async diffSnapshots(a, b) {
+    const result = await ipc.invoke('cookies-session-snapshot-diff', a, b);
+    this._translateCookiesForWeb(result.added);
+    this._translateCookiesForWeb(result.removed);
+    result.changed.forEach((item) => {
+      this._translateCookieForWeb(item.before);
+      this._translateCookieForWeb(item.after);
+    });
+    return result;
+  }
+
+  /**
+   * Removes a snapshot.
+   *
+   * @param {String} name The snapshot name.
+   * @return {Promise<Boolean>} True when the snapshot existed.
+   */
+  async deleteSnapshot(name) {
+    return await ipc.invoke('cookies-session-snapshot-delete', name);
+  }
+
+  /**
+   * Dispatches a DOM event.
+   * @param {String} type Event type
+   * @param {any} detail Event detail object
+   */
+  fire(type, detail) {
+    const e = new CustomEvent(type, {
+      detail,
+      bubbles: true
+    });
+    document.body.dispatchEvent(e);
+  }
+
+  /**
+   * Web cookies model have `expires` property which is a timestamp
+   * in miliseconds intead of seconds as `expirationDate`. This has to be
+   * computed before returning cookies to the client.
+   *
+   * @param {Array} cookies List of cookies to translate
+   * @return {Array} Updated list of cookies.
+   */
+  _translateCookiesForWeb(cookies) {
+    if (!cookies) {
+      return;
+    }
+    cookies.forEach((cookie) => this._translateCookieForWeb(cookie));
+    return cookies;
+  }
+
+  _translateCookieForWeb(cookie) {
+    return translateCookieForWeb(cookie);
+  }
+
+  _translateCookieForElectron(cookie) {
+    return translateCookieForElectron(cookie);
+  }
+
+  /**
+   * Handler for the `session-cookie-list-all` DOM event.
+   * Sets a result of calling `getAllCookies()` to `detail.result` property.
+   * @param {CustomEvent} e
+   */
+  _onRequestAllCookies(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    e.detail.result = this.getAllCookies(e.detail.partition);
+  }
+
+  /**
+   * Handler for the `session-cookie-list-domain` DOM event.
+   * Sets a result of calling `getDomainCookies()` to `detail.result` property.
+   *
+   * It expects the `domain` property to be set on the `detail` object.
+   * The optional `partition` property sets the session partition.
+   *
+   * @param {CustomEvent} e
+   */
+  _onRequestDomainCookies(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    const { domain, partition } = e.detail;
+    e.detail.result = this.getDomainCookies(domain, partition);
+  }
+
+  /**
+   * Handler for the `session-cookie-query` DOM event.
+   * Sets a result of calling `queryCookies(detail.query)` to `detail.result` property.
+   *
+   * The optional `partition` property sets the session partition.
+   *
+   * @param {CustomEvent} e
+   */
+  _onQueryCookies(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    const { query, partition } = e.detail;
+    e.detail.result = this.queryCookies(query, partition);
+  }
+
+  /**
+   * Handler for the `session-cookie-remove` DOM event.
+   * Sets a result of calling `removeCookies(detail.remove)` to `detail.result` property.
+   *
+   * It expects the `cookies` property to be set on the `detail` object.
+   * The optional `partition` property sets the session partition.
+   *
+   * @param {CustomEvent} e
+   */
+  _onRemoveCookies(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    const { cookies, partition } = e.detail;
+    e.detail.result = this.removeCookies(cookies, partition);
+  }
+
+  /**
+   * Handler for the `session-cookie-clear` DOM event.
+   * Sets a result of calling `clearCookies(detail.filter)` to `detail.result` property.
+   *
+   * All cookies are removed when the `filter` property is not set on the
+   * `detail` object. The optional `partition` property sets the session partition.
+   *
+   * @param {CustomEvent} e
+   */
+  _onClearCookies(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    const { filter, partition } = e.detail;
+    e.detail.result = this.clearCookies(filter, partition);
+  }
+
+  /**
+   * Handler for the `session-cookie-update` DOM event.
+   * Sets a result of calling `updateCookie(detail.cookie)` to `detail.result` property.
+   *
+   * It expects the `cookie` property to be set on the `detail` object.
+   * The optional `partition` property sets the session partition.
+   *
+   * @param {CustomEvent} e
+   */
+  _onUpdateCookie(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    const { cookie, partition } = e.detail;
+    e.detail.result = this.updateCookie(cookie, partition);
+  }
+
+  /**
+   * Handler for the `session-cookie-export` DOM event.
+   * Sets a result of calling `exportCookies()` to `detail.result` property.
+   *
+   * The `format`, `filter` and `partition` properties of the `detail`
+   * object are optional.
+   *
+   * @param {CustomEvent} e
+   */
+  _onExportCookies(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    const { format, filter, partition } = e.detail;
+    e.detail.result = this.exportCookies(format, filter, partition);
+  }
+
+  /**
+   * Handler for the `session-cookie-import` DOM event.
+   * Sets a result of calling `importCookies()` to `detail.result` property.
+   *
+   * It expects the `data` property to be set on the `detail` object.
+   * The `format` and `partition` properties are optional.
+   *
+   * @param {CustomEvent} e
+   */
+  _onImportCookies(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    const { data, format, partition } = e.detail;
+    e.detail.result = this.importCookies(data, format, partition);
+  }
+
+  /**
+   * Handler for the `session-cookie-export-encrypted` DOM event.
+   * Sets a result of calling `exportEncrypted()` to `detail.result` property.
+   *
+   * It expects the `password` property to be set on the `detail` object.
+   * The `filter` and `partition` properties are optional.
+   *
+   * @param {CustomEvent} e
+   */
+  _onExportEncrypted(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    const { password, filter, partition } = e.detail;
+    e.detail.result = this.exportEncrypted(password, filter, partition);
+  }
+
+  /**
+   * Handler for the `session-cookie-import-encrypted` DOM event.
+   * Sets a result of calling `importEncrypted()` to `detail.result` property.
+   *
+   * It expects the `data` and `password` properties to be set on the `detail`
+   * object. The `domains` and `partition` properties are optional.
+   *
+   * @param {CustomEvent} e
+   */
+  _onImportEncrypted(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    const { data, password, domains, partition } = e.detail;
+    e.detail.result = this.importEncrypted(data, password, { domains }, partition);
+  }
+
+  /**
+   * A handler from main thread's `cookies-session-certificate-request` event.
+   * It dispatches `session-certificate-request` DOM event with the request
+   * details. The application should call `respondCertificate()` or dispatch
+   * the `session-certificate-response` event with the user decision.
+   *
+   * @param {Event} e IPC event
+   * @param {Object} request The request with `id`, `url`, `host`, `error`
+   * and `certificate` properties.
+   */
+  _onCertificateRequest(e, request) {
+    this.fire('session-certificate-request', request);
+  }
+
+  /**
+   * A handler from main thread's `cookies-session-auth-request` event.
+   * It dispatches `session-auth-request` DOM event with the request
+   * details. The application should call `respondAuth()` or dispatch
+   * the `session-auth-response` event with the credentials.
+   *
+   * @param {Event} e IPC event
+   * @param {Object} request The request with `id`, `url`, `origin`, `host`,
+   * `port`, `realm`, `scheme` and `isProxy` properties.
+   */
+  _onAuthRequest(e, request) {
+    this.fire('session-auth-request', request);
+  }
+
+  /**
+   * Handler for the `session-auth-response` DOM event.
+   * Sets a result of calling `respondAuth()` to `detail.result` property.
+   *
+   * It expects the `id` property to be set on the `detail` object. The request
+   * is canceled when the `username` property is not set. The `password` and
+   * `remember` properties are optional.
+   *
+   * @param {CustomEvent} e
+   */
+  _onAuthResponse(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    const { id, username, password, remember } = e.detail;
+    const credentials = username ? { username, password } : undefined;
+    e.detail.result = this.respondAuth(id, credentials, remember);
+  }
+
+  /**
+   * Handler for the `session-auth-list` DOM event.
+   * Sets a result of calling `listCredentials()` to `detail.result` property.
+   *
+   * @param {CustomEvent} e
+   */
+  _onListCredentials(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    e.detail.result = this.listCredentials();
+  }
+
+  /**
+   * Handler for the `session-auth-remove` DOM event.
+   * Sets a result of calling `removeCredentials(detail.origin)` to `detail.result` property.
+   *
+   * @param {CustomEvent} e
+   */
+  _onRemoveCredentials(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    e.detail.result = this.removeCredentials(e.detail.origin);
+  }
+
+  /**
+   * Handler for the `session-token-list` DOM event.
+   * Sets a result of calling `listSessionTokens()` to `detail.result` property.
+   *
+   * @param {CustomEvent} e
+   */
+  _onListTokens(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    e.detail.result = this.listSessionTokens();
+  }
+
+  /**
+   * Handler for the `session-token-remove` DOM event.
+   * Sets a result of calling `removeSessionToken(detail.id)` to `detail.result` property.
+   *
+   * @param {CustomEvent} e
+   */
+  _onRemoveToken(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    e.detail.result = this.removeSessionToken(e.detail.id);
+  }
+
+  /**
+   * Handler for the `session-certificate-response` DOM event.
+   * Sets a result of calling `respondCertificate()` to `detail.result` property.
+   *
+   * It expects the `id` and `allowed` properties to be set on the `detail`
+   * object. The `remember` property is optional.
+   *
+   * @param {CustomEvent} e
+   */
+  _onCertificateResponse(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    const { id, allowed, remember } = e.detail;
+    e.detail.result = this.respondCertificate(id, allowed, remember);
+  }
+
+  /**
+   * Handler for the `session-certificate-policy` DOM event.
+   * Sets a result of calling `certificatePolicy(detail.config)` to
+   * `detail.result` property.
+   *
+   * @param {CustomEvent} e
+   */
+  _onCertificatePolicy(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    e.detail.result = this.certificatePolicy(e.detail.config);
+  }
+
+  /**
+   * Handler for the `session-certificate-list` DOM event.
+   * Sets a result of calling `listCertificateDecisions()` to `detail.result` property.
+   *
+   * @param {CustomEvent} e
+   */
+  _onListCertificateDecisions(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    e.detail.result = this.listCertificateDecisions();
+  }
+
+  /**
+   * Handler for the `session-certificate-revoke` DOM event.
+   * Sets a result of calling `revokeCertificateDecision()` to `detail.result` property.
+   *
+   * It expects the `host` property to be set on the `detail` object.
+   * The `fingerprint` property is optional.
+   *
+   * @param {CustomEvent} e
+   */
+  _onRevokeCertificateDecision(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    const { host, fingerprint } = e.detail;
+    e.detail.result = this.revokeCertificateDecision(host, fingerprint);
+  }
+
+  /**
+   * Handler for the `session-browser-open` DOM event.
+   * Sets a result of calling `openWebBrowser(detail.url, detail.options)` to
+   * `detail.result` property.
+   *
+   * It expects the `url` property to be set on the `detail` object.
+   *
+   * @param {CustomEvent} e
+   */
+  _onOpenWebBrowser(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    const { url, options } = e.detail;
+    e.detail.result = this.openWebBrowser(url, options);
+  }
+
+  /**
+   * Handler for the `session-cookie-history` DOM event.
+   * Sets a result of calling `queryHistory(detail.query)` to `detail.result` property.
+   *
+   * @param {CustomEvent} e
+   */
+  _onQueryHistory(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    e.detail.result = this.queryHistory(e.detail.query);
+  }
+
+  /**
+   * Handler for the `session-cookie-history-clear` DOM event.
+   * Sets a result of calling `clearHistory(detail.partition)` to `detail.result` property.
+   *
+   * @param {CustomEvent} e
+   */
+  _onClearHistory(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    e.detail.result = this.clearHistory(e.detail.partition);
+  }
+
+  /**
+   * Handler for the `session-cookie-rules` DOM event.
+   * Sets a result of calling `getCookieRules()` to `detail.result` property.
+   *
+   * @param {CustomEvent} e
+   */
+  _onGetCookieRules(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    e.detail.result = this.getCookieRules();
+  }
+
+  /**
+   * Handler for the `session-cookie-rules-set` DOM event.
+   * Sets a result of calling `setCookieRules(detail.rules)` to `detail.result` property.
+   *
+   * @param {CustomEvent} e
+   */
+  _onSetCookieRules(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    e.detail.result = this.setCookieRules(e.detail.rules);
+  }
+
+  /**
+   * Updates cached cookie policy rules when the rules change in the main process.
+   *
+   * @param {Event} e
+   * @param {Array<Object>} rules
+   */
+  _onCookieRulesChanged(e, rules) {
+    this._cookieRules = rules;
+  }
+
+  /**
+   * Marks the cached public suffix list as outdated when the list is updated
+   * in the main process.
+   */
+  _onPublicSuffixListChanged() {
+    this._publicSuffixesLoaded = false;
+  }
+
+  /**
+   * Handler for the `session-storage-usage` DOM event.
+   * Sets a result of calling `getStorageUsage(detail.origins, detail.partition)`
+   * to `detail.result` property.
+   *
+   * @param {CustomEvent} e
+   */
+  _onStorageUsage(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    e.detail.result = this.getStorageUsage(e.detail.origins, e.detail.partition);
+  }
+
+  /**
+   * Handler for the `session-storage-clear` DOM event.
+   * Sets a result of calling `clearStorageData()` to `detail.result` property.
+   * The `detail` object can have `origin`, `storages`, `quotas` and
+   * `partition` properties.
+   *
+   * @param {CustomEvent} e
+   */
+  _onClearStorage(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    const { origin, storages, quotas, partition } = e.detail;
+    e.detail.result = this.clearStorageData({ origin, storages, quotas }, partition);
+  }
+
+  /**
+   * Handler for the `session-cache-clear` DOM event.
+   * Sets a result of calling `clearCache(detail.partition)` to `detail.result` property.
+   *
+   * @param {CustomEvent} e
+   */
+  _onClearCache(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    e.detail.result = this.clearCache(e.detail.partition);
+  }
+
+  /**
+   * Handler for the `session-auth-cache-clear` DOM event.
+   * Sets a result of calling `clearAuthCache(detail.partition)` to `detail.result` property.
+   *
+   * @param {CustomEvent} e
+   */
+  _onClearAuthCache(e) {
+    if (e.defaultPrevented) {
+      return;
     }
+    e.preventDefault();
+    e.detail.result = this.clearAuthCache(e.detail.partition);
   }
 
   /**
-   * Creates or updates cookies in the cookies partition.
-   * @param {Object} cookie ARC's cookie definition.
-   * @return {Promise}
+   * Handler for the `session-snapshot-create` DOM event.
+   * Sets a result of calling `createSnapshot(detail.name, detail.partition)`
+   * to `detail.result` property.
+   *
+   * @param {CustomEvent} e
    */
-  async updateCookie(cookie) {
-    const electronCookie = this._translateCookieForElectron(cookie);
-    return await ipc.invoke('cookies-session-set-cookie', electronCookie);
+  _onCreateSnapshot(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    const { name, partition } = e.detail;
+    e.detail.result = this.createSnapshot(name, partition);
   }
 
   /**
-   * Stores list of cookies in the store.
+   * Handler for the `session-snapshot-list` DOM event.
+   * Sets a result of calling `listSnapshots()` to `detail.result` property.
    *
-   * @param {Array<Object>} cookies List of cookies to store
-   * @return {Promise} Resolved promise when all cookies are stored.
+   * @param {CustomEvent} e
    */
-  async updateCookies(cookies) {
-    if (!cookies || !cookies.length) {
+  _onListSnapshots(e) {
+    if (e.defaultPrevented) {
       return;
     }
-    cookies = cookies.map((item) => {
-      if (item.toJSON) {
-        // compatibility with cookie-parser of ARC
-        item = item.toJSON();
-      }
-      item = this._translateCookieForElectron(item);
-      return item;
-    });
-    return await ipc.invoke('cookies-session-set-cookies', cookies);
+    e.preventDefault();
+    e.detail.result = this.listSnapshots();
   }
 
   /**
-   * Dispatches a DOM event.
-   * @param {String} type Event type
-   * @param {any} detail Event detail object
+   * Handler for the `session-snapshot-restore` DOM event.
+   * Sets a result of calling `restoreSnapshot(detail.name, detail.partition)`
+   * to `detail.result` property.
+   *
+   * @param {CustomEvent} e
    */
-  fire(type, detail) {
-    const e = new CustomEvent(type, {
-      detail,
-      bubbles: true
-    });
-    document.body.dispatchEvent(e);
+  _onRestoreSnapshot(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    const { name, partition } = e.detail;
+    e.detail.result = this.restoreSnapshot(name, partition);
   }
 
   /**
-   * Web cookies model have `expires` property which is a timestamp
-   * in miliseconds intead of seconds as `expirationDate`. This has to be
-   * computed before returning cookies to the client.
+   * Handler for the `session-snapshot-diff` DOM event.
+   * Sets a result of calling `diffSnapshots(detail.a, detail.b)` to
+   * `detail.result` property.
    *
-   * @param {Array} cookies List of cookies to translate
-   * @return {Array} Updated list of cookies.
+   * @param {CustomEvent} e
    */
-  _translateCookiesForWeb(cookies) {
-    if (!cookies) {
+  _onDiffSnapshots(e) {
+    if (e.defaultPrevented) {
       return;
     }
-    cookies.forEach((cookie) => this._translateCookieForWeb(cookie));
-    return cookies;
-  }
-
-  _translateCookieForWeb(cookie) {
-    if (cookie.expirationDate) {
-      cookie.expires = cookie.expirationDate * 1000;
-      delete cookie.expirationDate;
-    }
-    return cookie;
+    e.preventDefault();
+    const { a, b } = e.detail;
+    e.detail.result = this.diffSnapshots(a, b);
   }
 
-  _translateCookieForElectron(cookie) {
-    if (cookie.expires) {
-      cookie.expirationDate = Math.round(cookie.expires / 1000);
-      delete cookie.expires;
-    }
-    if (cookie.httponly) {
-      cookie.httpOnly = cookie.httponly;
-      delete cookie.httponly;
+  /**
+   * Handler for the `session-snapshot-delete` DOM event.
+   * Sets a result of calling `deleteSnapshot(detail.name)` to `detail.result` property.
+   *
+   * @param {CustomEvent} e
+   */
+  _onDeleteSnapshot(e) {
+    if (e.defaultPrevented) {
+      return;
     }
-    return cookie;
+    e.preventDefault();
+    e.detail.result = this.deleteSnapshot(e.detail.name);
   }
 
   /**
-   * Handler for the `session-cookie-list-all` DOM event.
-   * Sets a result of calling `getAllCookies()` to `detail.result` property.
+   * Handler for the `session-partition-list` DOM event.
+   * Sets a result of calling `listPartitions()` to `detail.result` property.
    * @param {CustomEvent} e
    */
-  _onRequestAllCookies(e) {
+  _onListPartitions(e) {
     if (e.defaultPrevented) {
       return;
     }
     e.preventDefault();
-    e.detail.result = this.getAllCookies();
+    e.detail.result = this.listPartitions();
   }
 
   /**
-   * Handler for the `session-cookie-list-domain` DOM event.
-   * Sets a result of calling `getDomainCookies()` to `detail.result` property.
+   * Handler for the `session-partition-create` DOM event.
+   * Sets a result of calling `createPartition(detail.id, detail.name)` to
+   * `detail.result` property.
    *
-   * It expects the `domain` property to be set on the `detail` object.
+   * It expects the `id` property to be set on the `detail` object.
    *
    * @param {CustomEvent} e
    */
-  _onRequestDomainCookies(e) {
+  _onCreatePartition(e) {
     if (e.defaultPrevented) {
       return;
     }
     e.preventDefault();
-    const { domain } = e.detail;
-    e.detail.result = this.getDomainCookies(domain);
+    const { id, name } = e.detail;
+    e.detail.result = this.createPartition(id, name);
   }
 
   /**
-   * Handler for the `session-cookie-remove` DOM event.
-   * Sets a result of calling `removeCookies(detail.remove)` to `detail.result` property.
+   * Handler for the `session-partition-switch` DOM event.
+   * Sets a result of calling `switchPartition(detail.id)` to `detail.result` property.
    *
-   * It expects the `cookies` property to be set on the `detail` object.
+   * It expects the `id` property to be set on the `detail` object.
    *
    * @param {CustomEvent} e
    */
-  _onRemoveCookies(e) {
+  _onSwitchPartition(e) {
     if (e.defaultPrevented) {
       return;
     }
     e.preventDefault();
-    const { cookies } = e.detail;
-    e.detail.result = this.removeCookies(cookies);
+    e.detail.result = this.switchPartition(e.detail.id);
   }
 
   /**
-   * Handler for the `session-cookie-update` DOM event.
-   * Sets a result of calling `updateCookie(detail.cookie)` to `detail.result` property.
+   * Handler for the `session-partition-delete` DOM event.
+   * Sets a result of calling `deletePartition(detail.id)` to `detail.result` property.
    *
-   * It expects the `cookie` property to be set on the `detail` object.
+   * It expects the `id` property to be set on the `detail` object.
    *
    * @param {CustomEvent} e
    */
-  _onUpdateCookie(e) {
+  _onDeletePartition(e) {
     if (e.defaultPrevented) {
       return;
     }
     e.preventDefault();
-    e.detail.result = this.updateCookie(e.detail.cookie);
+    e.detail.result = this.deletePartition(e.detail.id);
   }
 
   /**
    * A handler from main thread's `cookie-changed` event.
    * It dispatches `session-cookie-removed` or `session-cookie-changed` DOM event,
    * depanding on the change defiitino.
+   * The main process sends changes in batches so the event is dispatched
+   * for each item of the list.
    *
    * @param {Event} e IPC event
-   * @param {Object} data Cookie data
+   * @param {Object|Array<Object>} data Cookie data or a list of cookie data
    * @param {Object} data.cookie The electron cookie object
    * @param {Boolean=} data.removed Set when a cookie was removed. Otherwise it is changed.
    */
   _onCookieChanged(e, data) {
+    if (Array.isArray(data)) {
+      data.forEach((item) => this._onCookieChanged(e, item));
+      return;
+    }
     const cookie = this._translateCookieForWeb(data.cookie);
     if (data.removed) {
       this.fire('session-cookie-removed', cookie);
@@ -237,58 +1499,382 @@ export class CookieBridge {
   /**
    * Handler for the ARC's event `before-request`.
    * The event is handled asynchronously.
+   *
+   * The following properties of `detail.config` control cookies of the request:
+   * - `ignoreSessionCookies` - session cookies are not added to the request.
+   * Cookies from `extraCookies` are still added.
+   * - `cookieAllowlist` - list of names of session cookies that can be sent
+   * - `cookieDenylist` - list of names of session cookies that cannot be sent
+   * - `extraCookies` - list of cookies (`name` and `value`) or a map of cookie
+   * names and values added to this request only. They override session
+   * cookies with the same name.
+   * - `cookiePartition` - the session partition id to read cookies from.
+   * Cookies of the response are stored in the same partition.
+   * - `cookieMergeStrategy` - one of `MERGE_STRATEGIES`
+   *
+   * Session cookies blocked by the cookie policy rules are not sent.
+   *
+   * When `applySessionAuth` is set on this instance or on `detail.config`
+   * and the request has no `Authorization` header then the header is added
+   * with stored `basic` credentials of the request origin. The
+   * `detail.appliedAuth` property then has the `origin` and `username`
+   * of the credentials. Other authentication schemes cannot be replayed.
+   *
+   * When `applySessionTokens` is set on this instance or on `detail.config`
+   * and the request has no `Authorization` header then the header is added
+   * with the `Bearer` token captured in the web session for the request host.
+   * The `detail.appliedToken` property then has the `id` and `type` of the token.
+   *
+   * When processed, the `detail.appliedCookies` property contains the list
+   * of cookies added to the request. Each item has `name`, `value` and `source`
+   * (`session` or `config`) properties. Session cookies also have `domain`
+   * and `path`.
+   *
    * @param {CustomEvent} e
    */
   _beforeRequestHandler(e) {
-    if (this.ignoreSessionCookies) {
-      return
-    }
-    const { config } = e.detail;
-    if (config && config.ignoreSessionCookies === true) {
+    const config = e.detail.config || {};
+    const applyCookies = !this._ignoresSessionCookies(config) || !!config.extraCookies;
+    const applyAuth = typeof config.applySessionAuth === 'boolean' ?
+      config.applySessionAuth : this.applySessionAuth;
+    const applyTokens = typeof config.applySessionTokens === 'boolean' ?
+      config.applySessionTokens : this.applySessionTokens;
+    if (!applyCookies && !applyAuth && !applyTokens) {
       return;
     }
     if (!e.detail.promises) {
       e.detail.promises = [];
     }
-    e.detail.promises.push(this._processBeforeRequest(e.detail));
+    if (applyCookies) {
+      e.detail.promises.push(this._processBeforeRequest(e.detail));
+    }
+    if (applyAuth) {
+      e.detail.promises.push(this._applySessionAuth(e.detail));
+    }
+    if (applyTokens) {
+      e.detail.promises.push(this._applySessionToken(e.detail));
+    }
+  }
+
+  /**
+   * Adds the `Authorization` header with a token captured in the web session
+   * for the request host. See `_beforeRequestHandler()`.
+   *
+   * @param {Object} request
+   * @return {Promise<Object>} The request.
+   */
+  async _applySessionToken(request) {
+    const token = await this.getSessionToken(request.url);
+    if (!token) {
+      return request;
+    }
+    const headers = new ArcHeaders(request.headers);
+    if (headers.has('authorization')) {
+      return request;
+    }
+    const value = /^bearer /i.test(token.value) ? token.value : `Bearer ${token.value}`;
+    headers.set('authorization', value);
+    request.headers = headers.toString();
+    request.appliedToken = {
+      id: token.id,
+      type: token.type,
+    };
+    return request;
+  }
+
+  /**
+   * Adds the `Authorization` header with stored credentials of the request
+   * origin. See `_beforeRequestHandler()`.
+   *
+   * @param {Object} request
+   * @return {Promise<Object>} The request.
+   */
+  async _applySessionAuth(request) {
+    const auth = await this.getAuthorization(request.url);
+    if (!auth || !auth.authorization) {
+      return request;
+    }
+    const headers = new ArcHeaders(request.headers);
+    if (headers.has('authorization')) {
+      return request;
+    }
+    headers.set('authorization', auth.authorization);
+    request.headers = headers.toString();
+    request.appliedAuth = {
+      origin: auth.origin,
+      username: auth.username,
+    };
+    return request;
   }
 
   /**
    * Processes request before it's send to the transport library.
    * It sets cookie header string for current URL.
+   * The `config.cookieMergeStrategy` of the request overrides
+   * the `cookieMergeStrategy` of this instance.
    *
    * @param {Object} request
    * @param {Function} resolve
    * @param {Function} reject
    */
   async _processBeforeRequest(request) {
-    const cookie = await this.getCookiesHeaderValue(request.url);
-    this._applyCookieHeader(cookie, request);
+    const config = request.config || {};
+    let cookies = [];
+    if (!this._ignoresSessionCookies(config)) {
+      const stored = await this.getRequestCookies(request.url, {
+        method: request.method,
+        partition: config.cookiePartition,
+      });
+      const rules = await this.getCookieRules();
+      cookies = applyRequestRules(stored, rules);
+    }
+    const list = this._applyCookieOverrides(cookies, config);
+    const header = list.map((c) => c.name + '=' + c.value).join('; ');
+    const names = this._applyCookieHeader(header, request, config.cookieMergeStrategy || this.cookieMergeStrategy);
+    request.appliedCookies = list.filter((item) => names.indexOf(item.name) !== -1);
     return request;
   }
 
+  /**
+   * @param {Object} config The request configuration
+   * @return {Boolean} True when session cookies are not added to the request.
+   */
+  _ignoresSessionCookies(config) {
+    return !!this.ignoreSessionCookies || config.ignoreSessionCookies === true;
+  }
+
+  /**
+   * Applies request's cookie configuration to the list of session cookies.
+   * See `_beforeRequestHandler()` for the description of the configuration.
+   *
+   * @param {Array<Object>} cookies List of session cookies
+   * @param {Object} config The request configuration
+   * @return {Array<Object>} List of cookies to send with `name`, `value` and
+   * `source` properties.
+   */
+  _applyCookieOverrides(cookies, config) {
+    const { cookieAllowlist, cookieDenylist } = config;
+    let extra = config.extraCookies || [];
+    if (!Array.isArray(extra)) {
+      extra = Object.keys(extra).map((name) => ({ name, value: extra[name] }));
+    }
+    extra = extra.filter((item) => item && item.name);
+    const extraNames = extra.map((item) => item.name);
+    const result = cookies.filter((cookie) => {
+      if (Array.isArray(cookieAllowlist) && cookieAllowlist.indexOf(cookie.name) === -1) {
+        return false;
+      }
+      if (Array.isArray(cookieDenylist) && cookieDenylist.indexOf(cookie.name) !== -1) {
+        return false;
+      }
+      return extraNames.indexOf(cookie.name) === -1;
+    }).map((cookie) => ({
+      name: cookie.name,
+      value: cookie.value,
+      domain: cookie.domain,
+      path: cookie.path,
+      source: 'session',
+    }));
+    extra.forEach((item) => {
+      result.push({
+        name: item.name,
+        value: item.value === undefined || item.value === null ? '' : String(item.value),
+        source: 'config',
+      });
+    });
+    return result;
+  }
+
   /**
    * Get cookies header value for given URL.
+   * Cookies are filtered and ordered as defined in
+   * https://tools.ietf.org/html/rfc6265#section-5.4
    *
    * @param {String} url An URL for cookies.
+   * @param {Object|String=} opts Request context or the session partition id.
+   * @param {String=} opts.partition The session partition id. Default to the
+   * current partition.
+   * @param {String=} opts.method The request method. Default to `GET`.
+   * @param {String=} opts.site The URL of the site that initiated the request.
+   * When set and it is not the same site as the `url` then `SameSite`
+   * cookies are filtered out.
+   * @param {Boolean=} opts.topLevel Whether the request is a top level
+   * navigation. Default to true.
    * @return {Promise<String>} Promise that resolves to header value string.
    */
-  async getCookiesHeaderValue(url) {
-    const cookies = await this.getCookies(url);
+  async getCookiesHeaderValue(url, opts) {
+    const cookies = await this.getRequestCookies(url, opts);
+    return cookies.map((c) => c.name + '=' + c.value).join('; ');
+  }
+
+  /**
+   * Reads cookies to be send with a request to the URL.
+   * Cookies are filtered and ordered as defined in
+   * https://tools.ietf.org/html/rfc6265#section-5.4
+   *
+   * @param {String} url An URL for cookies.
+   * @param {Object|String=} opts Request context or the session partition id.
+   * See `getCookiesHeaderValue()` for the description.
+   * @return {Promise<Array<Object>>} List of cookies to send.
+   */
+  async getRequestCookies(url, opts) {
+    const options = typeof opts === 'string' ? { partition: opts } : (opts || {});
+    const cookies = await this.getCookies(url, options.partition);
     if (!cookies || !cookies.length) {
-      return '';
+      return [];
+    }
+    await this.getPublicSuffixList();
+    return this._filterRequestCookies(cookies, url, options);
+  }
+
+  /**
+   * Reads cookies to be send with a redirected request, before cookies from
+   * the redirect responses are stored.
+   * Cookies set by the redirect responses replace session cookies with the
+   * same name, domain and path, and cookies expired by the redirect responses
+   * are not sent. Cookie policy rules are applied to the cookies.
+   *
+   * @param {String} url The URL of the next hop.
+   * @param {Array<Object>=} redirects List of redirect responses received so
+   * far. See `extract()` for the description.
+   * @param {Object|String=} opts Request context or the session partition id.
+   * See `getCookiesHeaderValue()` for the description.
+   * @return {Promise<Array<Object>>} List of cookies to send.
+   */
+  async getRedirectCookies(url, redirects, opts) {
+    const options = typeof opts === 'string' ? { partition: opts } : (opts || {});
+    let uri;
+    try {
+      uri = new URL(url);
+    } catch (e) {
+      return [];
     }
+    const stored = await this.getCookies(url, options.partition) || [];
+    const rules = await this.getCookieRules();
+    await this.getPublicSuffixList();
+    const extracted = this.extract({}, url, redirects);
+    const { cookies: received } = applyResponseRules(extracted.cookies, rules, this._rulesContext(url));
+    const key = (cookie) => `${cookie.name};${(cookie.domain || '').replace(/^\./, '').toLowerCase()};${cookie.path || '/'}`;
+    const replaced = received.concat(extracted.expired).map(key);
+    const host = uri.hostname.toLowerCase();
+    const matching = received.filter((cookie) => {
+      const domainMatches = cookie.hostOnly === true ?
+        host === cookie.domain.toLowerCase() : domainMatch(host, cookie.domain);
+      return domainMatches && matchCookiePath(uri.pathname, cookie.path);
+    });
+    const cookies = stored.filter((cookie) => replaced.indexOf(key(cookie)) === -1).concat(matching);
+    return this._filterRequestCookies(applyRequestRules(cookies, rules), url, options);
+  }
+
+  /**
+   * Get cookies header value for a redirected request.
+   * See `getRedirectCookies()` for the description.
+   *
+   * @param {String} url The URL of the next hop.
+   * @param {Array<Object>=} redirects List of redirect responses.
+   * @param {Object|String=} opts Request context or the session partition id.
+   * @return {Promise<String>} Promise that resolves to header value string.
+   */
+  async getRedirectCookiesHeaderValue(url, redirects, opts) {
+    const cookies = await this.getRedirectCookies(url, redirects, opts);
     return cookies.map((c) => c.name + '=' + c.value).join('; ');
   }
+
+  /**
+   * Handler for the `session-cookie-redirect` DOM event dispatched by the
+   * transport before a redirected request is made.
+   * Sets a result of calling `getRedirectCookiesHeaderValue()` to
+   * `detail.result` property. The `detail` object is expected to have
+   * `url` and `redirects` properties and optional `partition`, `method`,
+   * `site` and `topLevel` properties.
+   *
+   * @param {CustomEvent} e
+   */
+  _onRedirectCookies(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    const { url, redirects, partition, method, site, topLevel } = e.detail;
+    e.detail.result = this.getRedirectCookiesHeaderValue(url, redirects, { partition, method, site, topLevel });
+  }
+
+  /**
+   * Removes cookies that cannot be send with the request and sorts cookies
+   * so cookies with longer paths are listed before cookies with shorter paths.
+   * Cookies with equal paths keep the order of the cookie store. Electron's
+   * cookies have no creation time so the order cannot be computed here.
+   *
+   * @param {Array<Object>} cookies List of cookies matching the URL
+   * @param {String} url The request URL
+   * @param {Object} context The request context. See `getCookiesHeaderValue()`.
+   * @return {Array<Object>} List of cookies to send.
+   */
+  _filterRequestCookies(cookies, url, context) {
+    let uri;
+    try {
+      uri = new URL(url);
+    } catch (e) {
+      return [];
+    }
+    const secure = ['https:', 'wss:'].indexOf(uri.protocol) !== -1;
+    const crossSite = !!context.site && !this._isSameSite(uri, context.site);
+    const method = (context.method || 'GET').toUpperCase();
+    const safeMethod = ['GET', 'HEAD', 'OPTIONS', 'TRACE'].indexOf(method) !== -1;
+    const laxAllowed = context.topLevel !== false && safeMethod;
+    const result = cookies.filter((cookie) => {
+      if (cookie.secure && !secure) {
+        return false;
+      }
+      if (!crossSite) {
+        return true;
+      }
+      switch (cookie.sameSite) {
+        case 'strict': return false;
+        case 'no_restriction': return true;
+        // Chromium treats cookies without the attribute as `lax`.
+        default: return laxAllowed;
+      }
+    });
+    return result
+      .map((cookie, index) => ({ cookie, index }))
+      .sort((a, b) => {
+        const pathDiff = (b.cookie.path || '/').length - (a.cookie.path || '/').length;
+        return pathDiff !== 0 ? pathDiff : a.index - b.index;
+      })
+      .map((item) => item.cookie);
+  }
+
+  /**
+   * Checks whether the request URL and the site URL are the same site.
+   * Sites are compared by the registrable domain (the public suffix and one
+   * more label) of the host name.
+   *
+   * @param {URL} uri The request URL
+   * @param {String} site The site URL
+   * @return {Boolean}
+   */
+  _isSameSite(uri, site) {
+    let siteUri;
+    try {
+      siteUri = new URL(site);
+    } catch (e) {
+      return false;
+    }
+    const registrable = (hostname) => this._publicSuffixes.getRegistrableDomain(hostname) || hostname.toLowerCase();
+    return registrable(uri.hostname) === registrable(siteUri.hostname);
+  }
   /**
    * Gets a list of cookies for given URL (matching domain and path as defined
    * in Cookie spec) from  the datastore.
    *
    * @param {String} url An URL to match cookies.
+   * @param {String=} partition The session partition id. Default to the
+   * current partition.
    * @return {Promise<Array>} List of database objects that matches cookies.
    */
-  async getCookies(url) {
-    return await ipc.invoke('cookies-session-get-url', url);
+  async getCookies(url, partition) {
+    return await ipc.invoke('cookies-session-get-url', url, partition);
   }
 
   /**
@@ -299,73 +1885,263 @@ export class CookieBridge {
    *
    * @param {String} header Computed headers string
    * @param {Object} request The request object from the event.
+   * @param {String=} strategy The strategy of merging the header with
+   * existing `Cookie` header. One of `MERGE_STRATEGIES`. Default to `append`.
+   * @return {Array<String>} List of names of cookies added to the request.
    */
-  _applyCookieHeader(header, request) {
+  _applyCookieHeader(header, request, strategy='append') {
     header = header.trim();
     if (!header) {
-      return;
+      return [];
     }
     const headers = new ArcHeaders(request.headers);
+    const current = this._readCookieHeaders(request.headers);
+    if (current.length) {
+      const currentCookies = current.reduce((list, value) => list.concat(this._parseCookieHeader(value)), []);
+      const sessionCookies = this._parseCookieHeader(header);
+      const currentNames = currentCookies.map((item) => item.name);
+      const sessionNames = sessionCookies.map((item) => item.name);
+      switch (strategy) {
+        case 'skip':
+          return [];
+        case 'replace':
+          headers.set('cookie', currentCookies
+            .filter((item) => sessionNames.indexOf(item.name) === -1)
+            .concat(sessionCookies)
+            .map((item) => item.value === undefined ? item.name : `${item.name}=${item.value}`)
+            .join('; '));
+          request.headers = headers.toString();
+          return sessionNames;
+        default: {
+          const added = sessionCookies.filter((item) => currentNames.indexOf(item.name) === -1);
+          if (!added.length) {
+            return [];
+          }
+          headers.set('cookie', current
+            .concat(added.map((item) => `${item.name}=${item.value}`))
+            .join('; '));
+          request.headers = headers.toString();
+          return added.map((item) => item.name);
+        }
+      }
+    }
     headers.append('cookie', header);
     request.headers = headers.toString();
+    return this._parseCookieHeader(header).map((item) => item.name);
+  }
+
+  /**
+   * Reads values of the `Cookie` headers of a request.
+   * Values of repeated headers are returned separately as, unlike `ArcHeaders`,
+   * they cannot be joined with a comma that can be a part of a cookie value.
+   *
+   * @param {String|Object=} headers The request headers
+   * @return {Array<String>} List of not empty header values.
+   */
+  _readCookieHeaders(headers) {
+    if (typeof headers !== 'string') {
+      const value = new ArcHeaders(headers).get('cookie');
+      return value && value.trim() ? [value] : [];
+    }
+    const result = [];
+    headers.split(/\n(?=[^ \t]+)/).forEach((line) => {
+      line = line.trim();
+      const index = line.indexOf(':');
+      if (index === -1 || line.substr(0, index).toLowerCase() !== 'cookie') {
+        return;
+      }
+      const value = line.substr(index + 1).trim();
+      if (value) {
+        result.push(value);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * @param {String} value The `Cookie` header value
+   * @return {Array<Object>} List of cookies with `name` and `value` properties.
+   */
+  _parseCookieHeader(value) {
+    return value.split(';').map((part) => {
+      const index = part.indexOf('=');
+      if (index === -1) {
+        return { name: part.trim() };
+      }
+      return {
+        name: part.substr(0, index).trim(),
+        value: part.substr(index + 1).trim(),
+      };
+    }).filter((item) => !!item.name);
   }
 
   /**
    * Handler to the `response-ready` event.
    * Stores cookies in the datastore.
    *
+   * A promise resolved when the cookies are processed is added to the
+   * `detail.promises` array. The promise is resolved with the result of
+   * `_processResponse()`. When processing fails the `session-cookie-error`
+   * event is dispatched with the `error` and `url` and the promise is resolved
+   * with `undefined`.
+   *
    * @param {CustomEvent} e
    */
   _afterRequestHandler(e) {
     const request = e.detail.request;
     const response = e.detail.response;
     const redirects = e.detail.redirects;
-    process.nextTick(() => {
-      this._processResponse(request, response, redirects);
-    });
+    if (!e.detail.promises) {
+      e.detail.promises = [];
+    }
+    const promise = new Promise((resolve) => process.nextTick(resolve))
+      .then(() => this._processResponse(request, response, redirects))
+      .catch((cause) => {
+        this.fire('session-cookie-error', {
+          error: cause,
+          url: request && request.url,
+        });
+      });
+    e.detail.promises.push(promise);
   }
 
   /**
    * Extracts cookies from `this.responseHeaders` and if any cookies are
    * there it stores them in the datastore.
+   * Cookie policy rules are applied before the cookies are stored.
+   * Cookies that has been expired by the server (past expiry date or
+   * `Max-Age=0`) are removed from the store.
+   *
+   * When any cookie is stored or removed the `session-cookies-stored` event
+   * is dispatched with the result. A `session-cookie-error` event is
+   * dispatched for each cookie that was rejected by `extract()` or could not
+   * be stored, with the `error`, `url` and `cookie` properties.
+   *
+   * Cookies are stored in the partition set in the `config.cookiePartition`
+   * of the request or in the current partition.
    *
    * @param {Object} request
    * @param {Object} response
    * @param {Array<Object>} redirects
-   * @return {Promise}
+   * @return {Promise<Object|undefined>} An object with the request `url`,
+   * `cookies` list of stored cookies, `removed` list of removed cookies,
+   * `rejected` list of cookies rejected by `extract()` and `failed` list of
+   * cookies not accepted by the store. Items of `rejected` and `failed` have
+   * `cookie` and `error` properties.
    */
-  _processResponse(request, response, redirects) {
+  async _processResponse(request, response, redirects) {
     if (!response || response.isError || !request || !request.url) {
       return;
     }
-    const result = this.extract(response, request.url, redirects);
-    return this.updateCookies(result.cookies);
+    const { url } = request;
+    const partition = (request.config || {}).cookiePartition;
+    await this.getPublicSuffixList();
+    const result = this.extract(response, url, redirects);
+    result.rejected.forEach(({ cookie, error }) => {
+      this.fire('session-cookie-error', { error, url, cookie });
+    });
+    const rules = await this.getCookieRules();
+    const { cookies } = applyResponseRules(result.cookies, rules, this._rulesContext(url));
+    await this.removeExpiredCookies(result.expired, partition);
+    const items = await this.updateCookies(cookies, partition);
+    const stored = [];
+    const failed = [];
+    items.forEach((item) => {
+      const cookie = this._translateCookieForWeb(item.cookie);
+      if (item.ok) {
+        stored.push(cookie);
+        return;
+      }
+      const error = CookieError.fromJSON(item.error);
+      failed.push({ cookie, error });
+      this.fire('session-cookie-error', { error, url, cookie });
+    });
+    const processed = {
+      url,
+      cookies: stored,
+      removed: result.expired,
+      rejected: result.rejected,
+      failed,
+    };
+    if (stored.length || result.expired.length) {
+      this.fire('session-cookies-stored', processed);
+    }
+    return processed;
+  }
+
+  /**
+   * @param {String} url The request URL
+   * @return {Object} The context of `applyResponseRules()` for the request.
+   */
+  _rulesContext(url) {
+    return {
+      requestUrl: url,
+      isSameSite: (domain, requestUrl) => this._isSameSite(new URL(`http://${domain.replace(/^\./, '')}`), requestUrl),
+    };
+  }
+
+  /**
+   * Removes cookies returned in the `expired` list of the `extract()`
+   * function from the store.
+   *
+   * @param {Array<Object>} cookies List of expired cookies
+   * @param {String=} partition The session partition id. Default to the
+   * current partition.
+   * @return {Promise}
+   */
+  async removeExpiredCookies(cookies, partition) {
+    if (!cookies || !cookies.length) {
+      return;
+    }
+    const items = cookies.map((item) => {
+      const { name, domain, path } = item;
+      return { name, domain, path };
+    });
+    await this.removeCookies(items, partition);
   }
 
   /**
    * Extracts cookies from the `response` object and returns an object with
-   * `cookies` and `expired` properties containing array of cookies, each.
+   * `cookies`, `expired` and `rejected` properties containing array of
+   * cookies, each.
+   *
+   * A cookie is rejected when its domain does not domain-match the host of
+   * the response URL, is a public suffix (see `getPublicSuffixList()`) or
+   * when the host is an IP address and the cookie domain is not the same
+   * address.
    *
    * @param {Response} response The response object. This chould be altered
    * request object
    * @param {String} url The request URL.
    * @param {?Array<Object>} redirects List of redirect responses (Response
-   * type). Each object is expected to have `headers` and `requestUrl`
-   * properties.
+   * type). Each object is expected to have `headers` and `url` (the URL
+   * that returned the redirect response) properties and optional `status`.
    * @return {Object<String, Array>} An object with `cookies` and `expired`
-   * arrays of cookies.
+   * arrays of cookies and `rejected` array of objects with `cookie` and
+   * `error` (`CookieError`) properties. Each cookie has the `source` property
+   * with the `requestUrl`, `url` and `status` of the response that set the
+   * cookie, and the `redirect` index when the cookie was set by a redirect.
    */
   extract(response, url, redirects) {
     let expired = [];
+    let rejected = [];
     let parser;
     let exp;
     const parsers = [];
     if (redirects && redirects.length) {
-      redirects.forEach(function(r) {
+      redirects.forEach((r, index) => {
         const headers = new ArcHeaders(r.headers);
         if (headers.has('set-cookie')) {
-          parser = new Cookies(headers.get('set-cookie'), r.url);
-          parser.filter();
+          // The domain and the path are set in `_filterResponseCookies()`.
+          parser = new Cookies(headers.get('set-cookie'));
+          parser.url = r.url;
+          this._tagCookies(parser.cookies, {
+            requestUrl: url,
+            url: r.url,
+            status: r.status,
+            redirect: index,
+          });
+          rejected = rejected.concat(this._filterResponseCookies(parser, r.url));
           exp = parser.clearExpired();
           if (exp && exp.length) {
             expired = expired.concat(exp);
@@ -376,8 +2152,14 @@ export class CookieBridge {
     }
     const headers = new ArcHeaders(response.headers);
     if (headers.has('set-cookie')) {
-      parser = new Cookies(headers.get('set-cookie'), url);
-      parser.filter();
+      parser = new Cookies(headers.get('set-cookie'));
+      parser.url = url;
+      this._tagCookies(parser.cookies, {
+        requestUrl: url,
+        url,
+        status: response.status,
+      });
+      rejected = rejected.concat(this._filterResponseCookies(parser, url));
       exp = parser.clearExpired();
       if (exp && exp.length) {
         expired = expired.concat(exp);
@@ -394,7 +2176,85 @@ export class CookieBridge {
     });
     return {
       cookies: mainParser ? mainParser.cookies : [],
-      expired
+      expired,
+      rejected,
     };
   }
+
+  /**
+   * Removes cookies that cannot be set by a response from the parser and
+   * sets the default domain and path of the remaining cookies as defined in
+   * https://tools.ietf.org/html/rfc6265#section-5.3
+   * Cookies without the `Domain` attribute have the `hostOnly` property set
+   * to `true`.
+   *
+   * @param {Cookies} parser The parser with cookies of the response.
+   * @param {String} url The response URL
+   * @return {Array<Object>} List of rejected cookies with `cookie` and
+   * `error` properties.
+   */
+  _filterResponseCookies(parser, url) {
+    let uri;
+    try {
+      uri = new URL(url);
+    } catch (e) {
+      return [];
+    }
+    const host = uri.hostname.toLowerCase();
+    const path = defaultCookiePath(uri.pathname);
+    const rejected = [];
+    parser.cookies = parser.cookies.filter((cookie) => {
+      const error = cookie.domain ? this._checkCookieDomain(cookie.domain, host) : undefined;
+      if (error) {
+        rejected.push({ cookie: cookie.toJSON(), error });
+        return false;
+      }
+      // The parser marks every cookie with a domain as host-only.
+      if (cookie.domain) {
+        cookie.hostOnly = false;
+      } else {
+        cookie.domain = host;
+        cookie.hostOnly = true;
+      }
+      if (!cookie.path) {
+        cookie.path = path;
+      }
+      return true;
+    });
+    return rejected;
+  }
+
+  /**
+   * @param {String} domain The `Domain` attribute of a response cookie
+   * @param {String} host The host name of the response URL
+   * @return {CookieError|undefined} An error when the response cannot set
+   * a cookie for the domain.
+   */
+  _checkCookieDomain(domain, host) {
+    const normalized = domain.replace(/^\./, '').toLowerCase();
+    if (normalized === host) {
+      return undefined;
+    }
+    if (isIpAddress(host)) {
+      return new CookieError('DOMAIN_MISMATCH', `Cookie domain ${domain} cannot be set for the IP address ${host}`, 'domain');
+    }
+    if (!domainMatch(host, normalized)) {
+      return new CookieError('DOMAIN_MISMATCH', `Cookie domain ${domain} does not match the host ${host}`, 'domain');
+    }
+    if (normalized !== 'localhost' && this._publicSuffixes.isPublicSuffix(normalized)) {
+      return new CookieError('PUBLIC_SUFFIX_DOMAIN', `Cookie domain ${domain} is a public suffix`, 'domain');
+    }
+    return undefined;
+  }
+
+  /**
+   * Sets the `source` property on each cookie.
+   * @param {Array<Object>} cookies
+   * @param {Object} source The response that set the cookies.
+   */
+  _tagCookies(cookies, source) {
+    cookies.forEach((cookie) => {
+      cookie.source = source;
+    });
+  }
 }
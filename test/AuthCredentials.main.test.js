@@ -0,0 +1,130 @@
+const { assert } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuthCredentials } = require('../main/AuthCredentials.js');
+
+describe('AuthCredentials - main process', function() {
+  const file = path.join(os.tmpdir(), 'session-credentials-test.json');
+  const encryption = {
+    available: true,
+    isEncryptionAvailable() {
+      return this.available;
+    },
+    encryptString: (value) => Buffer.from(value.split('').reverse().join('')),
+    decryptString: (value) => value.toString().split('').reverse().join(''),
+  };
+
+  afterEach(async () => {
+    encryption.available = true;
+    await fs.promises.unlink(file).catch(() => {});
+  });
+
+  describe('set() and get()', () => {
+    it('stores credentials in the file', async () => {
+      const instance = new AuthCredentials({ file, encryption });
+      const persisted = await instance.set('https://domain.com', { username: 'u', password: 'secret', scheme: 'basic' });
+      assert.isTrue(persisted);
+      const data = await fs.promises.readFile(file, 'utf8');
+      assert.notInclude(data, 'secret');
+      const other = new AuthCredentials({ file, encryption });
+      other.restore();
+      const result = other.get('https://domain.com');
+      assert.equal(result.username, 'u');
+      assert.equal(result.password, 'secret');
+      assert.equal(result.scheme, 'basic');
+    });
+
+    it('keeps credentials in memory without encryption', async () => {
+      encryption.available = false;
+      const instance = new AuthCredentials({ file, encryption });
+      const persisted = await instance.set('https://domain.com', { username: 'u', password: 'secret' });
+      assert.isFalse(persisted);
+      assert.equal(instance.get('https://domain.com').password, 'secret');
+      assert.isFalse(fs.existsSync(file));
+    });
+
+    it('throws without the username', async () => {
+      const instance = new AuthCredentials({ file, encryption });
+      let error;
+      try {
+        await instance.set('https://domain.com', { password: 'secret' });
+      } catch (e) {
+        error = e;
+      }
+      assert.ok(error);
+    });
+  });
+
+  describe('list() and remove()', () => {
+    it('lists credentials without passwords', async () => {
+      const instance = new AuthCredentials({ file, encryption });
+      await instance.set('https://domain.com', { username: 'u', password: 'secret' });
+      const result = instance.list();
+      assert.lengthOf(result, 1);
+      assert.equal(result[0].origin, 'https://domain.com');
+      assert.isUndefined(result[0].password);
+      assert.isTrue(result[0].persisted);
+    });
+
+    it('removes credentials', async () => {
+      const instance = new AuthCredentials({ file, encryption });
+      await instance.set('https://domain.com', { username: 'u', password: 'secret' });
+      assert.isTrue(await instance.remove('https://domain.com'));
+      assert.isFalse(await instance.remove('https://domain.com'));
+      assert.isUndefined(instance.get('https://domain.com'));
+    });
+  });
+
+  describe('ask() and respond()', () => {
+    const details = { url: 'https://domain.com/a', origin: 'https://domain.com', scheme: 'basic', realm: 'test' };
+
+    it('emits the auth-request event', () => {
+      const instance = new AuthCredentials({ file, encryption });
+      let request;
+      instance.on('auth-request', (info) => { request = info; });
+      instance.ask(details);
+      assert.typeOf(request.id, 'string');
+      assert.equal(request.url, details.url);
+      instance.cancelPending();
+    });
+
+    it('resolves with the credentials', async () => {
+      const instance = new AuthCredentials({ file, encryption });
+      instance.on('auth-request', (info) => instance.respond(info.id, { username: 'u', password: 'p' }));
+      const result = await instance.ask(details);
+      assert.deepEqual(result, { username: 'u', password: 'p' });
+      assert.isUndefined(instance.get('https://domain.com'));
+    });
+
+    it('remembers the credentials', async () => {
+      const instance = new AuthCredentials({ file, encryption });
+      let id;
+      instance.on('auth-request', (info) => { id = info.id; });
+      const promise = instance.ask(details);
+      await instance.respond(id, { username: 'u', password: 'p' }, true);
+      await promise;
+      const result = instance.get('https://domain.com');
+      assert.equal(result.username, 'u');
+      assert.equal(result.realm, 'test');
+    });
+
+    it('resolves with null when canceled', async () => {
+      const instance = new AuthCredentials({ file, encryption });
+      instance.on('auth-request', (info) => instance.respond(info.id));
+      const result = await instance.ask(details);
+      assert.isNull(result);
+    });
+
+    it('resolves with null after the timeout', async () => {
+      const instance = new AuthCredentials({ file, encryption, askTimeout: 1 });
+      const result = await instance.ask(details);
+      assert.isNull(result);
+    });
+
+    it('returns false for unknown request', async () => {
+      const instance = new AuthCredentials({ file, encryption });
+      assert.isFalse(await instance.respond('unknown', { username: 'u' }));
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const { assert } = require('chai');
+const { CertificatePolicy } = require('../main/CertificatePolicy.js');
+
+describe('CertificatePolicy - main process', function() {
+  const url = 'https://domain.com/path';
+  const certificate = {
+    fingerprint: 'sha256/test',
+    subjectName: 'domain.com',
+    issuerName: 'Test CA',
+  };
+  const error = 'net::ERR_CERT_AUTHORITY_INVALID';
+
+  describe('configure()', () => {
+    it('accepts all certificates by default', async () => {
+      const policy = new CertificatePolicy();
+      assert.equal(policy.mode, 'accept');
+      const result = await policy.evaluate(url, error, certificate);
+      assert.isTrue(result);
+    });
+
+    it('throws for unknown mode', () => {
+      assert.throws(() => new CertificatePolicy({ mode: 'other' }));
+    });
+  });
+
+  describe('evaluate()', () => {
+    it('rejects certificates in the reject mode', async () => {
+      const policy = new CertificatePolicy({ mode: 'reject' });
+      const result = await policy.evaluate(url, error, certificate);
+      assert.isFalse(result);
+    });
+
+    it('accepts allowed hosts in the allowlist mode', async () => {
+      const policy = new CertificatePolicy({
+        mode: 'allowlist',
+        allowedHosts: ['*.domain.com', 'other.com'],
+      });
+      assert.isTrue(await policy.evaluate('https://api.domain.com/', error, certificate));
+      assert.isTrue(await policy.evaluate('https://other.com:8443/', error, certificate));
+      assert.isFalse(await policy.evaluate('https://domain.com.evil.com/', error, certificate));
+      assert.isFalse(await policy.evaluate('https://notother.com/', error, certificate));
+    });
+
+    it('emits certificate-request event in the ask mode', async () => {
+      const policy = new CertificatePolicy({ mode: 'ask' });
+      policy.once('certificate-request', (request) => {
+        assert.equal(request.host, 'domain.com');
+        assert.equal(request.certificate.fingerprint, 'sha256/test');
+        policy.respond(request.id, true);
+      });
+      const result = await policy.evaluate(url, error, certificate);
+      assert.isTrue(result);
+    });
+
+    it('rejects not answered request after the timeout', async () => {
+      const policy = new CertificatePolicy({ mode: 'ask', askTimeout: 1 });
+      const result = await policy.evaluate(url, error, certificate);
+      assert.isFalse(result);
+    });
+
+    it('uses remembered decision', async () => {
+      const policy = new CertificatePolicy({ mode: 'ask' });
+      policy.once('certificate-request', (request) => policy.respond(request.id, true, true));
+      await policy.evaluate(url, error, certificate);
+      policy.mode = 'reject';
+      const result = await policy.evaluate(url, error, certificate);
+      assert.isTrue(result);
+    });
+  });
+
+  describe('listDecisions() and revokeDecision()', () => {
+    let policy;
+    beforeEach(async () => {
+      policy = new CertificatePolicy({ mode: 'ask' });
+      policy.once('certificate-request', (request) => policy.respond(request.id, false, true));
+      await policy.evaluate(url, error, certificate);
+    });
+
+    it('lists remembered decisions', () => {
+      const result = policy.listDecisions();
+      assert.lengthOf(result, 1);
+      assert.equal(result[0].host, 'domain.com');
+      assert.equal(result[0].fingerprint, 'sha256/test');
+      assert.isFalse(result[0].allowed);
+    });
+
+    it('does not remember decision when not requested', async () => {
+      policy.once('certificate-request', (request) => policy.respond(request.id, true, false));
+      await policy.evaluate('https://other.com/', error, certificate);
+      assert.lengthOf(policy.listDecisions(), 1);
+    });
+
+    it('does not remember decision by default', async () => {
+      policy.once('certificate-request', (request) => policy.respond(request.id, true));
+      await policy.evaluate('https://other.com/', error, certificate);
+      assert.lengthOf(policy.listDecisions(), 1);
+      policy.mode = 'reject';
+      assert.isFalse(await policy.evaluate('https://other.com/', error, certificate));
+    });
+
+    it('revokes a decision', () => {
+      const result = policy.revokeDecision('domain.com', 'sha256/test');
+      assert.equal(result, 1);
+      assert.lengthOf(policy.listDecisions(), 0);
+    });
+
+    it('revokes all host decisions', () => {
+      const result = policy.revokeDecision('domain.com');
+      assert.equal(result, 1);
+    });
+  });
+});
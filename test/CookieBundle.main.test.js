@@ -0,0 +1,81 @@
+const { assert } = require('chai');
+const { encryptBundle, decryptBundle, BUNDLE_FORMAT } = require('../main/CookieBundle.js');
+
+describe('CookieBundle - main process', function() {
+  const payload = {
+    created: 1,
+    cookies: [{ name: 'c1', value: 'v1', domain: 'domain.com', path: '/' }],
+  };
+
+  async function assertRejects(promise, message) {
+    let error;
+    try {
+      await promise;
+    } catch (e) {
+      error = e;
+    }
+    assert.ok(error, 'promise is rejected');
+    assert.equal(error.message, message);
+  }
+
+  it('encrypts and decrypts the data', async () => {
+    const bundle = await encryptBundle(payload, 'secret');
+    const result = await decryptBundle(bundle, 'secret');
+    assert.deepEqual(result, payload);
+  });
+
+  it('does not contain plain data', async () => {
+    const bundle = await encryptBundle(payload, 'secret');
+    const value = JSON.parse(bundle);
+    assert.equal(value.format, BUNDLE_FORMAT);
+    assert.equal(value.kdf.name, 'scrypt');
+    assert.equal(bundle.indexOf('domain.com'), -1);
+  });
+
+  it('rejects invalid password', async () => {
+    const bundle = await encryptBundle(payload, 'secret');
+    await assertRejects(decryptBundle(bundle, 'other'), 'Invalid password or the session bundle was modified');
+  });
+
+  it('rejects modified data', async () => {
+    const value = JSON.parse(await encryptBundle(payload, 'secret'));
+    const data = Buffer.from(value.data, 'base64');
+    data[0] = data[0] ^ 1;
+    value.data = data.toString('base64');
+    await assertRejects(decryptBundle(JSON.stringify(value), 'secret'), 'Invalid password or the session bundle was modified');
+  });
+
+  it('rejects modified header', async () => {
+    const value = JSON.parse(await encryptBundle(payload, 'secret'));
+    value.kdf.extra = true;
+    await assertRejects(decryptBundle(JSON.stringify(value), 'secret'), 'Invalid password or the session bundle was modified');
+  });
+
+  it('rejects truncated authentication tag', async () => {
+    const value = JSON.parse(await encryptBundle(payload, 'secret'));
+    value.tag = Buffer.from(value.tag, 'base64').slice(0, 4).toString('base64');
+    await assertRejects(decryptBundle(JSON.stringify(value), 'secret'), 'Invalid password or the session bundle was modified');
+  });
+
+  it('rejects malformed bundle values', async () => {
+    const value = JSON.parse(await encryptBundle(payload, 'secret'));
+    delete value.tag;
+    value.iv = 1;
+    await assertRejects(decryptBundle(JSON.stringify(value), 'secret'), 'Invalid password or the session bundle was modified');
+  });
+
+  it('rejects other key derivation parameters', async () => {
+    const value = JSON.parse(await encryptBundle(payload, 'secret'));
+    value.kdf.p = 100000;
+    await assertRejects(decryptBundle(JSON.stringify(value), 'secret'), 'Unsupported key derivation parameters of the session bundle');
+  });
+
+  it('rejects other data', async () => {
+    await assertRejects(decryptBundle('[]', 'secret'), 'The data is not a session bundle');
+    await assertRejects(decryptBundle('not json', 'secret'), 'The session bundle is not valid JSON');
+  });
+
+  it('requires the password', async () => {
+    await assertRejects(encryptBundle(payload, ''), 'The password is required');
+  });
+});
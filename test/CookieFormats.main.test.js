@@ -0,0 +1,84 @@
+const { assert } = require('chai');
+const { serializeCookies, parseCookies } = require('../main/CookieFormats.js');
+
+describe('CookieFormats - main process', function() {
+  const cookies = [{
+    name: 'c1',
+    value: 'v1',
+    domain: '.domain.com',
+    hostOnly: false,
+    path: '/',
+    secure: true,
+    httpOnly: true,
+    session: false,
+    expirationDate: 2000000000,
+  }, {
+    name: 'c2',
+    value: 'v2',
+    domain: 'api.domain.com',
+    hostOnly: true,
+    path: '/path',
+    secure: false,
+    httpOnly: false,
+    session: true,
+  }];
+
+  describe('serializeCookies()', () => {
+    it('creates Netscape cookies file', () => {
+      const result = serializeCookies(cookies, 'netscape');
+      const lines = result.split('\n');
+      assert.equal(lines[0], '# Netscape HTTP Cookie File');
+      assert.equal(lines[2], '#HttpOnly_.domain.com\tTRUE\t/\tTRUE\t2000000000\tc1\tv1');
+      assert.equal(lines[3], 'api.domain.com\tFALSE\t/path\tFALSE\t0\tc2\tv2');
+    });
+
+    it('skips cookies without the domain in Netscape cookies file', () => {
+      const result = serializeCookies([{ name: 'c3', value: 'v3' }].concat(cookies), 'netscape');
+      const lines = result.split('\n');
+      assert.lengthOf(lines, 5);
+      assert.notInclude(result, 'c3');
+    });
+
+    it('creates HAR cookies', () => {
+      const result = JSON.parse(serializeCookies(cookies, 'har'));
+      assert.lengthOf(result, 2);
+      assert.equal(result[0].expires, new Date(2000000000 * 1000).toISOString());
+      assert.isUndefined(result[1].expires);
+    });
+
+    it('creates JSON with web cookies', () => {
+      const result = JSON.parse(serializeCookies(cookies, 'json'));
+      assert.equal(result[0].expires, 2000000000 * 1000);
+      assert.isUndefined(result[0].expirationDate);
+    });
+
+    it('throws for unknown format', () => {
+      assert.throws(() => serializeCookies(cookies, 'other'));
+    });
+  });
+
+  describe('parseCookies()', () => {
+    ['netscape', 'har', 'json'].forEach((format) => {
+      it(`reads serialized ${format} cookies`, () => {
+        const result = parseCookies(serializeCookies(cookies, format), format);
+        assert.lengthOf(result, 2);
+        assert.equal(result[0].name, 'c1');
+        assert.equal(result[0].expirationDate, 2000000000);
+        assert.isFalse(result[0].hostOnly);
+        assert.isTrue(result[1].hostOnly);
+        assert.equal(result[1].domain, 'api.domain.com');
+      });
+    });
+
+    it('ignores comments in Netscape file', () => {
+      const result = parseCookies('# comment\n\nx.com\tFALSE\t/\tFALSE\t0\tn\tv\n', 'netscape');
+      assert.lengthOf(result, 1);
+      assert.isUndefined(result[0].expirationDate);
+    });
+
+    it('reads HAR object with cookies', () => {
+      const result = parseCookies({ cookies: [{ name: 'n', value: 'v', domain: 'x.com' }] }, 'har');
+      assert.lengthOf(result, 1);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const { assert } = require('chai');
+const { CookieHistory } = require('../main/CookieHistory.js');
+
+describe('CookieHistory - main process', function() {
+  const cookie = {
+    name: 'c1',
+    value: 'v1',
+    domain: '.domain.com',
+    path: '/',
+  };
+
+  describe('record()', () => {
+    let history;
+    beforeEach(() => {
+      history = new CookieHistory();
+    });
+
+    it('records a change', () => {
+      const entry = history.record({ cookie, cause: 'explicit', removed: false, partition: 'default' });
+      assert.equal(entry.name, 'c1');
+      assert.equal(entry.newValue, 'v1');
+      assert.isUndefined(entry.oldValue);
+      assert.typeOf(entry.time, 'number');
+    });
+
+    it('merges overwrite with the following change', () => {
+      history.record({ cookie, cause: 'overwrite', removed: true, partition: 'default' });
+      const entry = history.record({
+        cookie: Object.assign({}, cookie, { value: 'v2' }),
+        cause: 'explicit',
+        removed: false,
+        partition: 'default',
+      });
+      assert.equal(entry.oldValue, 'v1');
+      assert.equal(entry.newValue, 'v2');
+      assert.equal(history.query().total, 1);
+    });
+
+    it('records removed value', () => {
+      const entry = history.record({ cookie, cause: 'explicit', removed: true, partition: 'default' });
+      assert.equal(entry.oldValue, 'v1');
+      assert.isUndefined(entry.newValue);
+    });
+
+    it('adds expected source', () => {
+      const source = { url: 'https://domain.com/login', status: 200 };
+      history.expect('default', { name: 'c1', domain: 'domain.com', path: '/' }, source);
+      const entry = history.record({ cookie, cause: 'explicit', removed: false, partition: 'default' });
+      assert.deepEqual(entry.source, source);
+    });
+
+    it('keeps the limit of entries', () => {
+      history.limit = 2;
+      history.record({ cookie, cause: 'explicit', removed: false, partition: 'default' });
+      history.record({ cookie, cause: 'explicit', removed: true, partition: 'default' });
+      history.record({ cookie, cause: 'explicit', removed: false, partition: 'default' });
+      const result = history.query();
+      assert.equal(result.total, 2);
+      assert.equal(result.items[1].removed, true);
+    });
+  });
+
+  describe('query()', () => {
+    let history;
+    beforeEach(() => {
+      history = new CookieHistory();
+      history.record({ cookie, cause: 'explicit', removed: false, partition: 'default' });
+      history.record({
+        cookie: { name: 'c2', value: 'v2', domain: 'api.other.com', path: '/' },
+        cause: 'explicit',
+        removed: false,
+        partition: 'staging',
+      });
+      history.record({ cookie, cause: 'expired', removed: true, partition: 'default' });
+    });
+
+    it('returns most recent changes first', () => {
+      const result = history.query();
+      assert.equal(result.total, 3);
+      assert.equal(result.items[0].cause, 'expired');
+    });
+
+    it('filters by partition', () => {
+      const result = history.query({ partition: 'staging' });
+      assert.equal(result.total, 1);
+      assert.equal(result.items[0].name, 'c2');
+    });
+
+    it('filters by domain with subdomains', () => {
+      const result = history.query({ domain: 'other.com' });
+      assert.equal(result.total, 1);
+    });
+
+    it('filters by name and cause', () => {
+      const result = history.query({ name: 'c1', cause: 'explicit' });
+      assert.equal(result.total, 1);
+    });
+
+    it('pages the result', () => {
+      const result = history.query({ offset: 1, limit: 1 });
+      assert.equal(result.total, 3);
+      assert.lengthOf(result.items, 1);
+      assert.equal(result.items[0].name, 'c2');
+    });
+  });
+
+  describe('clear()', () => {
+    it('clears partition entries', () => {
+      const history = new CookieHistory();
+      history.record({ cookie, cause: 'explicit', removed: false, partition: 'default' });
+      history.record({ cookie, cause: 'explicit', removed: false, partition: 'staging' });
+      assert.equal(history.clear('staging'), 1);
+      assert.equal(history.clear(), 1);
+      assert.equal(history.query().total, 0);
+    });
+  });
+});
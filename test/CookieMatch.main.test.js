@@ -0,0 +1,63 @@
+const { assert } = require('chai');
+const { matchCookiePath, defaultCookiePath, toCookieUrl, isIpAddress } = require('../lib/CookieMatch.js');
+
+describe('CookieMatch - main process', function() {
+  describe('matchCookiePath()', () => {
+    it('matches the same path', () => {
+      assert.isTrue(matchCookiePath('/api', '/api'));
+    });
+
+    it('matches sub paths', () => {
+      assert.isTrue(matchCookiePath('/api/v1', '/api'));
+      assert.isTrue(matchCookiePath('/api/v1', '/api/'));
+      assert.isTrue(matchCookiePath('/api', '/'));
+    });
+
+    it('does not match paths with the same prefix', () => {
+      assert.isFalse(matchCookiePath('/apiv1', '/api'));
+    });
+
+    it('does not match other paths', () => {
+      assert.isFalse(matchCookiePath('/other', '/api'));
+    });
+
+    it('uses the root path when the cookie has no path', () => {
+      assert.isTrue(matchCookiePath('/api', undefined));
+    });
+  });
+
+  describe('defaultCookiePath()', () => {
+    it('returns the directory of the path', () => {
+      assert.equal(defaultCookiePath('/api/v1/login'), '/api/v1');
+    });
+
+    it('returns the root path for top level paths', () => {
+      assert.equal(defaultCookiePath('/login'), '/');
+      assert.equal(defaultCookiePath('/'), '/');
+      assert.equal(defaultCookiePath(''), '/');
+    });
+  });
+
+  describe('isIpAddress()', () => {
+    it('returns true for IP addresses', () => {
+      assert.isTrue(isIpAddress('192.168.0.1'));
+      assert.isTrue(isIpAddress('[::1]'));
+    });
+
+    it('returns false for domains', () => {
+      assert.isFalse(isIpAddress('domain.com'));
+      assert.isFalse(isIpAddress('1.2.3'));
+    });
+  });
+
+  describe('toCookieUrl()', () => {
+    it('maps WebSocket URLs', () => {
+      assert.equal(toCookieUrl('ws://domain.com/socket'), 'http://domain.com/socket');
+      assert.equal(toCookieUrl('wss://domain.com/socket'), 'https://domain.com/socket');
+    });
+
+    it('does not change HTTP URLs', () => {
+      assert.equal(toCookieUrl('https://domain.com/'), 'https://domain.com/');
+    });
+  });
+});
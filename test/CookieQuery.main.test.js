@@ -0,0 +1,119 @@
+const { assert } = require('chai');
+const { queryCookies } = require('../main/CookieQuery.js');
+const { matchCookieDomain, matchCookieName } = require('../lib/CookieMatch.js');
+
+describe('CookieQuery - main process', function() {
+  const now = Date.now() / 1000;
+  const cookies = [{
+    name: 'sid',
+    value: 'abc',
+    domain: 'domain.com',
+    path: '/',
+    secure: true,
+    httpOnly: true,
+    session: true,
+    sameSite: 'lax',
+  }, {
+    name: 'theme',
+    value: 'dark',
+    domain: '.api.domain.com',
+    path: '/v1',
+    secure: false,
+    httpOnly: false,
+    session: false,
+    expirationDate: now + 60,
+    sameSite: 'unspecified',
+  }, {
+    name: 'tracking',
+    value: 'XYZ',
+    domain: 'other.com',
+    path: '/',
+    secure: false,
+    httpOnly: false,
+    session: false,
+    expirationDate: now + 3600,
+    sameSite: 'no_restriction',
+  }];
+
+  describe('queryCookies()', () => {
+    it('returns all cookies without a query', () => {
+      const result = queryCookies(cookies);
+      assert.equal(result.total, 3);
+      assert.lengthOf(result.items, 3);
+    });
+
+    it('filters by domain with subdomains', () => {
+      const result = queryCookies(cookies, { domain: 'domain.com' });
+      assert.equal(result.total, 2);
+    });
+
+    it('filters by name pattern', () => {
+      const result = queryCookies(cookies, { name: 't*' });
+      assert.deepEqual(result.items.map((item) => item.name), ['theme', 'tracking']);
+    });
+
+    it('filters by path', () => {
+      const result = queryCookies(cookies, { path: '/v1' });
+      assert.equal(result.items[0].name, 'theme');
+    });
+
+    it('filters by flags', () => {
+      assert.equal(queryCookies(cookies, { secure: true }).total, 1);
+      assert.equal(queryCookies(cookies, { httpOnly: false }).total, 2);
+      assert.equal(queryCookies(cookies, { session: true }).total, 1);
+      assert.equal(queryCookies(cookies, { sameSite: 'no_restriction' }).total, 1);
+    });
+
+    it('filters by expiration time', () => {
+      const result = queryCookies(cookies, { expiresBefore: (now + 120) * 1000 });
+      assert.equal(result.total, 1);
+      assert.equal(result.items[0].name, 'theme');
+    });
+
+    it('searches for a text', () => {
+      const result = queryCookies(cookies, { text: 'xyz' });
+      assert.equal(result.total, 1);
+      assert.equal(result.items[0].name, 'tracking');
+    });
+
+    it('sorts the result', () => {
+      const result = queryCookies(cookies, { sort: '-name' });
+      assert.deepEqual(result.items.map((item) => item.name), ['tracking', 'theme', 'sid']);
+    });
+
+    it('sorts session cookies last by expiration time', () => {
+      const result = queryCookies(cookies, { sort: 'expires' });
+      assert.deepEqual(result.items.map((item) => item.name), ['theme', 'tracking', 'sid']);
+    });
+
+    it('throws for unsupported sort field', () => {
+      assert.throws(() => queryCookies(cookies, { sort: 'size' }), 'Unsupported sort field: size');
+    });
+
+    it('pages the result', () => {
+      const result = queryCookies(cookies, { sort: 'name', offset: 1, limit: 1 });
+      assert.equal(result.total, 3);
+      assert.deepEqual(result.items.map((item) => item.name), ['theme']);
+    });
+  });
+
+  describe('matchCookieDomain()', () => {
+    it('matches the domain', () => {
+      assert.isTrue(matchCookieDomain('.domain.com', 'domain.com'));
+    });
+
+    it('matches subdomains', () => {
+      assert.isTrue(matchCookieDomain('api.domain.com', 'domain.com'));
+      assert.isFalse(matchCookieDomain('api.domain.com', 'domain.com', false));
+      assert.isFalse(matchCookieDomain('otherdomain.com', 'domain.com'));
+    });
+  });
+
+  describe('matchCookieName()', () => {
+    it('matches wildcards', () => {
+      assert.isTrue(matchCookieName('session.id', 'session.*'));
+      assert.isFalse(matchCookieName('sessionXid', 'session.id'));
+      assert.isTrue(matchCookieName('csrf', /^cs/));
+    });
+  });
+});
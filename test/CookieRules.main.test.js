@@ -0,0 +1,142 @@
+const { assert } = require('chai');
+const { validateRules, applyResponseRules, applyRequestRules } = require('../lib/CookieRules.js');
+
+describe('CookieRules - main process', function() {
+  function createCookies() {
+    return [{
+      name: 'sid',
+      value: 'abc',
+      domain: 'domain.com',
+      path: '/',
+      persistent: true,
+      expires: Date.now() + 3600000,
+    }, {
+      name: '_ga',
+      value: 'GA1',
+      domain: '.tracker.com',
+      path: '/',
+      persistent: false,
+    }];
+  }
+
+  const context = {
+    requestUrl: 'https://api.domain.com/',
+    isSameSite: (domain, url) => new URL(url).hostname.endsWith(domain.replace(/^\./, '')),
+  };
+
+  describe('validateRules()', () => {
+    it('accepts valid rules', () => {
+      validateRules([
+        { action: 'block', domain: 'tracker.com' },
+        { action: 'blockThirdParty' },
+        { action: 'rewrite', setPath: '/api' },
+        { action: 'capExpiry', maxAge: 60 },
+        { action: 'force', secure: true },
+      ]);
+    });
+
+    it('throws when rules are not an array', () => {
+      assert.throws(() => validateRules({}), 'Cookie rules must be an array');
+    });
+
+    it('throws for an unknown action', () => {
+      assert.throws(() => validateRules([{ action: 'allow' }]), 'unknown action');
+    });
+
+    it('throws when rewrite has no target', () => {
+      assert.throws(() => validateRules([{ action: 'rewrite' }]), 'requires setDomain or setPath');
+    });
+
+    it('throws when capExpiry has no maxAge', () => {
+      assert.throws(() => validateRules([{ action: 'capExpiry' }]), 'non-negative maxAge');
+    });
+
+    it('throws when force has no attribute', () => {
+      assert.throws(() => validateRules([{ action: 'force' }]), 'requires secure or httpOnly');
+    });
+  });
+
+  describe('applyResponseRules()', () => {
+    it('returns cookies when there are no rules', () => {
+      const cookies = createCookies();
+      const result = applyResponseRules(cookies, []);
+      assert.equal(result.cookies, cookies);
+      assert.deepEqual(result.blocked, []);
+    });
+
+    it('blocks cookies of a domain', () => {
+      const rule = { action: 'block', domain: 'tracker.com' };
+      const result = applyResponseRules(createCookies(), [rule], context);
+      assert.deepEqual(result.cookies.map((item) => item.name), ['sid']);
+      assert.equal(result.blocked[0].cookie.name, '_ga');
+      assert.equal(result.blocked[0].rule, rule);
+    });
+
+    it('blocks cookies by the name pattern', () => {
+      const result = applyResponseRules(createCookies(), [{ action: 'block', name: '_*' }], context);
+      assert.deepEqual(result.cookies.map((item) => item.name), ['sid']);
+    });
+
+    it('ignores disabled rules', () => {
+      const result = applyResponseRules(createCookies(), [{ action: 'block', enabled: false }], context);
+      assert.lengthOf(result.cookies, 2);
+    });
+
+    it('blocks third party cookies', () => {
+      const result = applyResponseRules(createCookies(), [{ action: 'blockThirdParty' }], context);
+      assert.deepEqual(result.cookies.map((item) => item.name), ['sid']);
+    });
+
+    it('rewrites domain and path', () => {
+      const rule = { action: 'rewrite', domain: 'domain.com', setDomain: 'other.com', setPath: '/v1' };
+      const result = applyResponseRules(createCookies(), [rule], context);
+      assert.equal(result.cookies[0].domain, 'other.com');
+      assert.equal(result.cookies[0].path, '/v1');
+    });
+
+    it('does not change passed cookies', () => {
+      const cookies = createCookies();
+      applyResponseRules(cookies, [{ action: 'force', secure: true }], context);
+      assert.isUndefined(cookies[0].secure);
+    });
+
+    it('caps expiry of persistent cookies', () => {
+      const rule = { action: 'capExpiry', maxAge: 60 };
+      const result = applyResponseRules(createCookies(), [rule], context);
+      assert.isBelow(result.cookies[0].expires, Date.now() + 61000);
+      assert.isUndefined(result.cookies[1].expires);
+    });
+
+    it('forces secure and httpOnly', () => {
+      const result = applyResponseRules(createCookies(), [{ action: 'force', secure: true, httpOnly: true }], context);
+      assert.isTrue(result.cookies[0].secure);
+      assert.isTrue(result.cookies[1].httpOnly);
+    });
+
+    it('stops processing a blocked cookie', () => {
+      const rules = [
+        { action: 'block', name: 'sid' },
+        { action: 'force', secure: true },
+      ];
+      const result = applyResponseRules(createCookies(), rules, context);
+      assert.lengthOf(result.blocked, 1);
+      assert.lengthOf(result.cookies, 1);
+    });
+  });
+
+  describe('applyRequestRules()', () => {
+    it('removes blocked cookies', () => {
+      const rules = [
+        { action: 'block', domain: 'tracker.com' },
+        { action: 'blockThirdParty' },
+      ];
+      const result = applyRequestRules(createCookies(), rules);
+      assert.deepEqual(result.map((item) => item.name), ['sid']);
+    });
+
+    it('returns cookies when there are no rules', () => {
+      const cookies = createCookies();
+      assert.equal(applyRequestRules(cookies), cookies);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const { assert } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SnapshotStore, diffCookies } = require('../main/CookieSnapshots.js');
+
+describe('CookieSnapshots - main process', function() {
+  describe('SnapshotStore', () => {
+    const directory = path.join(os.tmpdir(), 'cookie-snapshots-test');
+    let store;
+    beforeEach(() => {
+      store = new SnapshotStore(directory);
+    });
+
+    afterEach(async () => {
+      await fs.promises.rmdir(directory, { recursive: true }).catch(() => {});
+    });
+
+    function createSnapshot(name, created) {
+      return {
+        name,
+        partition: 'default',
+        created,
+        cookies: [{ name: 'c1', value: 'v1', domain: 'domain.com', path: '/' }],
+      };
+    }
+
+    it('writes and reads a snapshot', async () => {
+      const result = await store.write(createSnapshot('s1', 1));
+      assert.deepEqual(result, {
+        name: 's1',
+        partition: 'default',
+        created: 1,
+        count: 1,
+      });
+      const snapshot = await store.read('s1');
+      assert.equal(snapshot.cookies[0].value, 'v1');
+    });
+
+    it('lists snapshots ordered by creation time', async () => {
+      await store.write(createSnapshot('s2', 2));
+      await store.write(createSnapshot('s1', 1));
+      const result = await store.list();
+      assert.deepEqual(result.map((item) => item.name), ['s1', 's2']);
+    });
+
+    it('returns empty list when the directory does not exist', async () => {
+      const result = await store.list();
+      assert.deepEqual(result, []);
+    });
+
+    it('removes a snapshot', async () => {
+      await store.write(createSnapshot('s1', 1));
+      assert.isTrue(await store.remove('s1'));
+      assert.isFalse(await store.remove('s1'));
+      assert.deepEqual(await store.list(), []);
+    });
+
+    it('throws for unknown snapshot', async () => {
+      let error;
+      try {
+        await store.read('unknown');
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.message, 'Unknown snapshot: unknown');
+    });
+
+    it('throws for invalid name', () => {
+      assert.throws(() => store.validateName('../file'), 'Invalid snapshot name: ../file');
+    });
+  });
+
+  describe('diffCookies()', () => {
+    it('lists added, removed and changed cookies', () => {
+      const before = [
+        { name: 'c1', value: 'v1', domain: 'domain.com', path: '/' },
+        { name: 'c2', value: 'v2', domain: 'domain.com', path: '/' },
+        { name: 'c3', value: 'v3', domain: 'domain.com', path: '/', secure: false },
+      ];
+      const after = [
+        { name: 'c1', value: 'v1', domain: 'domain.com', path: '/' },
+        { name: 'c3', value: 'v3', domain: 'domain.com', path: '/', secure: true },
+        { name: 'c4', value: 'v4', domain: 'domain.com', path: '/' },
+      ];
+      const result = diffCookies(before, after);
+      assert.deepEqual(result.added.map((item) => item.name), ['c4']);
+      assert.deepEqual(result.removed.map((item) => item.name), ['c2']);
+      assert.lengthOf(result.changed, 1);
+      assert.deepEqual(result.changed[0].properties, ['secure']);
+    });
+
+    it('identifies cookies by domain and path', () => {
+      const before = [{ name: 'c1', value: 'v1', domain: '.domain.com', path: '/' }];
+      const after = [
+        { name: 'c1', value: 'v1', domain: 'domain.com', path: '/' },
+        { name: 'c1', value: 'v1', domain: 'domain.com', path: '/api' },
+      ];
+      const result = diffCookies(before, after);
+      assert.lengthOf(result.added, 1);
+      assert.equal(result.added[0].path, '/api');
+      assert.lengthOf(result.removed, 0);
+    });
+  });
+});
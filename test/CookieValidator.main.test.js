@@ -0,0 +1,129 @@
+const { assert } = require('chai');
+const { validateCookie, normalizeSameSite, domainMatch, CookieError } = require('../lib/CookieValidator.js');
+
+describe('CookieValidator - main process', function() {
+  function assertCode(cookie, code, opts) {
+    let error;
+    try {
+      validateCookie(cookie, opts);
+    } catch (e) {
+      error = e;
+    }
+    assert.instanceOf(error, CookieError);
+    assert.equal(error.code, code);
+    return error;
+  }
+
+  describe('validateCookie()', () => {
+    it('accepts a valid cookie', () => {
+      validateCookie({ name: 'c1', value: 'v1', url: 'https://domain.com/' });
+      validateCookie({ name: 'c1', value: 'v 1', domain: '.domain.com' });
+      validateCookie({ name: 'c1', value: 'v1', domain: 'localhost' });
+    });
+
+    it('rejects not an object', () => {
+      assertCode(undefined, 'INVALID_COOKIE');
+    });
+
+    it('rejects invalid names', () => {
+      const error = assertCode({ name: 'c 1', value: 'v1', domain: 'domain.com' }, 'INVALID_NAME');
+      assert.equal(error.field, 'name');
+      assertCode({ name: '', value: 'v1', domain: 'domain.com' }, 'INVALID_NAME');
+      assertCode({ name: 'c=1', value: 'v1', domain: 'domain.com' }, 'INVALID_NAME');
+    });
+
+    it('rejects invalid values', () => {
+      assertCode({ name: 'c1', value: 'v1;v2', domain: 'domain.com' }, 'INVALID_VALUE');
+      assertCode({ name: 'c1', value: 'v1\nv2', domain: 'domain.com' }, 'INVALID_VALUE');
+    });
+
+    it('rejects cookies without URL and domain', () => {
+      assertCode({ name: 'c1', value: 'v1' }, 'MISSING_DOMAIN');
+    });
+
+    it('rejects invalid URL', () => {
+      assertCode({ name: 'c1', value: 'v1', url: 'ftp://domain.com' }, 'INVALID_URL');
+      assertCode({ name: 'c1', value: 'v1', url: 'not an url' }, 'INVALID_URL');
+    });
+
+    it('rejects domain not matching the URL', () => {
+      assertCode({ name: 'c1', value: 'v1', url: 'https://other.com/', domain: 'domain.com' }, 'DOMAIN_MISMATCH');
+      validateCookie({ name: 'c1', value: 'v1', url: 'https://api.domain.com/', domain: '.domain.com' });
+    });
+
+    it('rejects public suffix domains', () => {
+      assertCode({ name: 'c1', value: 'v1', domain: '.com' }, 'PUBLIC_SUFFIX_DOMAIN');
+      assertCode({ name: 'c1', value: 'v1', domain: 'co.uk' }, 'PUBLIC_SUFFIX_DOMAIN', {
+        isPublicSuffix: (domain) => domain === 'co.uk',
+      });
+    });
+
+    it('accepts localhost with a public suffix function', () => {
+      validateCookie({ name: 'c1', value: 'v1', domain: 'localhost' }, {
+        isPublicSuffix: (domain) => domain.indexOf('.') === -1,
+      });
+    });
+
+    it('accepts host-only cookies of single label hosts', () => {
+      const opts = { isPublicSuffix: (domain) => domain.indexOf('.') === -1 };
+      validateCookie({ name: 'c1', value: 'v1', domain: 'myserver', hostOnly: true }, opts);
+      validateCookie({ name: 'c1', value: 'v1', url: 'http://myserver/', domain: 'myserver' }, opts);
+      validateCookie({ name: 'c1', value: 'v1', domain: 'myserver', hostOnly: true });
+      assertCode({ name: 'c1', value: 'v1', domain: 'myserver' }, 'PUBLIC_SUFFIX_DOMAIN', opts);
+    });
+
+    it('rejects domain cookies for IP address hosts', () => {
+      assertCode({ name: 'c1', value: 'v1', url: 'http://192.168.0.1/', domain: '.168.0.1' }, 'DOMAIN_MISMATCH');
+      validateCookie({ name: 'c1', value: 'v1', url: 'http://192.168.0.1/', domain: '192.168.0.1' });
+    });
+
+    it('validates the __Secure- prefix', () => {
+      assertCode({ name: '__Secure-c1', value: 'v1', domain: 'domain.com' }, 'SECURE_PREFIX');
+      validateCookie({ name: '__Secure-c1', value: 'v1', domain: 'domain.com', secure: true });
+    });
+
+    it('validates the __Host- prefix', () => {
+      assertCode({ name: '__Host-c1', value: 'v1', url: 'https://domain.com/' }, 'HOST_PREFIX');
+      assertCode({ name: '__Host-c1', value: 'v1', domain: 'domain.com', secure: true }, 'HOST_PREFIX');
+      assertCode({ name: '__Host-c1', value: 'v1', url: 'https://domain.com/', path: '/a', secure: true }, 'HOST_PREFIX');
+      validateCookie({ name: '__Host-c1', value: 'v1', domain: 'domain.com', hostOnly: true, secure: true });
+    });
+
+    it('validates sameSite', () => {
+      assertCode({ name: 'c1', value: 'v1', domain: 'domain.com', sameSite: 'other' }, 'INVALID_SAMESITE');
+      assertCode({ name: 'c1', value: 'v1', domain: 'domain.com', sameSite: 'None' }, 'SAMESITE_NONE_INSECURE');
+      validateCookie({ name: 'c1', value: 'v1', domain: 'domain.com', sameSite: 'no_restriction', secure: true });
+    });
+
+    it('validates the expiration date', () => {
+      assertCode({ name: 'c1', value: 'v1', domain: 'domain.com', expirationDate: 'tomorrow' }, 'INVALID_EXPIRATION');
+    });
+  });
+
+  describe('normalizeSameSite()', () => {
+    it('returns Electron values', () => {
+      assert.equal(normalizeSameSite('None'), 'no_restriction');
+      assert.equal(normalizeSameSite('Lax'), 'lax');
+      assert.equal(normalizeSameSite('strict'), 'strict');
+      assert.isUndefined(normalizeSameSite('other'));
+    });
+  });
+
+  describe('domainMatch()', () => {
+    it('matches the domain and subdomains', () => {
+      assert.isTrue(domainMatch('domain.com', '.domain.com'));
+      assert.isTrue(domainMatch('api.domain.com', 'domain.com'));
+      assert.isFalse(domainMatch('otherdomain.com', 'domain.com'));
+    });
+  });
+
+  describe('CookieError', () => {
+    it('serializes the error', () => {
+      const error = new CookieError('INVALID_NAME', 'Invalid name', 'name');
+      const copy = CookieError.fromJSON(JSON.parse(JSON.stringify(error)));
+      assert.equal(copy.code, 'INVALID_NAME');
+      assert.equal(copy.message, 'Invalid name');
+      assert.equal(copy.field, 'name');
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const { assert } = require('chai');
+const fs = require('fs');
+const path = require('path');
+const { PublicSuffixList } = require('../lib/PublicSuffixList.js');
+
+describe('PublicSuffixList - main process', function() {
+  const rules = [
+    '// comment',
+    'com',
+    'uk',
+    'co.uk',
+    '*.ck',
+    '!www.ck',
+    'github.io',
+    '公司.cn',
+  ];
+
+  describe('load()', () => {
+    it('loads rules from the list text', () => {
+      const list = new PublicSuffixList();
+      assert.equal(list.load(rules.join('\n')), 7);
+      assert.equal(list.size, 7);
+    });
+
+    it('loads rules from an array', () => {
+      const list = new PublicSuffixList(rules);
+      assert.equal(list.size, 7);
+    });
+
+    it('throws when the source has no rules', () => {
+      const list = new PublicSuffixList(rules);
+      assert.throws(() => list.load('// comment\n\n'), 'The public suffix list has no rules');
+      assert.equal(list.size, 7);
+    });
+
+    it('loads the bundled list', () => {
+      const file = path.join(__dirname, '..', 'lib', 'public_suffix_list.dat');
+      const list = new PublicSuffixList(fs.readFileSync(file, 'utf8'));
+      assert.isAbove(list.size, 5000);
+      assert.isTrue(list.isPublicSuffix('co.uk'));
+      assert.isTrue(list.isPublicSuffix('github.io'));
+      assert.isFalse(list.isPublicSuffix('domain.co.uk'));
+    });
+  });
+
+  describe('toJSON()', () => {
+    it('returns rules that can be loaded', () => {
+      const list = new PublicSuffixList(rules);
+      const copy = new PublicSuffixList(list.toJSON());
+      assert.deepEqual(copy.toJSON(), list.toJSON());
+      assert.include(list.toJSON(), '*.ck');
+      assert.include(list.toJSON(), '!www.ck');
+    });
+  });
+
+  describe('getPublicSuffix()', () => {
+    let list;
+    before(() => {
+      list = new PublicSuffixList(rules);
+    });
+
+    it('returns the longest matching rule', () => {
+      assert.equal(list.getPublicSuffix('api.domain.co.uk'), 'co.uk');
+      assert.equal(list.getPublicSuffix('domain.uk'), 'uk');
+    });
+
+    it('applies wildcard rules', () => {
+      assert.equal(list.getPublicSuffix('api.domain.ck'), 'domain.ck');
+    });
+
+    it('applies exception rules', () => {
+      assert.equal(list.getPublicSuffix('www.ck'), 'ck');
+      assert.equal(list.getPublicSuffix('api.www.ck'), 'ck');
+    });
+
+    it('uses the top level domain when no rule matches', () => {
+      assert.equal(list.getPublicSuffix('domain.test'), 'test');
+    });
+
+    it('matches international rules with punycode host names', () => {
+      const host = new URL('http://domain.公司.cn').hostname;
+      assert.equal(list.getPublicSuffix(host), host.split('.').slice(1).join('.'));
+    });
+
+    it('ignores the leading dot and the case', () => {
+      assert.equal(list.getPublicSuffix('.Domain.CO.UK'), 'co.uk');
+    });
+
+    it('returns undefined for IP addresses', () => {
+      assert.isUndefined(list.getPublicSuffix('192.168.0.1'));
+      assert.isUndefined(list.getPublicSuffix('[::1]'));
+    });
+  });
+
+  describe('isPublicSuffix()', () => {
+    let list;
+    before(() => {
+      list = new PublicSuffixList(rules);
+    });
+
+    it('returns true for public suffixes', () => {
+      assert.isTrue(list.isPublicSuffix('co.uk'));
+      assert.isTrue(list.isPublicSuffix('.co.uk'));
+      assert.isTrue(list.isPublicSuffix('domain.ck'));
+      assert.isTrue(list.isPublicSuffix('test'));
+    });
+
+    it('returns false for registrable domains', () => {
+      assert.isFalse(list.isPublicSuffix('domain.co.uk'));
+      assert.isFalse(list.isPublicSuffix('www.ck'));
+      assert.isFalse(list.isPublicSuffix('user.github.io'));
+    });
+
+    it('returns false for IP addresses', () => {
+      assert.isFalse(list.isPublicSuffix('192.168.0.1'));
+    });
+  });
+
+  describe('getRegistrableDomain()', () => {
+    let list;
+    before(() => {
+      list = new PublicSuffixList(rules);
+    });
+
+    it('returns the public suffix with one more label', () => {
+      assert.equal(list.getRegistrableDomain('api.domain.co.uk'), 'domain.co.uk');
+      assert.equal(list.getRegistrableDomain('api.user.github.io'), 'user.github.io');
+      assert.equal(list.getRegistrableDomain('www.ck'), 'www.ck');
+    });
+
+    it('returns undefined for public suffixes', () => {
+      assert.isUndefined(list.getRegistrableDomain('co.uk'));
+    });
+
+    it('returns IP addresses', () => {
+      assert.equal(list.getRegistrableDomain('192.168.0.1'), '192.168.0.1');
+    });
+
+    it('uses the top level domain without rules', () => {
+      const empty = new PublicSuffixList();
+      assert.equal(empty.getRegistrableDomain('api.domain.co.uk'), 'co.uk');
+    });
+  });
+});
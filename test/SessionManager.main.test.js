@@ -1,6 +1,10 @@
 const { assert } = require('chai');
-const { SessionManager, PERSISTNAME } = require('../main');
-const { session } = require('electron');
+const { SessionManager, PERSISTNAME, DEFAULT_PARTITION } = require('../main');
+const { session, app } = require('electron');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 describe('SessionManager - main process', function() {
   const url = 'https://domain.com/cookies';
@@ -128,8 +132,8 @@ describe('SessionManager - main process', function() {
       assert.deepEqual(cookies[0], {
         name: '_csrf',
         value: 'GwjXpexHYiv22J9Bd7NUF-4c',
-        domain: '.qax.anypoint.mulesoft.com',
-        hostOnly: false,
+        domain: 'qax.anypoint.mulesoft.com',
+        hostOnly: true,
         path: '/',
         secure: false,
         httpOnly: false,
@@ -137,6 +141,55 @@ describe('SessionManager - main process', function() {
         expirationDate: 8640000000000,
       }, 'stores the cookie in the store');
     });
+
+    it('does not change passed object', async () => {
+      const cookie = {
+        name,
+        value,
+        domain: 'domain.com',
+        expires: 8640000000000,
+        source: { url },
+      };
+      const copy = Object.assign({}, cookie);
+      const created = await instance.setCookie(cookie);
+      assert.deepEqual(cookie, copy);
+      assert.equal(created.expirationDate, 8640000000000);
+      assert.isUndefined(created.source);
+    });
+
+    it('rejects invalid cookie with error code', async () => {
+      let error;
+      try {
+        await instance.setCookie({ name, value });
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.code, 'MISSING_DOMAIN');
+    });
+
+    it('stores __Host- cookie as host only cookie', async () => {
+      await instance.setCookie({
+        name: '__Host-test',
+        value,
+        domain: 'domain.com',
+        hostOnly: true,
+        secure: true,
+      });
+      const cookies = await instance._session.get({ name: '__Host-test' });
+      assert.isTrue(cookies[0].hostOnly);
+      await removeCookies([['https://domain.com/', '__Host-test']]);
+    });
+
+    it('returns serialized error from the IPC handler', async () => {
+      const result = await instance._setCookieHandler({}, { name, value, domain: 'com' });
+      assert.deepEqual(result, {
+        error: {
+          code: 'PUBLIC_SUFFIX_DOMAIN',
+          message: 'Cookie domain com is a public suffix',
+          field: 'domain',
+        },
+      });
+    });
   });
 
   describe('removeCookie()', () => {
@@ -223,4 +276,1357 @@ describe('SessionManager - main process', function() {
       assert.lengthOf(cookies, 1);
     });
   });
+
+  describe('Cookie change broadcasting', () => {
+    let instance;
+    let webContents;
+    const name = 'test-cookie';
+
+    function createWebContents() {
+      const wc = new EventEmitter();
+      wc.messages = [];
+      wc.send = (channel, data) => wc.messages.push([channel, data]);
+      return wc;
+    }
+
+    function wait(time) {
+      return new Promise((resolve) => setTimeout(resolve, time));
+    }
+
+    before(() => cleanCookies());
+
+    beforeEach(() => {
+      instance = new SessionManager({ changeBatchTimeout: 1 });
+      instance.listen();
+      webContents = createWebContents();
+    });
+
+    afterEach(async () => {
+      instance.unlisten();
+      await removeCookies([[url, name]]);
+    });
+
+    it('sends changes to subscribed web contents', async () => {
+      instance.subscribe(webContents);
+      await instance.setCookie({ url, name, value: 'v1' });
+      await wait(20);
+      assert.lengthOf(webContents.messages, 1, 'sends single message');
+      const [channel, data] = webContents.messages[0];
+      assert.equal(channel, 'cookie-changed');
+      assert.typeOf(data, 'array');
+      assert.equal(data[0].cookie.name, name);
+    });
+
+    it('sends only the last change of a cookie in a batch', async () => {
+      instance.changeBatchTimeout = 20;
+      instance.subscribe(webContents);
+      await instance.setCookie({ url, name, value: 'v1' });
+      await instance.setCookie({ url, name, value: 'v2' });
+      await wait(40);
+      assert.lengthOf(webContents.messages, 1, 'sends single message');
+      const [, data] = webContents.messages[0];
+      assert.lengthOf(data, 1, 'has single change');
+      assert.equal(data[0].cookie.value, 'v2');
+    });
+
+    it('does not send changes after unsubscribe()', async () => {
+      instance.subscribe(webContents);
+      instance.unsubscribe(webContents);
+      await instance.setCookie({ url, name, value: 'v1' });
+      await wait(20);
+      assert.lengthOf(webContents.messages, 0);
+    });
+
+    it('removes destroyed web contents', () => {
+      instance.subscribe(webContents);
+      webContents.emit('destroyed');
+      assert.isFalse(instance._changeSubscribers.has(webContents));
+    });
+  });
+
+  describe('Session partitions', () => {
+    let instance;
+    const partitionsFile = path.join(os.tmpdir(), 'session-partitions-test.json');
+
+    beforeEach(() => {
+      instance = new SessionManager({ partitionsFile });
+      instance.listen();
+    });
+
+    afterEach(async () => {
+      const ids = instance.listPartitions().map((item) => item.id).filter((id) => id !== DEFAULT_PARTITION);
+      for (let i = 0; i < ids.length; i++) {
+        await instance.deletePartition(ids[i]);
+      }
+      instance.unlisten();
+      await fs.promises.unlink(partitionsFile).catch(() => {});
+    });
+
+    it('has the default partition', () => {
+      const result = instance.listPartitions();
+      assert.lengthOf(result, 1);
+      assert.equal(result[0].id, DEFAULT_PARTITION);
+      assert.equal(result[0].partition, PERSISTNAME);
+      assert.isTrue(result[0].current);
+    });
+
+    it('creates a partition', async () => {
+      const result = await instance.createPartition('staging', 'Staging login');
+      assert.equal(result.id, 'staging');
+      assert.equal(result.name, 'Staging login');
+      assert.equal(result.partition, `${PERSISTNAME}-staging`);
+      assert.isFalse(result.current);
+      assert.lengthOf(instance.listPartitions(), 2);
+    });
+
+    it('throws when creating existing partition', async () => {
+      await instance.createPartition('staging');
+      let error;
+      try {
+        await instance.createPartition('staging');
+      } catch (e) {
+        error = e;
+      }
+      assert.ok(error);
+    });
+
+    it('stores cookies in a partition', async () => {
+      await instance.createPartition('staging');
+      await instance.setCookie({ url: 'https://domain.com/', name: 'p1', value: 'v1' }, 'staging');
+      const partitionCookies = await instance.getAllCookies('staging');
+      assert.lengthOf(partitionCookies, 1);
+      const defaultCookies = await instance.getDomainCookies('domain.com');
+      assert.lengthOf(defaultCookies.filter((c) => c.name === 'p1'), 0);
+    });
+
+    it('switches the current partition', async () => {
+      await instance.createPartition('staging');
+      const result = await instance.switchPartition('staging');
+      assert.isTrue(result.current);
+      assert.equal(instance.currentPartition, 'staging');
+      await instance.setCookie({ url: 'https://domain.com/', name: 'p1', value: 'v1' });
+      const cookies = await instance.getAllCookies('staging');
+      assert.lengthOf(cookies, 1);
+    });
+
+    it('restores partitions from the file', async () => {
+      await instance.createPartition('staging');
+      await instance.switchPartition('staging');
+      const other = new SessionManager({ partitionsFile });
+      other.listen();
+      const ids = other.listPartitions().map((item) => item.id);
+      other.unlisten();
+      assert.deepEqual(ids, [DEFAULT_PARTITION, 'staging']);
+      assert.equal(other.currentPartition, 'staging');
+    });
+
+    it('deletes a partition', async () => {
+      await instance.createPartition('staging');
+      await instance.switchPartition('staging');
+      await instance.deletePartition('staging');
+      assert.lengthOf(instance.listPartitions(), 1);
+      assert.equal(instance.currentPartition, DEFAULT_PARTITION);
+    });
+
+    it('throws when deleting the default partition', async () => {
+      let error;
+      try {
+        await instance.deletePartition(DEFAULT_PARTITION);
+      } catch (e) {
+        error = e;
+      }
+      assert.ok(error);
+    });
+  });
+
+  describe('exportCookies() and importCookies()', () => {
+    let instance;
+    before(async () => {
+      await cleanCookies();
+    });
+
+    beforeEach(async () => {
+      instance = new SessionManager();
+      instance.listen();
+      await createTestCookies();
+    });
+
+    afterEach(async () => {
+      await cleanCookies();
+      instance.unlisten();
+    });
+
+    it('exports cookies in Netscape format', async () => {
+      const result = await instance.exportCookies('netscape');
+      assert.include(result, '# Netscape HTTP Cookie File');
+      assert.include(result, 'domain.com\tFALSE\t');
+      assert.include(result, '\tt1\tv1');
+    });
+
+    it('exports filtered cookies', async () => {
+      const result = JSON.parse(await instance.exportCookies('json', { domain: 'other.com' }));
+      assert.lengthOf(result, 1);
+      assert.equal(result[0].name, 't2');
+    });
+
+    ['json', 'netscape', 'har'].forEach((format) => {
+      it(`imports exported ${format} cookies`, async () => {
+        const data = await instance.exportCookies(format);
+        await cleanCookies();
+        const count = await instance.importCookies(data, format);
+        assert.equal(count, 2);
+        const cookies = await instance.getAllCookies();
+        assert.lengthOf(cookies, 2);
+      });
+    });
+
+    it('imports valid cookies when some cookies are invalid', async () => {
+      await cleanCookies();
+      const data = JSON.stringify([
+        { name: 't1', value: 'v1', domain: 'domain.com', path: '/path' },
+        { name: 'no-domain', value: 'v' },
+        { name: 'invalid name', value: 'v', domain: 'domain.com' },
+        { name: 't2', value: 'v2', domain: 'other.com' },
+      ]);
+      const count = await instance.importCookies(data, 'json');
+      assert.equal(count, 2);
+      const cookies = await instance.getAllCookies();
+      assert.deepEqual(cookies.map((cookie) => cookie.name).sort(), ['t1', 't2']);
+    });
+
+    it('rejects cookies without the domain', async () => {
+      const [result] = await instance.setCookies([instance._cookieSetDetails({ name: 'no-domain', value: 'v' })]);
+      assert.isFalse(result.ok);
+      assert.equal(result.error.code, 'MISSING_DOMAIN');
+    });
+  });
+
+  describe('_handleCertIssue()', () => {
+    let instance;
+    const certificate = { fingerprint: 'sha256/test' };
+
+    function createEvent() {
+      return {
+        defaultPrevented: false,
+        preventDefault() {
+          this.defaultPrevented = true;
+        },
+      };
+    }
+
+    function handle(url) {
+      const e = createEvent();
+      const webContents = {
+        session: session.fromPartition(PERSISTNAME),
+      };
+      return new Promise((resolve) => {
+        instance._handleCertIssue(e, webContents, url, 'net::ERR_CERT_INVALID', certificate, (allowed) => {
+          resolve({ allowed, prevented: e.defaultPrevented });
+        });
+      });
+    }
+
+    beforeEach(() => {
+      instance = new SessionManager({
+        appUrls: ['https://app.com'],
+      });
+      instance.listen();
+    });
+
+    afterEach(() => {
+      instance.unlisten();
+    });
+
+    it('does not accept certificates of the application URLs', async () => {
+      const result = await handle('https://app.com/api');
+      assert.isFalse(result.allowed);
+      assert.isFalse(result.prevented);
+    });
+
+    it('matches application URLs by origin', async () => {
+      const result = await handle('https://domain.com/?r=https://app.com');
+      assert.isTrue(result.allowed);
+    });
+
+    it('ignores web contents from other sessions', () => {
+      const e = createEvent();
+      const webContents = {
+        session: session.fromPartition('persist:other-session'),
+      };
+      let called = false;
+      instance._handleCertIssue(e, webContents, 'https://domain.com/', 'net::ERR_CERT_INVALID', certificate, () => {
+        called = true;
+      });
+      assert.isFalse(called);
+      assert.isFalse(e.defaultPrevented);
+    });
+
+    it('removes the certificate-error listener in unlisten()', () => {
+      instance.unlisten();
+      const has = app.listeners('certificate-error').indexOf(instance._handleCertIssue) !== -1;
+      instance.listen();
+      assert.isFalse(has);
+    });
+
+    it('accepts certificates by default', async () => {
+      const result = await handle('https://domain.com/');
+      assert.isTrue(result.allowed);
+      assert.isTrue(result.prevented);
+    });
+
+    it('rejects certificates with the reject policy', async () => {
+      instance.certificatePolicy.configure({ mode: 'reject' });
+      const result = await handle('https://domain.com/');
+      assert.isFalse(result.allowed);
+    });
+
+    it('sends certificate request to subscribed web contents', async () => {
+      instance.certificatePolicy.configure({ mode: 'ask' });
+      const webContents = new EventEmitter();
+      webContents.send = (channel, request) => {
+        assert.equal(channel, 'cookies-session-certificate-request');
+        instance.certificatePolicy.respond(request.id, true);
+      };
+      instance.subscribe(webContents);
+      const result = await handle('https://domain.com/');
+      assert.isTrue(result.allowed);
+    });
+
+    it('rejects certificate request when nothing is subscribed', async () => {
+      instance.certificatePolicy.configure({ mode: 'ask' });
+      const result = await handle('https://domain.com/');
+      assert.isFalse(result.allowed);
+    });
+  });
+
+  describe('_watchSessionWindow()', () => {
+    let instance;
+    let bw;
+
+    function createWindow() {
+      const win = new EventEmitter();
+      win.webContents = new EventEmitter();
+      win.destroyed = false;
+      win.isDestroyed = () => win.destroyed;
+      win.close = () => {
+        win.destroyed = true;
+        win.emit('closed');
+      };
+      return win;
+    }
+
+    before(() => cleanCookies());
+
+    beforeEach(() => {
+      instance = new SessionManager();
+      instance.listen();
+      bw = createWindow();
+    });
+
+    afterEach(async () => {
+      instance.unlisten();
+      await removeCookies([[url, 'auth']]);
+    });
+
+    it('resolves when the window navigates to the URL', async () => {
+      const result = instance._watchSessionWindow(bw, { url: 'https://domain.com/done' });
+      bw.webContents.emit('did-navigate', {}, 'https://domain.com/login');
+      bw.webContents.emit('will-redirect', {}, 'https://domain.com/done?code=1');
+      const info = await result;
+      assert.equal(info.reason, 'url');
+      assert.equal(info.url, 'https://domain.com/done?code=1');
+      assert.isTrue(bw.destroyed, 'closes the window');
+    });
+
+    it('accepts a regular expression', async () => {
+      const result = instance._watchSessionWindow(bw, { url: /\/done/, close: false });
+      bw.webContents.emit('did-navigate-in-page', {}, 'https://domain.com/#/done');
+      const info = await result;
+      assert.equal(info.reason, 'url');
+      assert.isFalse(bw.destroyed, 'does not close the window');
+    });
+
+    it('resolves when the cookie is set', async () => {
+      const result = instance._watchSessionWindow(bw, { cookie: { name: 'auth', domain: 'domain.com' } });
+      await instance.setCookie({ url, name: 'auth', value: 'token' });
+      const info = await result;
+      assert.equal(info.reason, 'cookie');
+      assert.lengthOf(info.cookies, 1);
+      assert.equal(info.cookies[0].value, 'token');
+    });
+
+    it('resolves when the window is closed', async () => {
+      const result = instance._watchSessionWindow(bw, { url: 'https://domain.com/done' });
+      await instance.setCookie({ url, name: 'auth', value: 'token' });
+      bw.close();
+      const info = await result;
+      assert.equal(info.reason, 'closed');
+      assert.lengthOf(info.cookies, 1);
+    });
+
+    it('captures tokens from redirects', async () => {
+      const result = instance._watchSessionWindow(bw, {}, undefined, {});
+      bw.webContents.emit('did-navigate', {}, 'https://domain.com/login');
+      bw.webContents.emit('will-redirect', {}, 'https://app.com/cb#access_token=abc&token_type=bearer&expires_in=60');
+      const info = await result;
+      assert.equal(info.reason, 'token');
+      assert.lengthOf(info.tokens, 1);
+      assert.equal(info.tokens[0].type, 'access_token');
+      assert.equal(info.tokens[0].value, 'abc');
+      assert.equal(info.tokens[0].expiresIn, 60);
+    });
+
+    it('stores captured tokens for hosts', async () => {
+      const result = instance._watchSessionWindow(bw, {}, undefined, {
+        store: { hosts: ['api.domain.com'] },
+      });
+      bw.webContents.emit('will-redirect', {}, 'https://app.com/cb?access_token=abc');
+      await result;
+      const token = instance.tokens.find('https://api.domain.com/v1');
+      assert.equal(token.value, 'abc');
+    });
+
+    it('continues after a token is captured when finish is false', async () => {
+      const result = instance._watchSessionWindow(bw, { url: 'https://domain.com/done' }, undefined, {
+        finish: false,
+      });
+      bw.webContents.emit('will-redirect', {}, 'https://domain.com/cb?code=xyz&state=s1');
+      bw.webContents.emit('did-navigate', {}, 'https://domain.com/cb?code=xyz&state=s1');
+      bw.webContents.emit('did-navigate', {}, 'https://domain.com/done');
+      const info = await result;
+      assert.equal(info.reason, 'url');
+      assert.lengthOf(info.tokens, 1, 'does not duplicate tokens');
+      assert.equal(info.tokens[0].state, 's1');
+    });
+
+    it('removes the web contents listeners when finished', async () => {
+      const result = instance._watchSessionWindow(bw, { url: 'https://domain.com/done', close: false }, undefined, {
+        store: { hosts: ['api.domain.com'] },
+      });
+      bw.webContents.emit('did-navigate', {}, 'https://domain.com/done');
+      await result;
+      assert.equal(bw.webContents.listenerCount('will-redirect'), 0);
+      assert.equal(bw.webContents.listenerCount('did-navigate'), 0);
+      assert.equal(bw.webContents.listenerCount('did-navigate-in-page'), 0);
+      bw.webContents.emit('will-redirect', {}, 'https://app.com/cb?access_token=late');
+      assert.isUndefined(instance.tokens.find('https://api.domain.com/'));
+    });
+
+    it('captures tokens from response headers', async () => {
+      const inspector = new EventEmitter();
+      inspector.attach = () => {};
+      inspector.detach = () => { inspector.detached = true; };
+      inspector.sendCommand = async () => ({});
+      bw.webContents.debugger = inspector;
+      const result = instance._watchSessionWindow(bw, {}, undefined, { headers: ['x-token'] });
+      inspector.emit('message', {}, 'Network.responseReceived', {
+        response: { url: 'https://domain.com/', headers: { 'X-Token': 'abc' } },
+      });
+      const info = await result;
+      assert.equal(info.reason, 'token');
+      assert.equal(info.tokens[0].value, 'abc');
+      assert.equal(info.tokens[0].type, 'x-token');
+      assert.isTrue(inspector.detached, 'detaches the debugger');
+      assert.equal(inspector.listenerCount('message'), 0);
+    });
+
+    it('finishes pending watches when the manager stops listening', async () => {
+      const result = instance._watchSessionWindow(bw, { url: 'https://domain.com/done' });
+      instance.unlisten();
+      const info = await result;
+      assert.equal(info.reason, 'canceled');
+      assert.isFalse(bw.destroyed, 'does not close the window');
+      assert.equal(bw.webContents.listenerCount('did-navigate'), 0);
+      assert.equal(instance._sessionWatches.size, 0);
+    });
+  });
+
+  describe('Session window options', () => {
+    let instance;
+    beforeEach(() => {
+      instance = new SessionManager({
+        allowedPreloads: ['/allowed.js'],
+      });
+    });
+
+    it('creates default window options', () => {
+      const result = instance._browserWindowOptions(PERSISTNAME, {});
+      assert.deepEqual(result, {
+        webPreferences: {
+          partition: PERSISTNAME,
+          nodeIntegration: false,
+          devTools: true,
+        },
+      });
+    });
+
+    it('sets window bounds, title and parent', () => {
+      const parent = {};
+      const result = instance._browserWindowOptions(PERSISTNAME, {
+        bounds: { x: 1, y: 2, width: 300, height: 400 },
+        title: 'Login',
+        parent,
+        modal: true,
+        devTools: false,
+        preload: '/allowed.js',
+      });
+      assert.equal(result.x, 1);
+      assert.equal(result.height, 400);
+      assert.equal(result.title, 'Login');
+      assert.isTrue(result.parent === parent);
+      assert.isTrue(result.modal);
+      assert.isFalse(result.webPreferences.devTools);
+      assert.equal(result.webPreferences.preload, '/allowed.js');
+    });
+
+    it('creates load options', () => {
+      const result = instance._loadUrlOptions({
+        userAgent: 'Test',
+        extraHeaders: { 'x-a': 'a', 'x-b': 'b' },
+      });
+      assert.deepEqual(result, {
+        userAgent: 'Test',
+        extraHeaders: 'x-a: a\nx-b: b',
+      });
+    });
+
+    it('uses Chrome user agent by default', () => {
+      const result = instance._loadUrlOptions({});
+      assert.equal(result.userAgent, 'Chrome');
+    });
+
+    it('removes not allowed preload from renderer options', () => {
+      const result = instance._rendererWindowOptions({}, { preload: '/other.js' });
+      assert.isUndefined(result.preload);
+    });
+
+    it('keeps allowed preload in renderer options', () => {
+      const result = instance._rendererWindowOptions({}, { preload: '/allowed.js' });
+      assert.equal(result.preload, '/allowed.js');
+    });
+
+    it('reads partition from renderer options string', () => {
+      const result = instance._rendererWindowOptions({}, 'staging');
+      assert.equal(result.partition, 'staging');
+    });
+
+    it('reports errors of the open-web-url message to the sender', () => {
+      const { ipcMain } = require('electron');
+      const messages = [];
+      const sender = new EventEmitter();
+      sender.send = (...args) => messages.push(args);
+      instance.listen();
+      try {
+        ipcMain.emit('open-web-url', { sender }, 'https://domain.com/', 'web-session', 'unknown-partition');
+      } finally {
+        instance.unlisten();
+      }
+      assert.deepEqual(messages, [
+        ['open-web-url-error', 'https://domain.com/', 'Unknown session partition: unknown-partition'],
+      ]);
+    });
+
+    it('reports an invalid capture configuration of the open-web-url message', () => {
+      const messages = [];
+      const sender = new EventEmitter();
+      sender.send = (...args) => messages.push(args);
+      instance._handleOpenSessionWindow({ sender }, 'https://domain.com/', 'web-session', {
+        capture: { store: {} },
+      });
+      assert.lengthOf(messages, 1);
+      assert.equal(messages[0][0], 'open-web-url-error');
+      assert.equal(messages[0][2], 'The list of hosts of stored tokens is required');
+    });
+
+    it('resets the partition proxy when the session windows are closed', async () => {
+      const sis = session.fromPartition(PERSISTNAME);
+      const setProxy = sis.setProxy;
+      const configs = [];
+      sis.setProxy = async (config) => configs.push(config);
+      try {
+        const bw1 = new EventEmitter();
+        const bw2 = new EventEmitter();
+        await instance._setWindowProxy(bw1, PERSISTNAME, { proxyRules: 'http://proxy:8080' });
+        await instance._setWindowProxy(bw2, PERSISTNAME, { proxyRules: 'http://proxy:8081' });
+        bw1.emit('closed');
+        assert.lengthOf(configs, 2);
+        bw2.emit('closed');
+        await new Promise((resolve) => setTimeout(resolve));
+        assert.deepEqual(configs[2], { mode: 'system' });
+      } finally {
+        sis.setProxy = setProxy;
+      }
+    });
+
+    it('tracks opened session window', () => {
+      const bw = new EventEmitter();
+      bw.isDestroyed = () => false;
+      instance._trackSessionWindow('test', bw, {});
+      assert.isTrue(instance.getSessionWindow('test') === bw);
+      bw.emit('closed');
+      assert.isUndefined(instance.getSessionWindow('test'));
+    });
+  });
+
+  describe('Cookie history', () => {
+    let instance;
+    const name = 'history-cookie';
+
+    function wait(time) {
+      return new Promise((resolve) => setTimeout(resolve, time));
+    }
+
+    before(() => cleanCookies());
+
+    beforeEach(() => {
+      instance = new SessionManager();
+      instance.listen();
+    });
+
+    afterEach(async () => {
+      instance.unlisten();
+      await removeCookies([[url, name]]);
+    });
+
+    it('records cookie changes', async () => {
+      await instance.setCookie({ url, name, value: 'v1' });
+      await instance.setCookie({ url, name, value: 'v2' });
+      await wait(20);
+      const result = instance.queryHistory({ name });
+      assert.equal(result.total, 2);
+      assert.equal(result.items[0].oldValue, 'v1');
+      assert.equal(result.items[0].newValue, 'v2');
+    });
+
+    it('records the source of a cookie', async () => {
+      const source = { requestUrl: url, url, status: 200 };
+      await instance.setCookie({ url, name, value: 'v1', path: '/', source });
+      await wait(20);
+      const result = instance.queryHistory({ name });
+      assert.deepEqual(result.items[0].source, source);
+    });
+
+    it('clears the history', async () => {
+      await instance.setCookie({ url, name, value: 'v1' });
+      await wait(20);
+      instance.clearHistory();
+      assert.equal(instance.queryHistory().total, 0);
+    });
+  });
+
+  describe('Cookie snapshots', () => {
+    let instance;
+    const snapshotsDirectory = path.join(os.tmpdir(), 'session-snapshots-test');
+
+    before(() => cleanCookies());
+
+    beforeEach(() => {
+      instance = new SessionManager({ snapshotsDirectory });
+      instance.listen();
+    });
+
+    afterEach(async () => {
+      instance.unlisten();
+      await cleanCookies();
+      await fs.promises.rmdir(snapshotsDirectory, { recursive: true }).catch(() => {});
+    });
+
+    it('creates a snapshot', async () => {
+      await createTestCookies();
+      const result = await instance.createSnapshot('login');
+      assert.equal(result.name, 'login');
+      assert.equal(result.partition, DEFAULT_PARTITION);
+      assert.equal(result.count, 2);
+      const items = await instance.listSnapshots();
+      assert.lengthOf(items, 1);
+    });
+
+    it('restores a snapshot', async () => {
+      await createTestCookies();
+      await instance.createSnapshot('login');
+      await instance.setCookie({ url, name: 'after', value: 'v1' });
+      await instance.removeCookie({ url: 'https://other.com/', name: 't2' });
+      const result = await instance.restoreSnapshot('login');
+      assert.equal(result, 2);
+      const cookies = await instance.getAllCookies();
+      assert.deepEqual(cookies.map((item) => item.name).sort(), ['t1', 't2']);
+    });
+
+    it('diffs a snapshot with current cookies', async () => {
+      await createTestCookies();
+      await instance.createSnapshot('login');
+      await instance.setCookie({ url, name: 'after', value: 'v1' });
+      const result = await instance.diffSnapshots('login');
+      assert.lengthOf(result.added, 1);
+      assert.equal(result.added[0].name, 'after');
+      assert.lengthOf(result.removed, 0);
+      assert.lengthOf(result.changed, 0);
+      await removeCookies([[url, 'after']]);
+    });
+
+    it('diffs two snapshots', async () => {
+      await createTestCookies();
+      await instance.createSnapshot('s1');
+      await instance.removeCookie({ url: 'https://other.com/', name: 't2' });
+      await instance.createSnapshot('s2');
+      const result = await instance.diffSnapshots('s1', 's2');
+      assert.lengthOf(result.removed, 1);
+      assert.equal(result.removed[0].name, 't2');
+    });
+
+    it('deletes a snapshot', async () => {
+      await instance.createSnapshot('login');
+      const result = await instance.deleteSnapshot('login');
+      assert.isTrue(result);
+      assert.lengthOf(await instance.listSnapshots(), 0);
+    });
+  });
+
+  describe('Clearing cookies', () => {
+    let instance;
+
+    beforeEach(async () => {
+      await cleanCookies();
+      instance = new SessionManager();
+      instance.listen();
+      const store = session.fromPartition(PERSISTNAME).cookies;
+      await store.set({ url: 'https://domain.com/', name: 'c1', value: 'v1', domain: 'domain.com' });
+      await store.set({ url: 'https://api.domain.com/', name: 'c2', value: 'v2', httpOnly: true });
+      await store.set({ url: 'https://other.com/', name: 'session-id', value: 'v3' });
+      await store.set({
+        url: 'https://other.com/',
+        name: 'persistent',
+        value: 'v4',
+        expirationDate: Date.now() / 1000 + 3600,
+      });
+    });
+
+    afterEach(async () => {
+      await instance.clearAll();
+      instance.unlisten();
+    });
+
+    it('clears all cookies', async () => {
+      const result = await instance.clearAll();
+      assert.equal(result, 4);
+      const cookies = await instance.getAllCookies();
+      assert.lengthOf(cookies, 0);
+    });
+
+    it('clears domain cookies', async () => {
+      const result = await instance.clearDomain('domain.com');
+      assert.equal(result, 1);
+      const cookies = await instance.getAllCookies();
+      assert.deepEqual(cookies.map((item) => item.name).sort(), ['c2', 'persistent', 'session-id']);
+    });
+
+    it('clears domain cookies with subdomains', async () => {
+      const result = await instance.clearDomain('domain.com', { includeSubdomains: true });
+      assert.equal(result, 2);
+    });
+
+    it('clears cookies by name pattern', async () => {
+      const result = await instance.clearCookies({ name: 'session-*' });
+      assert.equal(result, 1);
+    });
+
+    it('clears session cookies', async () => {
+      const result = await instance.clearCookies({ session: true });
+      assert.equal(result, 3);
+      const cookies = await instance.getAllCookies();
+      assert.equal(cookies[0].name, 'persistent');
+    });
+
+    it('clears http only cookies', async () => {
+      const result = await instance.clearCookies({ httpOnly: true });
+      assert.equal(result, 1);
+    });
+  });
+
+  describe('_matchClearFilter()', () => {
+    let instance;
+    beforeEach(() => {
+      instance = new SessionManager();
+    });
+
+    it('matches expired cookies', () => {
+      const expired = { name: 'c1', domain: 'domain.com', expirationDate: Date.now() / 1000 - 10 };
+      const valid = { name: 'c1', domain: 'domain.com', expirationDate: Date.now() / 1000 + 10 };
+      const sessionCookie = { name: 'c1', domain: 'domain.com', session: true };
+      assert.isTrue(instance._matchClearFilter(expired, { expired: true }));
+      assert.isFalse(instance._matchClearFilter(valid, { expired: true }));
+      assert.isFalse(instance._matchClearFilter(sessionCookie, { expired: true }));
+    });
+
+    it('matches names with a regular expression', () => {
+      const cookie = { name: 'csrf-token', domain: 'domain.com' };
+      assert.isTrue(instance._matchClearFilter(cookie, { name: /^csrf/ }));
+      assert.isFalse(instance._matchClearFilter(cookie, { name: 'csrf' }));
+      assert.isTrue(instance._matchClearFilter(cookie, { name: '*token' }));
+    });
+  });
+
+  describe('queryCookies()', () => {
+    let instance;
+
+    before(async () => {
+      await cleanCookies();
+      await createTestCookies();
+    });
+
+    after(() => cleanCookies());
+
+    beforeEach(() => {
+      instance = new SessionManager();
+      instance.listen();
+    });
+
+    afterEach(() => {
+      instance.unlisten();
+    });
+
+    it('returns a page of matching cookies', async () => {
+      const result = await instance.queryCookies({ sort: 'name', limit: 1 });
+      assert.equal(result.total, 2);
+      assert.lengthOf(result.items, 1);
+      assert.equal(result.items[0].name, 't1');
+    });
+
+    it('filters cookies', async () => {
+      const result = await instance.queryCookies({ domain: 'other.com' });
+      assert.equal(result.total, 1);
+      assert.equal(result.items[0].name, 't2');
+    });
+  });
+
+  describe('Batch operations', () => {
+    let instance;
+
+    beforeEach(async () => {
+      await cleanCookies();
+      instance = new SessionManager();
+      instance.listen();
+    });
+
+    afterEach(async () => {
+      await instance.clearAll();
+      instance.unlisten();
+    });
+
+    it('continues after a failed cookie', async () => {
+      const result = await instance.setCookies([
+        { url, name: 'c1', value: 'v1' },
+        { name: 'c2', value: 'v2' },
+        { url, name: 'c3', value: 'v3' },
+      ]);
+      assert.deepEqual(result.map((item) => item.ok), [true, false, true]);
+      assert.equal(result[1].error.code, 'MISSING_DOMAIN');
+      assert.equal(result[1].cookie.name, 'c2');
+      const cookies = await instance.getAllCookies();
+      assert.lengthOf(cookies, 2);
+    });
+
+    it('reverts changes in the transactional mode', async () => {
+      await instance.setCookie({ url, name: 'c1', value: 'original' });
+      const result = await instance.setCookies([
+        { url, name: 'c1', value: 'changed' },
+        { url, name: 'c2', value: 'v2' },
+        { name: 'invalid name', value: 'v3', url },
+      ], undefined, { transactional: true });
+      assert.deepEqual(result.map((item) => item.ok), [false, false, false]);
+      assert.equal(result[0].error.code, 'ROLLED_BACK');
+      assert.equal(result[2].error.code, 'INVALID_NAME');
+      const cookies = await instance.getAllCookies();
+      assert.lengthOf(cookies, 1);
+      assert.equal(cookies[0].value, 'original');
+    });
+
+    it('removes cookies with results', async () => {
+      await instance.setCookie({ url, name: 'c1', value: 'v1' });
+      const result = await instance.removeCookies([
+        { url, name: 'c1' },
+        { name: 'c2' },
+      ]);
+      assert.deepEqual(result.map((item) => item.ok), [true, false]);
+      const cookies = await instance.getAllCookies();
+      assert.lengthOf(cookies, 0);
+    });
+
+    it('limits the number of concurrent operations', async () => {
+      const store = {
+        get: async () => [],
+      };
+      let running = 0;
+      let max = 0;
+      const operation = async () => {
+        running++;
+        max = Math.max(max, running);
+        await new Promise((resolve) => setTimeout(resolve, 1));
+        running--;
+      };
+      const result = await instance._runBatch(store, [1, 2, 3, 4, 5], { concurrency: 2 }, operation);
+      assert.lengthOf(result, 5);
+      assert.equal(max, 2);
+    });
+  });
+
+  describe('Writing cookie stores', () => {
+    let instance;
+
+    afterEach(async () => {
+      await removeCookies([[url, 'c1'], [url, 'c2']]);
+    });
+
+    it('schedules a single write for multiple changes', async () => {
+      instance = new SessionManager({ flushDelay: 1000 });
+      instance.listen();
+      await instance.setCookie({ url, name: 'c1', value: 'v1' });
+      const timeout = instance._pendingFlushes.get(PERSISTNAME);
+      assert.ok(timeout);
+      await instance.setCookie({ url, name: 'c2', value: 'v2' });
+      assert.equal(instance._pendingFlushes.get(PERSISTNAME), timeout);
+      await instance.unlisten();
+    });
+
+    it('writes the store after the delay', async () => {
+      instance = new SessionManager({ flushDelay: 1 });
+      instance.listen();
+      await instance.setCookie({ url, name: 'c1', value: 'v1' });
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      assert.equal(instance._pendingFlushes.size, 0);
+      await instance.unlisten();
+    });
+
+    it('writes the store with flush()', async () => {
+      instance = new SessionManager();
+      instance.listen();
+      await instance.setCookie({ url, name: 'c1', value: 'v1' });
+      await instance.flush();
+      assert.equal(instance._pendingFlushes.size, 0);
+      await instance.unlisten();
+    });
+
+    it('writes the store on unlisten()', async () => {
+      instance = new SessionManager();
+      instance.listen();
+      await instance.setCookie({ url, name: 'c1', value: 'v1' });
+      await instance.unlisten();
+      assert.equal(instance._pendingFlushes.size, 0);
+    });
+
+    it('does not schedule writes when the delay is 0', async () => {
+      instance = new SessionManager({ flushDelay: 0 });
+      instance.listen();
+      await instance.setCookie({ url, name: 'c1', value: 'v1' });
+      assert.equal(instance._pendingFlushes.size, 0);
+      await instance.unlisten();
+    });
+
+    it('delays quitting the application until the store is written', async () => {
+      instance = new SessionManager();
+      instance.listen();
+      await instance.setCookie({ url, name: 'c1', value: 'v1' });
+      let prevented = false;
+      const originalQuit = app.quit;
+      let quitCalled = false;
+      app.quit = () => {
+        quitCalled = true;
+      };
+      try {
+        instance._beforeQuitHandler({ preventDefault: () => { prevented = true; } });
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      } finally {
+        app.quit = originalQuit;
+      }
+      assert.isTrue(prevented);
+      assert.isTrue(quitCalled);
+      await instance.unlisten();
+    });
+  });
+
+  describe('exportEncrypted() and importEncrypted()', () => {
+    let instance;
+
+    beforeEach(async () => {
+      await cleanCookies();
+      instance = new SessionManager();
+      instance.listen();
+    });
+
+    afterEach(async () => {
+      await instance.clearAll();
+      await instance.unlisten();
+    });
+
+    it('imports exported cookies', async () => {
+      await createTestCookies();
+      const bundle = await instance.exportEncrypted('secret');
+      await instance.clearAll();
+      const result = await instance.importEncrypted(bundle, 'secret');
+      assert.equal(result, 2);
+      const cookies = await instance.getAllCookies();
+      assert.deepEqual(cookies.map((item) => item.name).sort(), ['t1', 't2']);
+    });
+
+    it('imports cookies of selected domains', async () => {
+      await createTestCookies();
+      const bundle = await instance.exportEncrypted('secret');
+      await instance.clearAll();
+      const result = await instance.importEncrypted(bundle, 'secret', { domains: ['other.com'] });
+      assert.equal(result, 1);
+      const cookies = await instance.getAllCookies();
+      assert.equal(cookies[0].name, 't2');
+    });
+
+    it('does not import cookies with invalid password', async () => {
+      await createTestCookies();
+      const bundle = await instance.exportEncrypted('secret');
+      await instance.clearAll();
+      let error;
+      try {
+        await instance.importEncrypted(bundle, 'other');
+      } catch (e) {
+        error = e;
+      }
+      assert.ok(error);
+      const cookies = await instance.getAllCookies();
+      assert.lengthOf(cookies, 0);
+    });
+  });
+
+  describe('Cookie policy rules', () => {
+    let instance;
+    const rulesFile = path.join(os.tmpdir(), 'cookie-rules-test.json');
+    const rules = [{ action: 'block', domain: 'tracker.com' }];
+
+    beforeEach(() => {
+      instance = new SessionManager({ rulesFile });
+      instance.listen();
+    });
+
+    afterEach(async () => {
+      await instance.unlisten();
+      await fs.promises.unlink(rulesFile).catch(() => {});
+    });
+
+    it('has no rules by default', () => {
+      assert.deepEqual(instance.getCookieRules(), []);
+    });
+
+    it('restores rules from the file', async () => {
+      await instance.setCookieRules(rules);
+      const other = new SessionManager({ rulesFile });
+      other.listen();
+      const result = other.getCookieRules();
+      await other.unlisten();
+      assert.deepEqual(result, rules);
+    });
+
+    it('sends rules to subscribed web contents', async () => {
+      const webContents = new EventEmitter();
+      webContents.messages = [];
+      webContents.send = (channel, data) => webContents.messages.push([channel, data]);
+      instance.subscribe(webContents);
+      await instance.setCookieRules(rules);
+      assert.deepEqual(webContents.messages, [['cookies-session-rules-changed', rules]]);
+    });
+
+    it('throws for invalid rules', async () => {
+      let error;
+      try {
+        await instance.setCookieRules([{ action: 'allow' }]);
+      } catch (e) {
+        error = e;
+      }
+      assert.ok(error);
+      assert.deepEqual(instance.getCookieRules(), []);
+    });
+  });
+
+  describe('Public suffix list', () => {
+    let instance;
+    const publicSuffixFile = path.join(os.tmpdir(), 'public-suffix-test.dat');
+
+    beforeEach(() => {
+      instance = new SessionManager({ publicSuffixFile });
+      instance.listen();
+    });
+
+    afterEach(async () => {
+      await instance.unlisten();
+      await fs.promises.unlink(publicSuffixFile).catch(() => {});
+    });
+
+    it('loads the bundled list', () => {
+      assert.isTrue(instance.publicSuffixes.isPublicSuffix('co.uk'));
+      assert.include(instance.getPublicSuffixList(), 'co.uk');
+    });
+
+    it('rejects cookies for a public suffix', async () => {
+      let error;
+      try {
+        await instance.setCookie({ name: 'c1', value: 'v1', domain: '.co.uk' });
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.code, 'PUBLIC_SUFFIX_DOMAIN');
+    });
+
+    it('stores cookies of a single label host', async () => {
+      await instance.setCookie({ name: 'c1', value: 'v1', domain: 'myserver', hostOnly: true, path: '/' });
+      const cookies = await instance.getUrlCookies('http://myserver/');
+      await instance.removeCookie({ url: 'http://myserver/', name: 'c1' });
+      assert.deepEqual(cookies.map((item) => item.name), ['c1']);
+      assert.isTrue(cookies[0].hostOnly);
+    });
+
+    it('stores host-only cookies of a public suffix for the host only', async () => {
+      const created = await instance.setCookie({ name: 'c1', value: 'v1', domain: 'co.uk', hostOnly: true });
+      await instance.removeCookie({ url: 'http://co.uk/', name: 'c1' });
+      assert.isUndefined(created.domain);
+      assert.equal(created.url, 'http://co.uk/');
+    });
+
+    it('stores host-only cookies of a top level domain for the host only', async () => {
+      const created = await instance.setCookie({ name: 'c1', value: 'v1', domain: 'com', hostOnly: true });
+      const cookies = await instance.getUrlCookies('http://com/');
+      const subdomainCookies = await instance.getUrlCookies('http://domain.com/');
+      await instance.removeCookie({ url: 'http://com/', name: 'c1' });
+      assert.isUndefined(created.domain);
+      assert.isTrue(cookies[0].hostOnly);
+      assert.notInclude(subdomainCookies.map((item) => item.name), 'c1');
+    });
+
+    it('stores cookies of a public suffix host without the domain', async () => {
+      const created = await instance.setCookie({ name: 'c1', value: 'v1', url: 'http://co.uk/', domain: 'co.uk' });
+      await instance.removeCookie({ url: 'http://co.uk/', name: 'c1' });
+      assert.isUndefined(created.domain);
+    });
+
+    it('rejects domain cookies for an IP address', async () => {
+      let error;
+      try {
+        await instance.setCookie({ name: 'c1', value: 'v1', url: 'http://192.168.0.1/', domain: '.168.0.1' });
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.code, 'DOMAIN_MISMATCH');
+    });
+
+    it('updates and restores the list', async () => {
+      const size = await instance.updatePublicSuffixList('com\nexample.com\n');
+      assert.equal(size, 2);
+      assert.isTrue(instance.publicSuffixes.isPublicSuffix('example.com'));
+      const other = new SessionManager({ publicSuffixFile });
+      other.listen();
+      const result = other.getPublicSuffixList();
+      await other.unlisten();
+      assert.deepEqual(result, ['com', 'example.com']);
+    });
+
+    it('notifies subscribed web contents about the update', async () => {
+      const webContents = new EventEmitter();
+      webContents.messages = [];
+      webContents.send = (channel) => webContents.messages.push(channel);
+      instance.subscribe(webContents);
+      await instance.updatePublicSuffixList('com');
+      assert.deepEqual(webContents.messages, ['cookies-session-public-suffix-changed']);
+    });
+
+    it('throws for a list without rules', async () => {
+      let error;
+      try {
+        await instance.updatePublicSuffixList('// no rules');
+      } catch (e) {
+        error = e;
+      }
+      assert.ok(error);
+      assert.isTrue(instance.publicSuffixes.isPublicSuffix('co.uk'));
+    });
+  });
+
+  describe('Session storage', () => {
+    let instance;
+
+    beforeEach(async () => {
+      await cleanCookies();
+      instance = new SessionManager();
+      instance.listen();
+    });
+
+    afterEach(async () => {
+      await instance.clearAll();
+      await instance.unlisten();
+    });
+
+    it('clears selected storage types', async () => {
+      await createTestCookies();
+      await instance.clearStorageData({ storages: ['localstorage', 'indexdb'] });
+      const cookies = await instance.getAllCookies();
+      assert.lengthOf(cookies, 2);
+      await instance.clearStorageData({ storages: ['cookies'] });
+      const cleared = await instance.getAllCookies();
+      assert.lengthOf(cleared, 0);
+    });
+
+    it('throws for unknown storage type', async () => {
+      let error;
+      try {
+        await instance.clearStorageData({ storages: ['unknown'] });
+      } catch (e) {
+        error = e;
+      }
+      assert.ok(error);
+    });
+
+    it('clears the cache and the authentication cache', async () => {
+      await instance.clearCache();
+      await instance.clearAuthCache();
+    });
+
+    it('returns empty usage without cookies', async () => {
+      const result = await instance.getStorageUsage();
+      assert.deepEqual(result, []);
+    });
+
+    it('reads usage of origins', async () => {
+      const result = await instance.getStorageUsage(['https://domain.com']);
+      assert.lengthOf(result, 1);
+      assert.equal(result[0].origin, 'https://domain.com');
+      assert.typeOf(result[0].usage, 'number');
+    });
+  });
+
+  describe('_handleLogin()', () => {
+    let instance;
+    const credentialsFile = path.join(os.tmpdir(), 'session-credentials-test.json');
+    const authInfo = { isProxy: false, scheme: 'basic', host: 'domain.com', port: 443, realm: 'test' };
+
+    function login(webContents) {
+      const e = {
+        preventDefault() {
+          this.defaultPrevented = true;
+        },
+      };
+      return new Promise((resolve) => {
+        instance._handleLogin(e, webContents, { url: 'https://domain.com/a' }, authInfo, (username, password) => {
+          resolve({ username, password, prevented: e.defaultPrevented });
+        });
+      });
+    }
+
+    beforeEach(() => {
+      instance = new SessionManager({ credentialsFile });
+      instance.listen();
+    });
+
+    afterEach(async () => {
+      await instance.unlisten();
+      await fs.promises.unlink(credentialsFile).catch(() => {});
+    });
+
+    it('asks for credentials', async () => {
+      let request;
+      instance.on('auth-request', (info) => {
+        request = info;
+        instance.credentials.respond(info.id, { username: 'u', password: 'p' });
+      });
+      const result = await login({ id: 1, session: session.fromPartition(PERSISTNAME) });
+      assert.equal(result.username, 'u');
+      assert.equal(result.password, 'p');
+      assert.isTrue(result.prevented);
+      assert.equal(request.origin, 'https://domain.com');
+      assert.equal(request.realm, 'test');
+    });
+
+    it('cancels the request when nothing can ask', async () => {
+      const result = await login({ id: 1, session: session.fromPartition(PERSISTNAME) });
+      assert.isUndefined(result.username);
+    });
+
+    function createWebContents() {
+      const webContents = new EventEmitter();
+      webContents.id = 1;
+      webContents.session = session.fromPartition(PERSISTNAME);
+      return webContents;
+    }
+
+    it('uses stored credentials once', async () => {
+      await instance.credentials.set('https://domain.com', { username: 'stored', password: 'p' });
+      instance.on('auth-request', (info) => {
+        instance.credentials.respond(info.id, { username: 'typed', password: 'p' });
+      });
+      const webContents = createWebContents();
+      const first = await login(webContents);
+      assert.equal(first.username, 'stored');
+      const second = await login(webContents);
+      assert.equal(second.username, 'typed');
+    });
+
+    it('uses stored credentials again after the navigation', async () => {
+      await instance.credentials.set('https://domain.com', { username: 'stored', password: 'p' });
+      const webContents = createWebContents();
+      await login(webContents);
+      webContents.emit('did-navigate', {}, 'https://domain.com/a');
+      const second = await login(webContents);
+      assert.equal(second.username, 'stored');
+      assert.equal(webContents.listenerCount('did-navigate'), 1);
+    });
+
+    it('forgets the attempt when the web contents is destroyed', async () => {
+      await instance.credentials.set('https://domain.com', { username: 'stored', password: 'p' });
+      const webContents = createWebContents();
+      await login(webContents);
+      webContents.emit('destroyed');
+      assert.equal(instance._authAttempts.size, 0);
+      assert.equal(webContents.listenerCount('destroyed'), 0);
+    });
+
+    it('ignores web contents from other sessions', () => {
+      const e = { preventDefault() { this.defaultPrevented = true; } };
+      const webContents = { id: 1, session: session.fromPartition('persist:other-session') };
+      instance._handleLogin(e, webContents, { url: 'https://domain.com/' }, authInfo, () => {});
+      assert.isUndefined(e.defaultPrevented);
+    });
+  });
+
+  describe('getAuthorization()', () => {
+    let instance;
+    const credentialsFile = path.join(os.tmpdir(), 'session-credentials-test.json');
+
+    beforeEach(async () => {
+      instance = new SessionManager({ credentialsFile });
+      instance.listen();
+      await instance.credentials.set('https://domain.com', { username: 'user', password: 'secret', scheme: 'basic' });
+    });
+
+    afterEach(async () => {
+      await instance.unlisten();
+      await fs.promises.unlink(credentialsFile).catch(() => {});
+    });
+
+    it('creates the basic authorization header value', () => {
+      const result = instance.getAuthorization('https://domain.com/path');
+      assert.deepEqual(result, {
+        origin: 'https://domain.com',
+        username: 'user',
+        authorization: `Basic ${Buffer.from('user:secret').toString('base64')}`,
+      });
+    });
+
+    it('does not pass the password over IPC', async () => {
+      const result = await instance._getAuthorizationHandler({}, 'https://domain.com/path');
+      assert.notInclude(JSON.stringify(result), 'secret');
+      assert.isUndefined(result.password);
+    });
+
+    it('ignores other schemes', async () => {
+      await instance.credentials.set('https://other.com', { username: 'user', password: 'secret', scheme: 'ntlm' });
+      assert.isUndefined(instance.getAuthorization('https://other.com/'));
+    });
+
+    it('returns undefined without credentials', () => {
+      assert.isUndefined(instance.getAuthorization('https://api.domain.com/'));
+    });
+  });
 });
@@ -0,0 +1,93 @@
+const { assert } = require('chai');
+const { createClearOptions, cookieOrigins, readStorageUsage } = require('../main/SessionStorage.js');
+
+describe('SessionStorage - main process', function() {
+  describe('createClearOptions()', () => {
+    it('returns empty options by default', () => {
+      assert.deepEqual(createClearOptions(), {});
+    });
+
+    it('normalizes the origin', () => {
+      const result = createClearOptions({ origin: 'https://domain.com/path?a=b' });
+      assert.equal(result.origin, 'https://domain.com');
+    });
+
+    it('throws for an invalid origin', () => {
+      assert.throws(() => createClearOptions({ origin: 'domain.com' }), 'Invalid origin');
+    });
+
+    it('accepts storages and quotas', () => {
+      const result = createClearOptions({ storages: ['localstorage', 'indexdb'], quotas: ['temporary'] });
+      assert.deepEqual(result, { storages: ['localstorage', 'indexdb'], quotas: ['temporary'] });
+    });
+
+    it('throws for an unknown storage type', () => {
+      assert.throws(() => createClearOptions({ storages: ['sessionstorage'] }), 'Unknown storage type');
+    });
+
+    it('throws for an unknown quota type', () => {
+      assert.throws(() => createClearOptions({ quotas: ['other'] }), 'Unknown quota type');
+    });
+  });
+
+  describe('cookieOrigins()', () => {
+    it('returns unique origins of cookie domains', () => {
+      const result = cookieOrigins([
+        { name: 'a', domain: '.domain.com' },
+        { name: 'b', domain: 'domain.com' },
+        { name: 'c', domain: 'api.other.com' },
+      ]);
+      assert.deepEqual(result, ['https://domain.com', 'https://api.other.com']);
+    });
+  });
+
+  describe('readStorageUsage()', () => {
+    function createWebContents() {
+      const calls = [];
+      return {
+        calls,
+        debugger: {
+          attach: () => calls.push('attach'),
+          detach: () => calls.push('detach'),
+          sendCommand: async (method) => {
+            calls.push(method);
+            return {
+              usage: 30,
+              quota: 1000,
+              usageBreakdown: [
+                { storageType: 'local_storage', usage: 10 },
+                { storageType: 'indexeddb', usage: 20 },
+                { storageType: 'websql', usage: 0 },
+              ],
+            };
+          },
+        },
+      };
+    }
+
+    it('returns usage of each origin', async () => {
+      const webContents = createWebContents();
+      const result = await readStorageUsage(webContents, ['https://domain.com']);
+      assert.deepEqual(result, [{
+        origin: 'https://domain.com',
+        usage: 30,
+        quota: 1000,
+        storages: { local_storage: 10, indexeddb: 20 },
+      }]);
+      assert.deepEqual(webContents.calls, ['attach', 'Storage.getUsageAndQuota', 'detach']);
+    });
+
+    it('detaches the debugger on error', async () => {
+      const webContents = createWebContents();
+      webContents.debugger.sendCommand = async () => { throw new Error('test'); };
+      let error;
+      try {
+        await readStorageUsage(webContents, ['https://domain.com']);
+      } catch (e) {
+        error = e;
+      }
+      assert.ok(error);
+      assert.deepEqual(webContents.calls, ['attach', 'detach']);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const { assert } = require('chai');
+const EventEmitter = require('events');
+const { extractUrlTokens, extractHeaderTokens, captureResponseHeaders, TokenStore } = require('../main/TokenCapture.js');
+
+describe('TokenCapture - main process', function() {
+  describe('extractUrlTokens()', () => {
+    it('reads the code from the query', () => {
+      const result = extractUrlTokens('https://app.com/cb?code=abc&state=s1');
+      assert.deepEqual(result, [{
+        type: 'code',
+        value: 'abc',
+        url: 'https://app.com/cb?code=abc&state=s1',
+        source: 'query',
+        state: 's1',
+      }]);
+    });
+
+    it('reads the access token from the fragment', () => {
+      const result = extractUrlTokens('https://app.com/cb#access_token=abc&token_type=Bearer&expires_in=3600&scope=a%20b');
+      assert.lengthOf(result, 1);
+      assert.equal(result[0].source, 'fragment');
+      assert.equal(result[0].tokenType, 'Bearer');
+      assert.equal(result[0].expiresIn, 3600);
+      assert.equal(result[0].scope, 'a b');
+    });
+
+    it('reads custom parameters', () => {
+      const result = extractUrlTokens('https://app.com/cb?id_token=abc&code=1', ['id_token']);
+      assert.deepEqual(result.map((item) => item.type), ['id_token']);
+    });
+
+    it('returns empty list for invalid URL', () => {
+      assert.deepEqual(extractUrlTokens('not a url'), []);
+    });
+  });
+
+  describe('extractHeaderTokens()', () => {
+    it('reads listed headers', () => {
+      const result = extractHeaderTokens('https://api.com/', {
+        'X-Auth-Token': ['abc'],
+        'Content-Type': ['text/plain'],
+      }, ['x-auth-token']);
+      assert.deepEqual(result, [{ type: 'x-auth-token', value: 'abc', url: 'https://api.com/', source: 'header' }]);
+    });
+
+    it('returns empty list without names', () => {
+      assert.deepEqual(extractHeaderTokens('https://api.com/', { 'X-Auth-Token': ['abc'] }), []);
+    });
+  });
+
+  describe('captureResponseHeaders()', () => {
+    function createWebContents() {
+      const inspector = new EventEmitter();
+      inspector.calls = [];
+      inspector.attach = () => inspector.calls.push('attach');
+      inspector.detach = () => inspector.calls.push('detach');
+      inspector.sendCommand = async (method) => inspector.calls.push(method);
+      return { debugger: inspector };
+    }
+
+    it('reports headers of responses and redirects', () => {
+      const webContents = createWebContents();
+      const responses = [];
+      captureResponseHeaders(webContents, (url, headers) => responses.push([url, headers]));
+      webContents.debugger.emit('message', {}, 'Network.requestWillBeSent', {
+        redirectResponse: { url: 'https://domain.com/login', headers: { 'X-Token': 'a\nb' } },
+      });
+      webContents.debugger.emit('message', {}, 'Network.requestWillBeSent', {});
+      webContents.debugger.emit('message', {}, 'Network.responseReceived', {
+        response: { url: 'https://domain.com/', headers: { 'X-Token': 'c' } },
+      });
+      assert.deepEqual(responses, [
+        ['https://domain.com/login', { 'X-Token': ['a', 'b'] }],
+        ['https://domain.com/', { 'X-Token': ['c'] }],
+      ]);
+      assert.deepEqual(webContents.debugger.calls, ['attach', 'Network.enable']);
+    });
+
+    it('detaches the debugger when stopped', () => {
+      const webContents = createWebContents();
+      const stop = captureResponseHeaders(webContents, () => {});
+      stop();
+      assert.equal(webContents.debugger.listenerCount('message'), 0);
+      assert.include(webContents.debugger.calls, 'detach');
+    });
+
+    it('does nothing when the debugger cannot be attached', () => {
+      const webContents = createWebContents();
+      webContents.debugger.attach = () => { throw new Error('Another debugger is already attached'); };
+      const stop = captureResponseHeaders(webContents, () => {});
+      assert.equal(webContents.debugger.listenerCount('message'), 0);
+      stop();
+      assert.notInclude(webContents.debugger.calls, 'detach');
+    });
+  });
+
+  describe('TokenStore', () => {
+    const token = { type: 'access_token', value: 'abc', url: 'https://app.com/cb' };
+
+    it('finds a token for a host', () => {
+      const store = new TokenStore();
+      store.set(token, ['api.domain.com']);
+      assert.equal(store.find('https://api.domain.com/v1').value, 'abc');
+      assert.isUndefined(store.find('https://other.com/'));
+    });
+
+    it('matches subdomains with a wildcard', () => {
+      const store = new TokenStore();
+      store.set(token, ['*.domain.com']);
+      assert.ok(store.find('https://api.domain.com/'));
+      assert.isUndefined(store.find('https://domain.com/'));
+    });
+
+    it('returns the most recent token', () => {
+      const store = new TokenStore();
+      store.set(token, ['api.domain.com']);
+      store.set(Object.assign({}, token, { value: 'def' }), ['api.domain.com']);
+      assert.equal(store.find('https://api.domain.com/').value, 'def');
+    });
+
+    it('ignores expired tokens', () => {
+      const store = new TokenStore();
+      const item = store.set(Object.assign({}, token, { expiresIn: 60 }), ['api.domain.com']);
+      store._tokens.get(item.id).expires = Date.now() - 1;
+      assert.isUndefined(store.find('https://api.domain.com/'));
+    });
+
+    it('removes tokens', () => {
+      const store = new TokenStore();
+      const item = store.set(token, ['api.domain.com']);
+      assert.isTrue(store.remove(item.id));
+      assert.lengthOf(store.list(), 0);
+    });
+
+    it('throws without hosts', () => {
+      const store = new TokenStore();
+      assert.throws(() => store.set(token, []), 'The list of hosts is required');
+    });
+  });
+});
@@ -1,5 +1,5 @@
 const { assert } = require('chai');
-const { CookieBridge } = require('../renderer');
+const { CookieBridge, CookieError } = require('../renderer');
 
 describe('Cookie bridge - renderer process', function() {
   describe('Events based tests', () => {
@@ -147,6 +147,142 @@ describe('Cookie bridge - renderer process', function() {
       });
     });
 
+    describe('session-cookie-query', function() {
+      before(() => createTestCookies());
+      after(() => removeTestCookies());
+
+      it('returns matching cookies', async function() {
+        const e = fire('session-cookie-query', {
+          query: { text: 'test-value', limit: 10 },
+        });
+        const result = await e.detail.result;
+        assert.equal(result.total, 1);
+        assert.equal(result.items[0].name, 'test-name');
+      });
+    });
+
+    describe('session-cookie-export-encrypted', function() {
+      before(() => createTestCookies());
+      after(() => removeTestCookies());
+
+      it('exports and imports the encrypted bundle', async function() {
+        const bundle = await fire('session-cookie-export-encrypted', {
+          password: 'secret',
+        }).detail.result;
+        assert.typeOf(bundle, 'string');
+        await removeTestCookies();
+        const result = await fire('session-cookie-import-encrypted', {
+          data: bundle,
+          password: 'secret',
+          domains: ['other.com'],
+        }).detail.result;
+        assert.equal(result, 1);
+      });
+    });
+
+    describe('session-cookie-clear', function() {
+      before(() => createTestCookies());
+      after(() => removeTestCookies());
+
+      it('removes domain cookies', async function() {
+        const e = fire('session-cookie-clear', {
+          filter: { domain: 'domain.com', includeSubdomains: true },
+        });
+        const result = await e.detail.result;
+        assert.isAbove(result, 0);
+        const cookies = await fire('session-cookie-list-domain', { domain: 'domain.com' }).detail.result;
+        assert.lengthOf(cookies, 0);
+      });
+    });
+
+    describe('session-storage-clear', function() {
+      before(() => createTestCookies());
+      after(() => removeAllCookies());
+
+      it('clears selected storage types', async () => {
+        const e = fire('session-storage-clear', {
+          storages: ['cookies'],
+          origin: 'http://other.com',
+        });
+        await e.detail.result;
+        const e2 = fire('session-cookie-list-all', {});
+        const cookies = await e2.detail.result;
+        assert.deepEqual(cookies.map((item) => item.name), ['test-name']);
+      });
+    });
+
+    describe('response-ready event', function() {
+      afterEach(() => removeAllCookies());
+
+      function fireResponse(headers) {
+        return fire('response-ready', {
+          request: { url: 'http://api.domain.com/login' },
+          response: { status: 200, headers },
+        });
+      }
+
+      it('adds a promise resolved when cookies are stored', async () => {
+        const e = fireResponse('set-cookie: stored-cookie=value');
+        assert.lengthOf(e.detail.promises, 1);
+        const result = await e.detail.promises[0];
+        assert.deepEqual(result.cookies.map((item) => item.name), ['stored-cookie']);
+        const e2 = fire('session-cookie-list-domain', { domain: 'api.domain.com' });
+        const cookies = await e2.detail.result;
+        assert.lengthOf(cookies, 1);
+      });
+
+      it('stores cookies in the config partition', async () => {
+        await instance.createPartition('response-partition');
+        try {
+          const e = fire('response-ready', {
+            request: {
+              url: 'http://api.domain.com/login',
+              config: { cookiePartition: 'response-partition' },
+            },
+            response: { status: 200, headers: 'set-cookie: partition-cookie=value' },
+          });
+          await e.detail.promises[0];
+          const defaultCookies = await instance.getDomainCookies('api.domain.com');
+          assert.lengthOf(defaultCookies, 0);
+          const e2 = fire('before-request', {
+            url: 'http://api.domain.com/',
+            method: 'GET',
+            promises: [],
+            config: { cookiePartition: 'response-partition' },
+          });
+          const request = await e2.detail.promises[0];
+          assert.equal(request.headers, 'cookie: partition-cookie=value');
+        } finally {
+          await instance.deletePartition('response-partition');
+        }
+      });
+
+      it('dispatches the session-cookies-stored event', async () => {
+        let detail;
+        const handler = (e) => { detail = e.detail; };
+        window.addEventListener('session-cookies-stored', handler);
+        const e = fireResponse('set-cookie: stored-cookie=value');
+        await e.detail.promises[0];
+        window.removeEventListener('session-cookies-stored', handler);
+        assert.equal(detail.url, 'http://api.domain.com/login');
+        assert.equal(detail.cookies[0].name, 'stored-cookie');
+        assert.deepEqual(detail.removed, []);
+      });
+
+      it('dispatches the session-cookie-error event for rejected cookies', async () => {
+        let detail;
+        const handler = (e) => { detail = e.detail; };
+        window.addEventListener('session-cookie-error', handler);
+        const e = fireResponse('set-cookie: __Secure-id=value');
+        const result = await e.detail.promises[0];
+        window.removeEventListener('session-cookie-error', handler);
+        assert.lengthOf(result.failed, 1);
+        assert.instanceOf(detail.error, CookieError);
+        assert.equal(detail.error.code, 'SECURE_PREFIX');
+        assert.equal(detail.cookie.name, '__Secure-id');
+      });
+    });
+
     describe('before-request event', function() {
       before(() => createTestCookies());
       after(() => removeTestCookies());
@@ -169,7 +305,149 @@ describe('Cookie bridge - renderer process', function() {
           promises: []
         });
         const request = await e.detail.promises[0];
-        assert.equal(request.headers, 'cookie: test1=test1,test2=test2');
+        assert.equal(request.headers, 'cookie: test1=test1; test2=test2');
+      });
+
+      it('does not append cookies existing in the header', async () => {
+        const e = fire('before-request', {
+          url: 'http://other.com/',
+          method: 'GET',
+          headers: 'cookie: test2=typed',
+          promises: []
+        });
+        const request = await e.detail.promises[0];
+        assert.equal(request.headers, 'cookie: test2=typed');
+      });
+
+      it('replaces cookies with the replace strategy', async () => {
+        const e = fire('before-request', {
+          url: 'http://other.com/',
+          method: 'GET',
+          headers: 'cookie: test2=typed; a=b',
+          promises: [],
+          config: {
+            cookieMergeStrategy: 'replace',
+          }
+        });
+        const request = await e.detail.promises[0];
+        assert.equal(request.headers, 'cookie: a=b; test2=test2');
+      });
+
+      it('does not change the header with the skip strategy', async () => {
+        const e = fire('before-request', {
+          url: 'http://other.com/',
+          method: 'GET',
+          headers: 'cookie: a=b',
+          promises: [],
+          config: {
+            cookieMergeStrategy: 'skip',
+          }
+        });
+        const request = await e.detail.promises[0];
+        assert.equal(request.headers, 'cookie: a=b');
+      });
+
+      [
+        ['append', 'cookie: a=1,2; test2=test2'],
+        ['replace', 'cookie: a=1,2; test2=test2'],
+        ['skip', 'cookie: a=1,2'],
+      ].forEach(([strategy, expected]) => {
+        it(`keeps a comma in a cookie value with the ${strategy} strategy`, async () => {
+          const e = fire('before-request', {
+            url: 'http://other.com/',
+            method: 'GET',
+            headers: 'cookie: a=1,2',
+            promises: [],
+            config: {
+              cookieMergeStrategy: strategy,
+            }
+          });
+          const request = await e.detail.promises[0];
+          assert.equal(request.headers, expected);
+        });
+      });
+
+      it('reads cookies of repeated cookie headers', async () => {
+        const e = fire('before-request', {
+          url: 'http://other.com/',
+          method: 'GET',
+          headers: 'cookie: a=1,2\ncookie: test2=typed',
+          promises: []
+        });
+        const request = await e.detail.promises[0];
+        assert.equal(request.headers, 'cookie: a=1,2\ncookie: test2=typed');
+        assert.lengthOf(request.appliedCookies, 0);
+      });
+
+      it('reports applied cookies', async () => {
+        const e = fire('before-request', {
+          url: 'http://other.com/',
+          method: 'GET',
+          promises: []
+        });
+        const request = await e.detail.promises[0];
+        assert.lengthOf(request.appliedCookies, 1);
+        assert.equal(request.appliedCookies[0].name, 'test2');
+        assert.equal(request.appliedCookies[0].source, 'session');
+      });
+
+      it('filters session cookies with the denylist', async () => {
+        const e = fire('before-request', {
+          url: 'http://other.com/',
+          method: 'GET',
+          promises: [],
+          config: {
+            cookieDenylist: ['test2'],
+          }
+        });
+        const request = await e.detail.promises[0];
+        assert.isUndefined(request.headers);
+        assert.lengthOf(request.appliedCookies, 0);
+      });
+
+      it('filters session cookies with the allowlist', async () => {
+        const e = fire('before-request', {
+          url: 'http://other.com/',
+          method: 'GET',
+          promises: [],
+          config: {
+            cookieAllowlist: ['other'],
+          }
+        });
+        const request = await e.detail.promises[0];
+        assert.isUndefined(request.headers);
+      });
+
+      it('adds extra cookies from the config', async () => {
+        const e = fire('before-request', {
+          url: 'http://other.com/',
+          method: 'GET',
+          promises: [],
+          config: {
+            extraCookies: { test2: 'override', extra: 'value' },
+          }
+        });
+        const request = await e.detail.promises[0];
+        assert.equal(request.headers, 'cookie: test2=override; extra=value');
+        assert.deepEqual(request.appliedCookies.map((c) => c.source), ['config', 'config']);
+      });
+
+      it('reads cookies from the config partition', async () => {
+        await instance.createPartition('request-partition');
+        try {
+          const e = fire('before-request', {
+            url: 'http://other.com/',
+            method: 'GET',
+            promises: [],
+            config: {
+              cookiePartition: 'request-partition',
+            }
+          });
+          const request = await e.detail.promises[0];
+          assert.isUndefined(request.headers);
+        } finally {
+          await instance.deletePartition('request-partition');
+        }
       });
 
       it('ignores when ignoreSessionCookies is set on the bridge', async () => {
@@ -196,6 +474,146 @@ describe('Cookie bridge - renderer process', function() {
         });
         assert.isUndefined(e.detail.promises[0]);
       });
+
+      it('adds extra cookies when ignoreSessionCookies is set', async () => {
+        const e = fire('before-request', {
+          url: 'http://other.com/',
+          method: 'GET',
+          promises: [],
+          config: {
+            ignoreSessionCookies: true,
+            extraCookies: { extra: 'value' },
+          }
+        });
+        const request = await e.detail.promises[0];
+        assert.equal(request.headers, 'cookie: extra=value');
+        assert.deepEqual(request.appliedCookies.map((c) => c.source), ['config']);
+      });
+    });
+  });
+
+  describe('Cookie change events', () => {
+    let instance;
+    before(() => {
+      instance = new CookieBridge();
+      instance.listen();
+    });
+
+    after(async () => {
+      await instance.removeCookies({
+        name: 'test-changed',
+        url: 'http://changed.com'
+      });
+      instance.unlisten();
+    });
+
+    it('dispatches session-cookie-changed event', async () => {
+      const changed = new Promise((resolve) => {
+        document.body.addEventListener('session-cookie-changed', function f(e) {
+          if (e.detail.name !== 'test-changed') {
+            return;
+          }
+          document.body.removeEventListener('session-cookie-changed', f);
+          resolve(e.detail);
+        });
+      });
+      await instance.updateCookie({
+        name: 'test-changed',
+        value: 'test',
+        url: 'http://changed.com'
+      });
+      const cookie = await changed;
+      assert.equal(cookie.value, 'test');
+    });
+  });
+
+  describe('Session partitions', () => {
+    let instance;
+    before(() => {
+      instance = new CookieBridge();
+    });
+
+    afterEach(async () => {
+      const items = await instance.listPartitions();
+      for (let i = 0; i < items.length; i++) {
+        if (items[i].id !== 'default') {
+          await instance.deletePartition(items[i].id);
+        }
+      }
+    });
+
+    it('creates and lists partitions', async () => {
+      await instance.createPartition('staging', 'Staging');
+      const items = await instance.listPartitions();
+      assert.lengthOf(items, 2);
+      assert.equal(items[1].name, 'Staging');
+    });
+
+    it('stores cookies in the partition', async () => {
+      await instance.createPartition('staging');
+      await instance.updateCookie({
+        name: 'partition-cookie',
+        value: 'test',
+        url: 'http://partition.com'
+      }, 'staging');
+      const partitionCookies = await instance.getDomainCookies('partition.com', 'staging');
+      assert.lengthOf(partitionCookies, 1);
+      const defaultCookies = await instance.getDomainCookies('partition.com');
+      assert.lengthOf(defaultCookies, 0);
+    });
+  });
+
+  describe('Cookie snapshots', () => {
+    let instance;
+    before(() => {
+      instance = new CookieBridge();
+      instance.listen();
+    });
+
+    after(() => instance.unlisten());
+
+    afterEach(async () => {
+      await instance.deleteSnapshot('renderer-snapshot');
+      const cookies = await instance.getAllCookies();
+      await instance.removeCookies(cookies);
+    });
+
+    function fire(type, detail) {
+      const e = new CustomEvent(type, {
+        detail,
+        bubbles: true,
+        cancelable: true,
+      });
+      document.body.dispatchEvent(e);
+      return e;
+    }
+
+    it('creates and restores a snapshot with events', async () => {
+      await instance.updateCookie({
+        name: 'snapshot-cookie',
+        value: 'test',
+        url: 'http://snapshot.com'
+      });
+      const created = await fire('session-snapshot-create', { name: 'renderer-snapshot' }).detail.result;
+      assert.equal(created.count, 1);
+      await instance.removeCookies({ name: 'snapshot-cookie', url: 'http://snapshot.com' });
+      const restored = await fire('session-snapshot-restore', { name: 'renderer-snapshot' }).detail.result;
+      assert.equal(restored, 1);
+      const cookies = await instance.getDomainCookies('snapshot.com');
+      assert.lengthOf(cookies, 1);
+    });
+
+    it('returns the difference in the web cookie model', async () => {
+      await instance.createSnapshot('renderer-snapshot');
+      await instance.updateCookie({
+        name: 'snapshot-cookie',
+        value: 'test',
+        url: 'http://snapshot.com',
+        expires: Date.now() + 60000,
+      });
+      const result = await fire('session-snapshot-diff', { a: 'renderer-snapshot' }).detail.result;
+      assert.lengthOf(result.added, 1);
+      assert.typeOf(result.added[0].expires, 'number');
     });
   });
 
@@ -251,6 +669,19 @@ describe('Cookie bridge - renderer process', function() {
           value: 'test'
         });
       });
+
+      it('throws CookieError for invalid cookie', async () => {
+        cookie.name = 'invalid name';
+        let error;
+        try {
+          await instance.updateCookie(cookie);
+        } catch (e) {
+          error = e;
+        }
+        assert.instanceOf(error, CookieError);
+        assert.equal(error.code, 'INVALID_NAME');
+        assert.equal(error.field, 'name');
+      });
     });
 
     describe('updateCookies()', () => {
@@ -285,6 +716,23 @@ describe('Cookie bridge - renderer process', function() {
         const all = await instance.getAllCookies();
         assert.lengthOf(all, 2);
       });
+
+      it('returns results for each cookie', async () => {
+        cookies[1].name = 'invalid name';
+        const result = await instance.updateCookies(cookies);
+        assert.isTrue(result[0].ok);
+        assert.isFalse(result[1].ok);
+        assert.equal(result[1].error.code, 'INVALID_NAME');
+        const all = await instance.getAllCookies();
+        assert.lengthOf(all, 1);
+      });
+
+      it('reverts all changes in the transactional mode', async () => {
+        cookies[1].name = 'invalid name';
+        await instance.updateCookies(cookies, undefined, { transactional: true });
+        const all = await instance.getAllCookies();
+        assert.lengthOf(all, 0);
+      });
     });
 
     describe('removeCookies()', () => {
@@ -336,6 +784,399 @@ describe('Cookie bridge - renderer process', function() {
       });
     });
 
+    describe('_filterRequestCookies()', () => {
+      let instance;
+      beforeEach(() => {
+        instance = new CookieBridge();
+      });
+
+      it('orders cookies by path length', () => {
+        const result = instance._filterRequestCookies([
+          { name: 'a', path: '/' },
+          { name: 'b', path: '/api/v1' },
+          { name: 'c', path: '/api' },
+        ], 'http://domain.com/api/v1/items', {});
+        assert.deepEqual(result.map((c) => c.name), ['b', 'c', 'a']);
+      });
+
+      it('keeps the store order of cookies with the same path', () => {
+        const result = instance._filterRequestCookies([
+          { name: 'a', path: '/' },
+          { name: 'b', path: '/api' },
+          { name: 'c', path: '/' },
+        ], 'http://domain.com/api', {});
+        assert.deepEqual(result.map((c) => c.name), ['b', 'a', 'c']);
+      });
+
+      it('removes secure cookies for insecure requests', () => {
+        const result = instance._filterRequestCookies([
+          { name: 'a', path: '/', secure: true },
+          { name: 'b', path: '/' },
+        ], 'http://domain.com/', {});
+        assert.deepEqual(result.map((c) => c.name), ['b']);
+      });
+
+      it('keeps secure cookies for secure requests', () => {
+        const result = instance._filterRequestCookies([
+          { name: 'a', path: '/', secure: true },
+        ], 'https://domain.com/', {});
+        assert.lengthOf(result, 1);
+      });
+
+      it('removes strict cookies for cross-site requests', () => {
+        const cookies = [
+          { name: 'a', path: '/', sameSite: 'strict' },
+          { name: 'b', path: '/', sameSite: 'lax' },
+          { name: 'c', path: '/', sameSite: 'no_restriction' },
+        ];
+        const url = 'https://api.domain.com/';
+        let result = instance._filterRequestCookies(cookies, url, { site: 'https://other.com/' });
+        assert.deepEqual(result.map((c) => c.name), ['b', 'c']);
+        result = instance._filterRequestCookies(cookies, url, { site: 'https://other.com/', method: 'POST' });
+        assert.deepEqual(result.map((c) => c.name), ['c']);
+        result = instance._filterRequestCookies(cookies, url, { site: 'https://www.domain.com/', method: 'POST' });
+        assert.lengthOf(result, 3);
+      });
+    });
+
+    describe('_processResponse()', () => {
+      let instance;
+      beforeEach(async () => {
+        instance = new CookieBridge();
+        await instance.updateCookies([{
+          name: 'logout-cookie',
+          value: 'test',
+          url: 'http://api.domain.com/',
+          expires: Date.now() + 20000,
+        }]);
+      });
+
+      afterEach(async () => {
+        await removeAllCookies(instance);
+      });
+
+      it('stores cookies from the response', async () => {
+        await instance._processResponse({
+          url: 'http://api.domain.com/login',
+        }, {
+          headers: 'set-cookie: new-cookie=value',
+        });
+        const all = await instance.getDomainCookies('api.domain.com');
+        assert.lengthOf(all, 2);
+      });
+
+      it('records the response as the cookie source', async () => {
+        await instance._processResponse({
+          url: 'http://api.domain.com/login',
+        }, {
+          status: 200,
+          headers: 'set-cookie: source-cookie=value',
+        });
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        const result = await instance.queryHistory({ name: 'source-cookie' });
+        assert.equal(result.items[0].source.requestUrl, 'http://api.domain.com/login');
+        assert.equal(result.items[0].source.status, 200);
+      });
+
+      it('removes cookies expired with max-age', async () => {
+        await instance._processResponse({
+          url: 'http://api.domain.com/logout',
+        }, {
+          headers: 'set-cookie: logout-cookie=; max-age=0',
+        });
+        const all = await instance.getDomainCookies('api.domain.com');
+        assert.lengthOf(all, 0);
+      });
+
+      it('removes cookies expired with expiry date', async () => {
+        await instance._processResponse({
+          url: 'http://api.domain.com/logout',
+        }, {
+          headers: 'set-cookie: logout-cookie=deleted; expires=Thu, 01 Jan 2015 00:00:00 GMT',
+        });
+        const all = await instance.getDomainCookies('api.domain.com');
+        assert.lengthOf(all, 0);
+      });
+    });
+
+    describe('Public suffix list', () => {
+      let instance;
+      beforeEach(() => {
+        instance = new CookieBridge();
+      });
+
+      afterEach(async () => {
+        await removeAllCookies(instance);
+      });
+
+      it('reads the list from the main process', async () => {
+        const list = await instance.getPublicSuffixList();
+        assert.isTrue(list.isPublicSuffix('co.uk'));
+      });
+
+      it('rejects cookies set for a public suffix', async () => {
+        await instance.getPublicSuffixList();
+        const result = instance.extract({
+          headers: 'set-cookie: sid=1; Domain=.co.uk',
+        }, 'https://evil.co.uk/');
+        assert.lengthOf(result.cookies, 0);
+        assert.equal(result.rejected[0].cookie.name, 'sid');
+        assert.equal(result.rejected[0].error.code, 'PUBLIC_SUFFIX_DOMAIN');
+      });
+
+      it('rejects domain cookies set by an IP address host', () => {
+        const result = instance.extract({
+          headers: 'set-cookie: sid=1; Domain=.0.0.1',
+        }, 'http://127.0.0.1/');
+        assert.lengthOf(result.cookies, 0);
+        assert.equal(result.rejected[0].error.code, 'DOMAIN_MISMATCH');
+      });
+
+      it('accepts cookies for a parent domain', () => {
+        const result = instance.extract({
+          headers: 'set-cookie: sid=1; Domain=domain.com',
+        }, 'https://deep.api.domain.com/login');
+        assert.equal(result.cookies[0].domain, 'domain.com');
+        assert.lengthOf(result.rejected, 0);
+      });
+
+      it('reports rejected cookies', async () => {
+        const errors = [];
+        const handler = (e) => errors.push(e.detail.error.code);
+        window.addEventListener('session-cookie-error', handler);
+        const result = await instance._processResponse({
+          url: 'https://evil.co.uk/login',
+        }, {
+          headers: 'set-cookie: sid=1; Domain=co.uk',
+        });
+        window.removeEventListener('session-cookie-error', handler);
+        assert.lengthOf(result.rejected, 1);
+        assert.deepEqual(errors, ['PUBLIC_SUFFIX_DOMAIN']);
+      });
+
+      it('stores cookies from a single label host', async () => {
+        const result = await instance._processResponse({
+          url: 'http://myserver/login',
+        }, {
+          headers: 'set-cookie: sid=1',
+        });
+        assert.deepEqual(result.cookies.map((item) => item.name), ['sid']);
+        assert.lengthOf(result.failed, 0);
+        assert.lengthOf(result.rejected, 0);
+      });
+
+      it('compares sites by the registrable domain', async () => {
+        await instance.getPublicSuffixList();
+        assert.isFalse(instance._isSameSite(new URL('https://a.co.uk/'), 'https://b.co.uk/'));
+        assert.isTrue(instance._isSameSite(new URL('https://api.a.co.uk/'), 'https://a.co.uk/'));
+      });
+    });
+
+    describe('Cookie policy rules', () => {
+      let instance;
+      beforeEach(async () => {
+        instance = new CookieBridge();
+        await instance.setCookieRules([{ action: 'block', name: 'tracking*' }]);
+      });
+
+      afterEach(async () => {
+        await instance.setCookieRules([]);
+        await removeAllCookies(instance);
+      });
+
+      it('returns stored rules', async () => {
+        instance._cookieRules = undefined;
+        const result = await instance.getCookieRules();
+        assert.deepEqual(result, [{ action: 'block', name: 'tracking*' }]);
+      });
+
+      it('does not store blocked cookies', async () => {
+        await instance._processResponse({
+          url: 'http://api.domain.com/login',
+        }, {
+          headers: 'set-cookie: tracking-id=1; sid=2',
+        });
+        const all = await instance.getDomainCookies('api.domain.com');
+        assert.deepEqual(all.map((item) => item.name), ['sid']);
+      });
+
+      it('applies rules to stored cookies', async () => {
+        await instance.setCookieRules([{ action: 'force', httpOnly: true }]);
+        await instance._processResponse({
+          url: 'http://api.domain.com/login',
+        }, {
+          headers: 'set-cookie: sid=2',
+        });
+        const all = await instance.getDomainCookies('api.domain.com');
+        assert.isTrue(all[0].httpOnly);
+      });
+
+      it('does not send blocked cookies', async () => {
+        await instance.updateCookies([{
+          name: 'tracking-id',
+          value: '1',
+          url: 'http://api.domain.com/',
+        }, {
+          name: 'sid',
+          value: '2',
+          url: 'http://api.domain.com/',
+        }]);
+        const request = await instance._processBeforeRequest({
+          url: 'http://api.domain.com/',
+          method: 'GET',
+        });
+        assert.equal(request.headers, 'cookie: sid=2');
+      });
+    });
+
+    describe('_applySessionAuth()', () => {
+      let instance;
+      beforeEach(() => {
+        instance = new CookieBridge({ applySessionAuth: true });
+        instance.getAuthorization = async () => ({
+          origin: 'https://domain.com',
+          username: 'user',
+          authorization: `Basic ${btoa('user:pass')}`,
+        });
+      });
+
+      it('adds the authorization header', async () => {
+        const request = await instance._applySessionAuth({ url: 'https://domain.com/' });
+        assert.equal(request.headers, `authorization: Basic ${btoa('user:pass')}`);
+        assert.deepEqual(request.appliedAuth, { origin: 'https://domain.com', username: 'user' });
+      });
+
+      it('does not replace existing header', async () => {
+        const request = await instance._applySessionAuth({
+          url: 'https://domain.com/',
+          headers: 'authorization: Bearer token',
+        });
+        assert.equal(request.headers, 'authorization: Bearer token');
+        assert.isUndefined(request.appliedAuth);
+      });
+
+      it('does nothing without stored credentials', async () => {
+        instance.getAuthorization = async () => undefined;
+        const request = await instance._applySessionAuth({ url: 'https://domain.com/' });
+        assert.isUndefined(request.headers);
+      });
+
+      it('is applied in the before-request event', () => {
+        const detail = {
+          url: 'https://domain.com/',
+          method: 'GET',
+          config: { ignoreSessionCookies: true },
+        };
+        instance._beforeRequestHandler({ detail });
+        assert.lengthOf(detail.promises, 1);
+        return detail.promises[0];
+      });
+    });
+
+    describe('_applySessionToken()', () => {
+      let instance;
+      beforeEach(() => {
+        instance = new CookieBridge({ applySessionTokens: true });
+        instance.getSessionToken = async () => ({ id: '1', type: 'access_token', value: 'abc' });
+      });
+
+      it('adds the bearer token', async () => {
+        const request = await instance._applySessionToken({ url: 'https://api.domain.com/' });
+        assert.equal(request.headers, 'authorization: Bearer abc');
+        assert.deepEqual(request.appliedToken, { id: '1', type: 'access_token' });
+      });
+
+      it('does not replace existing header', async () => {
+        const request = await instance._applySessionToken({
+          url: 'https://api.domain.com/',
+          headers: 'authorization: Basic dGVzdA==',
+        });
+        assert.equal(request.headers, 'authorization: Basic dGVzdA==');
+      });
+
+      it('does nothing without a token', async () => {
+        instance.getSessionToken = async () => undefined;
+        const request = await instance._applySessionToken({ url: 'https://api.domain.com/' });
+        assert.isUndefined(request.headers);
+      });
+    });
+
+    describe('getRedirectCookies()', () => {
+      let instance;
+      beforeEach(async () => {
+        instance = new CookieBridge();
+        await instance.updateCookies([{
+          name: 'session',
+          value: 'old',
+          url: 'http://other.com/',
+        }, {
+          name: 'theme',
+          value: 'dark',
+          url: 'http://other.com/',
+        }]);
+      });
+
+      afterEach(async () => {
+        await removeAllCookies(instance);
+      });
+
+      it('returns session cookies of the next hop', async () => {
+        const result = await instance.getRedirectCookies('http://other.com/', []);
+        assert.deepEqual(result.map((item) => item.name).sort(), ['session', 'theme']);
+      });
+
+      it('uses cookies set by redirect responses', async () => {
+        const redirects = [{
+          url: 'http://other.com/login',
+          status: 302,
+          headers: 'set-cookie: session=new; path=/',
+        }];
+        const result = await instance.getRedirectCookies('http://other.com/home', redirects);
+        const session = result.find((item) => item.name === 'session');
+        assert.equal(session.value, 'new');
+        assert.lengthOf(result, 2);
+      });
+
+      it('does not send host-only cookies to subdomains', async () => {
+        const redirects = [{
+          url: 'http://other.com/login',
+          status: 302,
+          headers: 'set-cookie: host-only=1; path=/',
+        }, {
+          url: 'http://other.com/sso',
+          status: 302,
+          headers: 'set-cookie: shared=1; domain=other.com; path=/',
+        }];
+        const result = await instance.getRedirectCookies('http://api.other.com/home', redirects);
+        assert.deepEqual(result.map((item) => item.name), ['shared']);
+      });
+
+      it('does not send cookies expired by redirect responses', async () => {
+        const redirects = [{
+          url: 'http://other.com/logout',
+          status: 302,
+          headers: 'set-cookie: theme=; path=/; max-age=0',
+        }];
+        const header = await instance.getRedirectCookiesHeaderValue('http://other.com/', redirects);
+        assert.equal(header, 'session=old');
+      });
+
+      it('ignores cookies of other domains', async () => {
+        const redirects = [{
+          url: 'http://api.domain.com/login',
+          status: 302,
+          headers: 'set-cookie: token=abc',
+        }];
+        const result = await instance.getRedirectCookies('http://other.com/', redirects);
+        assert.isUndefined(result.find((item) => item.name === 'token'));
+      });
+
+      it('reads cookies for WebSocket URLs', async () => {
+        const header = await instance.getCookiesHeaderValue('ws://other.com/socket');
+        assert.include(header, 'session=old');
+      });
+    });
+
     describe('getAllCookies()', () => {
       let instance;
       let cookies;